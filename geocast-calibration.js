@@ -0,0 +1,533 @@
+// glMatrix 2.3.2 or higher and geoscene-filereader.js are required - make sure to include them
+// before this js file (under Node.js they are loaded automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var degToRad = require('./geoscene-filereader.js').degToRad;
+  var radToDeg = require('./geoscene-filereader.js').radToDeg;
+  var expandSequencePattern = require('./geoscene-filereader.js').expandSequencePattern;
+}
+
+/**
+ * Conversions between GeoCast cameras and the calibration formats of COLMAP and OpenCV.
+ *
+ * GeoCast cameras look down their -Z eye axis with Y up (OpenGL), OpenCV and COLMAP cameras look
+ * down +Z with Y down: the eye axes are converted with diag(1, -1, -1). Poses are world to camera
+ * transformations in both cases. Intrinsics follow from Fovy, Aspect and the image size
+ *
+ *   fx = width / 2 / tan(Fovy / 2) / Aspect;     cx = width / 2;
+ *   fy = height / 2 / tan(Fovy / 2);             cy = height / 2;
+ *
+ * in the pixel coordinates of createGeoCastCamera() and COLMAP, where the center of the top-left
+ * pixel is [0.5, 0.5]. OpenCV puts it at [0, 0], so its principal point is 0.5 pixels less.
+ *
+ * The ImageWarp coefficients k1, k2, k3, p1 and p2 use the same Brown-Conrady model as OpenCV
+ * (see geocast-distortion.js), but normalize the pixels with the focal and center of the
+ * ImageWarp instead. They are rescaled to the focal above, with s = fx / ImageWarp focal in
+ * pixels
+ *
+ *   k1' = k1 * s^2;     k2' = k2 * s^4;     k3' = k3 * s^6;     p1' = p1 * s;     p2' = p2 * s;
+ *
+ * which requires the ImageWarp center to be the image center and its aspect to match the one of
+ * the intrinsics above (within 1e-4), other warps have no OpenCV equivalent. The GeoCast objects
+ * created here have an ImageWarp with the focal above, i.e. s = 1.
+ *
+ * GeoCast perspective cameras always have their principal point at the image center. Imported
+ * cameras with an off-center principal point are centered, the moved distance is returned as
+ * principalPointOffset (in pixels). Offsets above a tolerance are reported with a
+ * PRINCIPAL_POINT_OFFSET warning in the diagnostics of the GeoCast, or rejected (see
+ * createGeoCastFromOpenCV()).
+ */
+
+// <[utility functions]>
+function formatValue(value) { // OpenCV writes reals with a decimal point
+  var text = String(value);
+  return (/^-?\d+$/.test(text)) ? text + "." : text;
+}
+function rotationToQuaternion(r) { // Row-major 3x3 rotation to a unit [w, x, y, z] quaternion
+  var q;
+  var trace = r[0] + r[4] + r[8];
+  if (trace > 0.0) {
+    var s = 0.5 / Math.sqrt(trace + 1.0);
+    q = [0.25 / s, (r[7] - r[5]) * s, (r[2] - r[6]) * s, (r[3] - r[1]) * s];
+  } else if (r[0] > r[4] && r[0] > r[8]) {
+    s = 2.0 * Math.sqrt(1.0 + r[0] - r[4] - r[8]);
+    q = [(r[7] - r[5]) / s, 0.25 * s, (r[1] + r[3]) / s, (r[2] + r[6]) / s];
+  } else if (r[4] > r[8]) {
+    s = 2.0 * Math.sqrt(1.0 + r[4] - r[0] - r[8]);
+    q = [(r[2] - r[6]) / s, (r[1] + r[3]) / s, 0.25 * s, (r[5] + r[7]) / s];
+  } else {
+    s = 2.0 * Math.sqrt(1.0 + r[8] - r[0] - r[4]);
+    q = [(r[3] - r[1]) / s, (r[2] + r[6]) / s, (r[5] + r[7]) / s, 0.25 * s];
+  }
+  var norm = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+  var sign = (q[0] < 0.0) ? -1.0 : 1.0; // COLMAP writes the quaternions with w >= 0
+  return q.map(function (value) { return sign * value / norm; });
+}
+function quaternionToRotation(q) {
+  var norm = Math.sqrt(q[0] * q[0] + q[1] * q[1] + q[2] * q[2] + q[3] * q[3]);
+  var w = q[0] / norm, x = q[1] / norm, y = q[2] / norm, z = q[3] / norm;
+  return [
+    1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+    2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+    2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+  ];
+}
+function rodriguesToRotation(rvec) {
+  var angle = Math.sqrt(rvec[0] * rvec[0] + rvec[1] * rvec[1] + rvec[2] * rvec[2]);
+  if (angle < 1e-12)
+    return [1, 0, 0, 0, 1, 0, 0, 0, 1];
+  var s = Math.sin(angle / 2.0) / angle;
+  return quaternionToRotation([Math.cos(angle / 2.0), rvec[0] * s, rvec[1] * s, rvec[2] * s]);
+}
+function parseNumbers(tokens, count, what) {
+  var values = tokens.slice(0, count).map(parseFloat);
+  if (values.length < count || values.some(function (value) { return !isFinite(value); }))
+    throw new Error("Invalid " + what + ": '" + tokens.join(' ') + "'");
+  return values;
+}
+
+// <[OpenCV cameras]>
+/**
+ * Returns the OpenCV calibration of a perspective GeoCast
+ * @param {geocast} The GeoCast object (see parseGeoCastContent())
+ * @param {size} The image size in pixels [width, height], i.e. the size of the GeoScene entry
+ * @return {object} The camera similar to the following, matrices are row-major arrays
+ *
+ *   camera = {
+ *     width = 1400;
+ *     height = 900;
+ *     cameraMatrix = [fx, 0, cx, 0, fy, cy, 0, 0, 1];
+ *     distortion = [k1, k2, p1, p2, k3];
+ *     rotation = [..]; // 3x3 world to camera rotation
+ *     translation = [tx, ty, tz]; // World to camera translation
+ *   }
+ *
+ * An Error is thrown for ImageWarp distortions which cannot be expressed in OpenCV terms (see
+ * above)
+ */
+function getOpenCVCamera(geocast, size) {
+  if (geocast.DataProject != "Perspective")
+    throw new Error("Only perspective GeoCast cameras can be converted, not '" +
+                    geocast.DataProject + "'");
+  if (!geocast.ModelviewMatrix)
+    throw new Error("The GeoCast has no ModelviewMatrix");
+  var f = 1.0 / Math.tan(degToRad(geocast.Fovy) / 2.0);
+  var fx = size[0] / 2.0 * f / geocast.Aspect;
+  var fy = size[1] / 2.0 * f;
+  var m = geocast.ModelviewMatrix; // Row-major
+  var rotation = [];
+  var translation = [];
+  for (var row = 0; row < 3; ++row) {
+    var sign = (row == 0) ? 1.0 : -1.0; // OpenGL to OpenCV eye axes
+    rotation.push(sign * m[4 * row], sign * m[4 * row + 1], sign * m[4 * row + 2]);
+    translation.push(sign * m[4 * row + 3]);
+  }
+  var warp = geocast.ImageWarp || {};
+  var field = function (name, defaultValue) { // Same defaults as geocast-distortion.js
+    return isFinite(warp[name]) ? warp[name] : defaultValue;
+  };
+  var distortion = [field('k1', 0.0), field('k2', 0.0), field('p1', 0.0), field('p2', 0.0),
+                    field('k3', 0.0)];
+  var cx = size[0] / 2.0;
+  var cy = size[1] / 2.0;
+  if (distortion.some(function (value) { return value != 0.0; })) {
+    var warpFx = field('focal', 1.0) * size[0];
+    var warpFy = warpFx * field('aspect', 1.0);
+    var s = fx / warpFx;
+    var center = [field('centerX', 0.5), field('centerY', 0.5)];
+    if (Math.abs(center[0] - 0.5) > 1e-4 || Math.abs(center[1] - 0.5) > 1e-4)
+      throw new Error("The ImageWarp center [" + center + "] is not the image center, OpenCV " +
+                      "distortions are centered on the principal point");
+    if (!(Math.abs(fy / warpFy / s - 1.0) <= 1e-4))
+      throw new Error("The ImageWarp aspect " + field('aspect', 1.0) + " does not match the " +
+                      "Fovy and Aspect of the GeoCast (" + (fy / fx) + "), OpenCV distortions " +
+                      "use the focal lengths of the camera matrix");
+    cx = center[0] * size[0];
+    cy = center[1] * size[1];
+    distortion = [distortion[0] * s * s, distortion[1] * Math.pow(s, 4), distortion[2] * s,
+                  distortion[3] * s, distortion[4] * Math.pow(s, 6)];
+  }
+  return {
+    width: size[0],
+    height: size[1],
+    cameraMatrix: [fx, 0, cx - 0.5, 0, fy, cy - 0.5, 0, 0, 1],
+    distortion: distortion,
+    rotation: rotation,
+    translation: translation
+  };
+}
+
+/**
+ * Creates a perspective GeoCast object from an OpenCV calibration, ready for serializeGeoCast()
+ * and createGeoCastCamera()
+ * @param {camera} The camera in the form returned by getOpenCVCamera(). The distortion array may
+ *                 have 4, 5 or 8 coefficients, the rational ones (k4, k5, k6) must be zero
+ * @param {options} Optional object with the following fields
+ *                    clipRange - the ClipRange of the GeoCast (default: [0.1, 1000.0])
+ *                    principalPointTolerance - largest distance of the principal point from the
+ *                                  image center, in pixels, which is centered without notice
+ *                                  (default: 1.0)
+ *                    offCenter - what happens to principal points further away: "warn"
+ *                                (default) adds a PRINCIPAL_POINT_OFFSET warning to the
+ *                                diagnostics of the GeoCast, "error" throws an Error
+ * @return {object} An object { geocast: geocastObject, size: [1400, 900],
+ *                  principalPointOffset: [0.2, -1.5] } with the offset of the original principal
+ *                  point from the image center, in pixels
+ */
+function createGeoCastFromOpenCV(camera, options) {
+  options = options || {};
+  var width = camera.width;
+  var height = camera.height;
+  var k = camera.cameraMatrix;
+  var fx = k[0], fy = k[4], cx = k[2], cy = k[5];
+  if (!(fx > 0.0 && fy > 0.0 && width > 0 && height > 0))
+    throw new Error("Invalid camera intrinsics, the focal lengths and size must be positive");
+  var distortion = camera.distortion || [];
+  if (distortion.slice(5).some(function (value) { return value != 0.0; }))
+    throw new Error("The rational distortion coefficients k4, k5 and k6 are not supported");
+
+  var clipRange = options.clipRange || [0.1, 1000.0];
+  var geocast = {
+    Version: "1.5",
+    diagnostics: [],
+    CameraType: "DynamicCamera"
+  };
+  var offset = [cx - (width / 2.0 - 0.5), cy - (height / 2.0 - 0.5)];
+  var tolerance = (options.principalPointTolerance !== undefined) ?
+                  options.principalPointTolerance : 1.0;
+  if (Math.sqrt(offset[0] * offset[0] + offset[1] * offset[1]) > tolerance) {
+    var message = "The principal point is [" + offset.map(function (value) {
+      return Math.round(value * 100) / 100;
+    }).join(", ") + "] pixels from the image center, GeoCast cameras are centered";
+    if (options.offCenter == "error")
+      throw new Error(message);
+    geocast.diagnostics.push({
+      severity: "warning",
+      code: "PRINCIPAL_POINT_OFFSET",
+      message: message,
+      fileName: undefined,
+      line: undefined,
+      column: undefined,
+      token: undefined
+    });
+  }
+  var r = camera.rotation;
+  var t = camera.translation;
+  geocast.CameraPosition = [0, 1, 2].map(function (i) { // -R^T t
+    return -(r[i] * t[0] + r[3 + i] * t[1] + r[6 + i] * t[2]);
+  });
+  geocast.ModelviewMatrix = mat4.identity(new Float64Array(16)); // Double precision
+  for (var row = 0; row < 3; ++row) {
+    var sign = (row == 0) ? 1.0 : -1.0; // OpenCV to OpenGL eye axes
+    geocast.ModelviewMatrix[4 * row] = sign * r[3 * row];
+    geocast.ModelviewMatrix[4 * row + 1] = sign * r[3 * row + 1];
+    geocast.ModelviewMatrix[4 * row + 2] = sign * r[3 * row + 2];
+    geocast.ModelviewMatrix[4 * row + 3] = sign * t[row];
+  }
+  geocast.DataProject = "Perspective";
+  geocast.Fovy = radToDeg(2.0 * Math.atan(height / 2.0 / fy));
+  geocast.Aspect = width * fy / (height * fx);
+  geocast.ClipRange = [clipRange[0], clipRange[1]];
+  geocast.PerspMatrix = mat4.perspective(mat4.create(), degToRad(geocast.Fovy), geocast.Aspect,
+                                         clipRange[0], clipRange[1]);
+  if (distortion.some(function (value) { return value != 0.0; })) {
+    geocast.ImageWarp = {
+      aspect: fy / fx,
+      k1: distortion[0] || 0.0,
+      k2: distortion[1] || 0.0,
+      k3: distortion[4] || 0.0,
+      p1: distortion[2] || 0.0,
+      p2: distortion[3] || 0.0,
+      centerX: 0.5,
+      centerY: 0.5,
+      focal: fx / width
+    };
+  }
+  return {
+    geocast: geocast,
+    size: [width, height],
+    principalPointOffset: offset
+  };
+}
+
+/**
+ * Exports a perspective GeoCast in the OpenCV FileStorage YAML format, with the keys written by
+ * the OpenCV calibration samples (image_width, image_height, camera_matrix and
+ * distortion_coefficients) plus the rotation_matrix and translation_vector of the pose
+ * @param {geocast} The GeoCast object (see parseGeoCastContent())
+ * @param {size} The image size in pixels [width, height]
+ * @return {string} The content of the YAML file
+ */
+function exportOpenCVYAML(geocast, size) {
+  var camera = getOpenCVCamera(geocast, size);
+  var matrix = function (name, rows, cols, data) {
+    return [
+      name + ": !!opencv-matrix",
+      "   rows: " + rows,
+      "   cols: " + cols,
+      "   dt: d",
+      "   data: [ " + data.map(formatValue).join(", ") + " ]"
+    ].join("\n");
+  };
+  return [
+    "%YAML:1.0",
+    "---",
+    "image_width: " + camera.width,
+    "image_height: " + camera.height,
+    matrix("camera_matrix", 3, 3, camera.cameraMatrix),
+    matrix("distortion_coefficients", 1, 5, camera.distortion),
+    matrix("rotation_matrix", 3, 3, camera.rotation),
+    matrix("translation_vector", 3, 1, camera.translation)
+  ].join("\n") + "\n";
+}
+
+/**
+ * Imports a camera from an OpenCV FileStorage YAML file. Besides the keys written by
+ * exportOpenCVYAML() the common alternatives are accepted: K, D or dist_coeffs for the
+ * intrinsics, R or rvec (Rodrigues vector) and T or tvec for the pose. A missing pose is the
+ * identity
+ * @param {content} The string content of the YAML file
+ * @param {options} Optional object with the clipRange, principalPointTolerance and offCenter
+ *                  fields (see createGeoCastFromOpenCV())
+ * @return {object} An object { geocast: geocastObject, size: [1400, 900],
+ *                  principalPointOffset: [0.2, -1.5] } (see createGeoCastFromOpenCV())
+ */
+function importOpenCVYAML(content, options) {
+  var values = {};
+  var arrayOfLines = content.split(/\r?\n/);
+  var key = null;
+  for (var i = 0; i < arrayOfLines.length; ++i) {
+    var line = arrayOfLines[i].replace(/#.*$/, '');
+    if (line.trim() == "" || /^(%YAML|---)/.test(line))
+      continue;
+    var res = /^(\w+):\s*(.*)$/.exec(line);
+    if (res) { // Top-level key
+      key = res[1];
+      values[key] = /^!!opencv-matrix/.test(res[2]) ? { data: "" } : res[2].replace(/^"|"$/g, '');
+      continue;
+    }
+    var field = /^\s+(\w+):\s*(.*)$/.exec(line);
+    var target = (key !== null && typeof values[key] === 'object') ? values[key] : null;
+    if (target && field && field[1] != "data")
+      target[field[1]] = field[2];
+    else if (target && field)
+      target.data = field[2];
+    else if (target && target.data.indexOf("]") < 0)
+      target.data += " " + line.trim(); // Matrix data continued on the next lines
+  }
+  var matrix = function (names, size) {
+    for (var n = 0; n < names.length; ++n) {
+      var value = values[names[n]];
+      if (value === undefined)
+        continue;
+      var data = (typeof value === 'object') ? value.data : value;
+      var numbers = data.replace(/[\[\]]/g, ' ').split(/[\s,]+/).filter(function (token) {
+        return token != "";
+      });
+      return parseNumbers(numbers, Math.min(size, numbers.length), names[n]);
+    }
+    return null;
+  };
+  var cameraMatrix = matrix(["camera_matrix", "K", "cameraMatrix"], 9);
+  if (!cameraMatrix || cameraMatrix.length < 9)
+    throw new Error("The YAML file has no 3x3 camera_matrix");
+  var width = parseInt(values.image_width, 10);
+  var height = parseInt(values.image_height, 10);
+  if (!(width > 0 && height > 0))
+    throw new Error("The YAML file has no image_width and image_height");
+  var rotation = matrix(["rotation_matrix", "R"], 9);
+  var rvec = matrix(["rvec"], 3);
+  return createGeoCastFromOpenCV({
+    width: width,
+    height: height,
+    cameraMatrix: cameraMatrix,
+    distortion: matrix(["distortion_coefficients", "D", "dist_coeffs", "distCoeffs"], 8) || [],
+    rotation: rotation || (rvec ? rodriguesToRotation(rvec) : [1, 0, 0, 0, 1, 0, 0, 0, 1]),
+    translation: matrix(["translation_vector", "T", "tvec"], 3) || [0, 0, 0]
+  }, options);
+}
+
+// <[COLMAP]>
+/**
+ * Exports the perspective GeoCast cameras of a GeoScene in the COLMAP text format. Every frame of
+ * every GeoCast entry becomes a COLMAP image, named after the image of the frame (expanded from the
+ * imagePattern, i.e. relative to the GeoScene file). Entries with the same image and geocast for
+ * every frame are exported once and missing frames are skipped. Identical intrinsics share a
+ * COLMAP camera, whose model is PINHOLE without distortion, OPENCV with k1, k2, p1, p2 and
+ * FULL_OPENCV with k3
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {options} Optional object with the following fields
+ *                    entries - names of the GeoCast entries to export (default: all of them)
+ *                    frames  - frame numbers to export (default: every frame of the sequence)
+ * @return {object} An object { cameras: "...", images: "..." } with the content of the
+ *                  cameras.txt and images.txt files
+ *
+ * Example usage (Node.js):
+ *
+ *     var colmap = exportCOLMAP(scene);
+ *     fs.writeFileSync("sparse/cameras.txt", colmap.cameras);
+ *     fs.writeFileSync("sparse/images.txt", colmap.images);
+ */
+function exportCOLMAP(scene, options) {
+  options = options || {};
+  var cameraLines = [];
+  var cameraIds = {}; // Camera line without id -> id
+  var imageLines = [];
+  var frames = scene.frames || [];
+  scene.geoCastSequence.forEach(function (entry) {
+    if (options.entries && options.entries.indexOf(entry.name) < 0)
+      return;
+    var names = entry.imagePattern ?
+                expandSequencePattern(entry.imagePattern, frames, scene.sequenceOffset) : entry.image;
+    var isStill = (names.length == 1 && entry.geocast.length == 1);
+    var exported = false;
+    frames.forEach(function (frame, k) {
+      if ((options.frames && options.frames.indexOf(frame) < 0) || (isStill && exported))
+        return;
+      exported = true;
+      var geocast = entry.geocast[(entry.geocast.length == 1) ? 0 : k];
+      if (!geocast)
+        return; // Gap
+      var camera;
+      try {
+        camera = getOpenCVCamera(geocast, entry.size);
+      } catch (error) {
+        throw new Error("'" + entry.name + "' at frame " + frame + ": " + error.message);
+      }
+      var d = camera.distortion;
+      var params = [camera.cameraMatrix[0], camera.cameraMatrix[4],
+                    camera.cameraMatrix[2] + 0.5, camera.cameraMatrix[5] + 0.5]; // COLMAP pixels
+      var model = "PINHOLE";
+      if (d[4] != 0.0) {
+        model = "FULL_OPENCV";
+        params = params.concat(d, [0, 0, 0]);
+      } else if (d.some(function (value) { return value != 0.0; })) {
+        model = "OPENCV";
+        params = params.concat(d.slice(0, 4));
+      }
+      var cameraLine = model + " " + camera.width + " " + camera.height + " " + params.join(" ");
+      if (cameraIds[cameraLine] === undefined) {
+        cameraIds[cameraLine] = cameraLines.length + 1;
+        cameraLines.push(cameraIds[cameraLine] + " " + cameraLine);
+      }
+      var q = rotationToQuaternion(camera.rotation);
+      var name = names[(names.length == 1) ? 0 : k];
+      imageLines.push((imageLines.length / 2 + 1) + " " + q.join(" ") + " " +
+                      camera.translation.join(" ") + " " + cameraIds[cameraLine] + " " + name);
+      imageLines.push(""); // No 2D points
+    });
+  });
+  return {
+    cameras: [
+      "# Camera list with one line of data per camera:",
+      "#   CAMERA_ID, MODEL, WIDTH, HEIGHT, PARAMS[]",
+      "# Number of cameras: " + cameraLines.length
+    ].concat(cameraLines).join("\n") + "\n",
+    images: [
+      "# Image list with two lines of data per image:",
+      "#   IMAGE_ID, QW, QX, QY, QZ, TX, TY, TZ, CAMERA_ID, NAME",
+      "#   POINTS2D[] as (X, Y, POINT3D_ID)",
+      "# Number of images: " + imageLines.length / 2 + ", mean observations per image: 0"
+    ].concat(imageLines).join("\n") + "\n"
+  };
+}
+
+/**
+ * Imports the cameras of a COLMAP reconstruction in the text format. The SIMPLE_PINHOLE, PINHOLE,
+ * SIMPLE_RADIAL, RADIAL, OPENCV and FULL_OPENCV (without rational coefficients) models are
+ * supported
+ * @param {camerasContent} The string content of cameras.txt
+ * @param {imagesContent} The string content of images.txt
+ * @param {options} Optional object with the clipRange, principalPointTolerance and offCenter
+ *                  fields (see createGeoCastFromOpenCV())
+ * @return {array} One object per COLMAP image, in the order of images.txt, similar to the
+ *                 following
+ *
+ *   image = {
+ *     imageId = 1;
+ *     cameraId = 1;
+ *     name = "img/f000.png";
+ *     size = [1400, 900];
+ *     geocast = geocastObject; // See createGeoCastFromOpenCV()
+ *     principalPointOffset = [0.2, -1.5];
+ *   }
+ */
+function importCOLMAP(camerasContent, imagesContent, options) {
+  var cameras = {};
+  camerasContent.split(/\r?\n/).forEach(function (line, index) {
+    var parts = line.trim().split(/\s+/);
+    if (parts[0] == "" || parts[0][0] == '#')
+      return;
+    var where = "cameras.txt:" + (index + 1) + ": ";
+    var p = parseNumbers(parts.slice(4), parts.length - 4, "camera parameters");
+    var intrinsics; // fx, fy, cx, cy followed by the OpenCV distortion coefficients
+    switch (parts[1]) {
+      case "SIMPLE_PINHOLE": intrinsics = [p[0], p[0], p[1], p[2]]; break;
+      case "PINHOLE": intrinsics = p.slice(0, 4); break;
+      case "SIMPLE_RADIAL": intrinsics = [p[0], p[0], p[1], p[2], p[3]]; break;
+      case "RADIAL": intrinsics = [p[0], p[0], p[1], p[2], p[3], p[4]]; break;
+      case "OPENCV": intrinsics = p.slice(0, 8); break;
+      case "FULL_OPENCV": intrinsics = p.slice(0, 12); break;
+      default:
+        throw new Error(where + "Unsupported camera model '" + parts[1] + "'");
+    }
+    if (intrinsics.some(function (value) { return value === undefined; }))
+      throw new Error(where + "Missing parameters for the " + parts[1] + " model");
+    cameras[parts[0]] = {
+      width: parseInt(parts[2], 10),
+      height: parseInt(parts[3], 10),
+      cameraMatrix: [intrinsics[0], 0, intrinsics[2] - 0.5, 0, intrinsics[1], intrinsics[3] - 0.5,
+                     0, 0, 1], // COLMAP to OpenCV pixels
+      distortion: intrinsics.slice(4)
+    };
+  });
+
+  var images = [];
+  var arrayOfLines = imagesContent.split(/\r?\n/);
+  for (var i = 0; i < arrayOfLines.length; ++i) {
+    var line = arrayOfLines[i].trim();
+    if (line == "" || line[0] == '#')
+      continue;
+    var parts = line.split(/\s+/);
+    var where = "images.txt:" + (i + 1) + ": ";
+    var camera = cameras[parts[8]];
+    if (!camera)
+      throw new Error(where + "Unknown camera id '" + parts[8] + "'");
+    var pose = parseNumbers(parts.slice(1), 7, "image pose");
+    var converted;
+    try {
+      converted = createGeoCastFromOpenCV({
+        width: camera.width,
+        height: camera.height,
+        cameraMatrix: camera.cameraMatrix,
+        distortion: camera.distortion,
+        rotation: quaternionToRotation(pose.slice(0, 4)),
+        translation: pose.slice(4, 7)
+      }, options);
+    } catch (error) {
+      throw new Error(where + error.message);
+    }
+    images.push({
+      imageId: parseInt(parts[0], 10),
+      cameraId: parseInt(parts[8], 10),
+      name: parts.slice(9).join(" "),
+      size: converted.size,
+      geocast: converted.geocast,
+      principalPointOffset: converted.principalPointOffset
+    });
+    ++i; // Skips the POINTS2D line, which may be empty
+  }
+  return images;
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getOpenCVCamera: getOpenCVCamera,
+    createGeoCastFromOpenCV: createGeoCastFromOpenCV,
+    exportOpenCVYAML: exportOpenCVYAML,
+    importOpenCVYAML: importOpenCVYAML,
+    exportCOLMAP: exportCOLMAP,
+    importCOLMAP: importCOLMAP
+  };
+}
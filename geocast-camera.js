@@ -0,0 +1,244 @@
+// glMatrix 2.3.2 or higher, geoscene-filereader.js and geocast-distortion.js are required - make
+// sure to include them before this js file (under Node.js they are loaded automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var vec3 = require('./gl-matrix-min.js').vec3;
+  var vec4 = require('./gl-matrix-min.js').vec4;
+  var degToRad = require('./geoscene-filereader.js').degToRad;
+  var getFrameIndex = require('./geoscene-filereader.js').getFrameIndex;
+  var distortPixel = require('./geocast-distortion.js').distortPixel;
+  var undistortPixel = require('./geocast-distortion.js').undistortPixel;
+}
+
+/**
+ * Returns the world to eye transformation of a GeoCast as a column-major glMatrix mat4.
+ * ModelviewMatrix is stored in the same row-major order as in the GeoCast file, so that the
+ * translation sits in its last column: the matrix is transposed here
+ * @param {geocast} The GeoCast object (see parseGeoCastContent())
+ * @return {mat4} The view matrix, a Float64Array so that georeferenced translations keep their
+ *                precision
+ */
+function getViewMatrix(geocast) {
+  if (!geocast.ModelviewMatrix)
+    throw new Error("The GeoCast has no ModelviewMatrix");
+  return mat4.transpose(new Float64Array(16), geocast.ModelviewMatrix);
+}
+
+/**
+ * Returns the projection matrix of a GeoCast as a column-major glMatrix mat4. OrthoMatrix or
+ * PerspMatrix are used when available, otherwise the matrix is built from WindowSize/ProjRange
+ * or Fovy/Aspect/ClipRange
+ * @param {geocast} The GeoCast object (see parseGeoCastContent())
+ * @return {mat4} The projection matrix
+ */
+function getProjectionMatrix(geocast) {
+  if (geocast.DataProject == "Ortho") {
+    if (geocast.OrthoMatrix)
+      return mat4.clone(geocast.OrthoMatrix);
+    return mat4.ortho(mat4.create(),
+                      -geocast.WindowSize[0] / 2.0, geocast.WindowSize[0] / 2.0,
+                      -geocast.WindowSize[1] / 2.0, geocast.WindowSize[1] / 2.0,
+                      geocast.ProjRange[0], geocast.ProjRange[1]);
+  } else if (geocast.DataProject == "Perspective") {
+    if (geocast.PerspMatrix)
+      return mat4.clone(geocast.PerspMatrix);
+    return mat4.perspective(mat4.create(), degToRad(geocast.Fovy), geocast.Aspect,
+                            geocast.ClipRange[0], geocast.ClipRange[1]);
+  }
+  throw new Error("Unrecognized DataProject camera type '" + geocast.DataProject + "'");
+}
+
+/**
+ * Creates a camera object to project world points onto the image of a GeoCast and back.
+ *
+ * Conventions: the camera looks down its -Z eye axis (OpenGL), pixel coordinates start at the
+ * top-left corner of the image with Y pointing down, so the center of the top-left pixel is
+ * [0.5, 0.5]. Depths are eye-space distances along the viewing direction (positive in front of
+ * the camera), in world units.
+ *
+ * @param {geocast} The GeoCast object (see parseGeoCastContent())
+ * @param {size} The image size in pixels [width, height], i.e. the size of the GeoScene entry
+ * @param {options} Optional object with the following fields
+ *                    distortion - if true (and the GeoCast has an ImageWarp) pixels are the ones
+ *                                 of the original captured image: project() applies the lens
+ *                                 distortion, unproject() and pixelRay() remove it (see
+ *                                 geocast-distortion.js). Default: false, i.e. ideal pinhole
+ *                                 pixels
+ * @return {object} The camera object similar to the following
+ *
+ *   camera = {
+ *     geocast = geocastObject;
+ *     size = [1400, 900];
+ *     isOrtho = false;
+ *     distortion = false; // Whether the ImageWarp distortion is applied
+ *     viewMatrix; // mat4 object, world to eye (column-major). The matrices and vectors are
+ *                 // Float64Arrays, which keep the precision of georeferenced coordinates
+ *     projectionMatrix; // mat4 object, eye to clip (column-major)
+ *     viewProjectionMatrix; // mat4 object
+ *     inverseViewMatrix; // mat4 object, eye to world
+ *     inverseProjectionMatrix; // mat4 object
+ *     position; // vec3 camera center in world coordinates
+ *     direction; // vec3 normalized viewing direction in world coordinates
+ *
+ *     project(worldPoint) -> {
+ *       pixel = [812.3, 455.1];
+ *       idealPixel = [810.9, 454.6]; // Pinhole pixel before the distortion (same as pixel
+ *                                    // without distortion)
+ *       depth = 12.5; // Eye-space depth
+ *       ndcDepth = 0.93; // Normalized device depth in [-1, 1] between the clipping planes
+ *       behindCamera = false;
+ *       inImage = true; // In front of the camera and within the image bounds
+ *       inDepthRange = true; // Between the near and far clipping planes
+ *     }
+ *     unproject(pixel, depth) -> vec3 world point
+ *     pixelRay(pixel) -> {
+ *       origin = [..]; // Camera center (perspective) or point on the camera plane (ortho)
+ *       direction = [..]; // Normalized
+ *     }
+ *   }
+ *
+ * Example usage:
+ *
+ *     var camera = createGeoCastCamera(scene.geoCastSequence[0].geocast[0],
+ *                                      scene.geoCastSequence[0].size);
+ *     var res = camera.project([1.0, 0.0, 2.5]);
+ *     if (res.inImage)
+ *       drawMarker(res.pixel[0], res.pixel[1]);
+ */
+function createGeoCastCamera(geocast, size, options) {
+  options = options || {};
+  var camera = {};
+  camera.geocast = geocast;
+  camera.size = [size[0], size[1]];
+  camera.isOrtho = (geocast.DataProject == "Ortho");
+  camera.distortion = (options.distortion === true && !!geocast.ImageWarp);
+  camera.viewMatrix = getViewMatrix(geocast);
+  camera.projectionMatrix = getProjectionMatrix(geocast);
+  // World coordinates stay in double precision (Float64Array instead of the Float32Array of
+  // mat4.create() and vec3.create()), georeferenced ones would be off by decimeters otherwise
+  camera.viewProjectionMatrix = mat4.multiply(new Float64Array(16), camera.projectionMatrix,
+                                              camera.viewMatrix);
+  camera.inverseViewMatrix = mat4.invert(new Float64Array(16), camera.viewMatrix);
+  camera.inverseProjectionMatrix = mat4.invert(new Float64Array(16), camera.projectionMatrix);
+  if (!camera.inverseViewMatrix || !camera.inverseProjectionMatrix)
+    throw new Error("The GeoCast camera matrices are not invertible");
+  var inverseView = camera.inverseViewMatrix;
+  camera.position = new Float64Array([inverseView[12], inverseView[13], inverseView[14]]);
+  camera.direction = vec3.normalize(new Float64Array(3),
+                                    [-inverseView[8], -inverseView[9], -inverseView[10]]);
+
+  var near = camera.isOrtho ? geocast.ProjRange[0] : geocast.ClipRange[0];
+  var far = camera.isOrtho ? geocast.ProjRange[1] : geocast.ClipRange[1];
+
+  var ndcToPixel = function (ndcX, ndcY) {
+    return [(ndcX + 1.0) / 2.0 * camera.size[0], (1.0 - ndcY) / 2.0 * camera.size[1]];
+  };
+  var pixelToNdc = function (pixel) {
+    if (camera.distortion)
+      pixel = undistortPixel(geocast.ImageWarp, camera.size, pixel);
+    return [pixel[0] / camera.size[0] * 2.0 - 1.0, 1.0 - pixel[1] / camera.size[1] * 2.0];
+  };
+  var eyeToWorld = function (eyePoint) {
+    return vec3.transformMat4(new Float64Array(3), eyePoint, camera.inverseViewMatrix);
+  };
+  var unprojectNdc = function (ndcX, ndcY, ndcZ) { // Back to eye space
+    var point = vec4.transformMat4(new Float64Array(4), [ndcX, ndcY, ndcZ, 1.0],
+                                   camera.inverseProjectionMatrix);
+    return new Float64Array([point[0] / point[3], point[1] / point[3], point[2] / point[3]]);
+  };
+  var eyeRay = function (pixel) { // Eye-space points of the pixel on the near and far planes
+    var ndc = pixelToNdc(pixel);
+    return [unprojectNdc(ndc[0], ndc[1], -1.0), unprojectNdc(ndc[0], ndc[1], 1.0)];
+  };
+
+  camera.project = function (worldPoint) {
+    var eye = vec4.transformMat4(new Float64Array(4),
+                                 [worldPoint[0], worldPoint[1], worldPoint[2], 1.0],
+                                 camera.viewMatrix);
+    var clip = vec4.transformMat4(new Float64Array(4), eye, camera.projectionMatrix);
+    var depth = -eye[2];
+    var behindCamera = camera.isOrtho ? (depth < 0.0) : (depth <= 0.0);
+    // Points behind a perspective camera flip through the projection center
+    var w = (clip[3] != 0.0) ? clip[3] : Number.MIN_VALUE;
+    var idealPixel = ndcToPixel(clip[0] / w, clip[1] / w);
+    var pixel = camera.distortion ? distortPixel(geocast.ImageWarp, camera.size, idealPixel) : idealPixel;
+    return {
+      pixel: pixel,
+      idealPixel: idealPixel,
+      depth: depth,
+      ndcDepth: clip[2] / w,
+      behindCamera: behindCamera,
+      inImage: !behindCamera && pixel[0] >= 0.0 && pixel[0] < camera.size[0] &&
+               pixel[1] >= 0.0 && pixel[1] < camera.size[1],
+      inDepthRange: depth >= near && depth <= far
+    };
+  };
+
+  camera.unproject = function (pixel, depth) {
+    var ray = eyeRay(pixel);
+    // Both planes are at constant eye z, interpolate to the requested depth
+    var t = (-depth - ray[0][2]) / (ray[1][2] - ray[0][2]);
+    return eyeToWorld(vec3.lerp(new Float64Array(3), ray[0], ray[1], t));
+  };
+
+  camera.pixelRay = function (pixel) {
+    var ray = eyeRay(pixel);
+    var origin, target;
+    if (camera.isOrtho) {
+      origin = eyeToWorld(vec3.lerp(new Float64Array(3), ray[0], ray[1],
+                                    -ray[0][2] / (ray[1][2] - ray[0][2])));
+      target = eyeToWorld(ray[1]);
+    } else {
+      origin = new Float64Array(camera.position);
+      target = eyeToWorld(ray[1]);
+    }
+    var direction = vec3.normalize(new Float64Array(3),
+                                   vec3.subtract(new Float64Array(3), target, origin));
+    return { origin: origin, direction: direction };
+  };
+
+  return camera;
+}
+
+/**
+ * Creates the camera (see createGeoCastCamera()) of a GeoCast or GeoCastZ entry of a loaded
+ * GeoScene at the given frame
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {name} The name of the GeoCast or GeoCastZ entry
+ * @param {frame} The frame number within the scene sequence (default: the first frame). Entries
+ *                with a single geocast (e.g. static cameras) are used for every frame
+ * @param {options} Optional camera options (see createGeoCastCamera())
+ * @return {object} The camera object
+ */
+function createSceneCamera(scene, name, frame, options) {
+  var entries = scene.geoCastSequence.concat(scene.geoCastZSequence);
+  var entry = null;
+  for (var i = 0; i < entries.length; ++i) {
+    if (entries[i].name == name) {
+      entry = entries[i];
+      break;
+    }
+  }
+  if (!entry)
+    throw new Error("No GeoCast or GeoCastZ named '" + name + "'");
+  var index = 0;
+  if (entry.geocast.length > 1 && frame !== undefined) {
+    index = getFrameIndex(scene, frame);
+    if (index < 0)
+      throw new Error("Frame " + frame + " is out of the sequence of '" + name + "'");
+  }
+  var geocast = entry.geocast[index];
+  if (!geocast || !geocast.ModelviewMatrix)
+    throw new Error("The geocast of '" + name + "' at frame " + frame + " is not loaded");
+  return createGeoCastCamera(geocast, entry.size, options);
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getViewMatrix: getViewMatrix,
+    getProjectionMatrix: getProjectionMatrix,
+    createGeoCastCamera: createGeoCastCamera,
+    createSceneCamera: createSceneCamera
+  };
+}
@@ -0,0 +1,206 @@
+// geocast-camera.js (and its dependencies) is required - make sure to include it before this js
+// file (under Node.js it is loaded automatically). Use png-decoder.js to read PNG depth images
+if (typeof module !== 'undefined' && module.exports)
+  var createGeoCastCamera = require('./geocast-camera.js').createGeoCastCamera;
+
+// <[utility functions]>
+function sampleColor(image, u, v, colors, offset) { // Nearest sample as 8 bit RGB
+  var channels = image.channels || 1;
+  var x = Math.min(image.width - 1, Math.floor(u * image.width));
+  var y = Math.min(image.height - 1, Math.floor(v * image.height));
+  var index = (y * image.width + x) * channels;
+  var shift = (image.bitDepth == 16) ? 8 : 0;
+  var scale = (image.bitDepth < 8) ? 255 / (Math.pow(2, image.bitDepth) - 1) : 1;
+  for (var c = 0; c < 3; ++c) {
+    var sample = image.data[index + ((channels >= 3) ? c : 0)]; // Gray images replicate
+    colors[offset + c] = Math.round((sample >> shift) * scale);
+  }
+}
+
+/**
+ * Converts the raw values of a GeoCastZ depth image to eye-space depths (distances along the
+ * viewing direction, in world units, see createGeoCastCamera()).
+ *
+ * Raw values are first normalized to [0, 1] by the maximum value of the bit depth and then mapped
+ * linearly to ZDataRange (default: [0, 1]). With WorldSpaceDepth the mapped value already is the
+ * eye-space depth. Otherwise it is a projection-space depth, i.e. an OpenGL window depth where
+ * 0 is the near and 1 the far clipping plane (ClipRange or ProjRange), which is non-linear for
+ * perspective cameras
+ *
+ * @param {buffer} The raw depth values as typed array (e.g. the data of decodePNG())
+ * @param {bitDepth} The bit depth of the raw values (e.g. 8 or 16)
+ * @param {geocast} The GeoCast object of the GeoCastZ entry (see parseGeoCastContent())
+ * @param {options} Optional object with the following fields
+ *                    channels    - number of interleaved channels in buffer, only the first one
+ *                                  is used (default: 1)
+ *                    noDataValue - raw value marking pixels without depth, decoded as NaN
+ * @return {Float32Array} The eye-space depths, NaN where there is no depth
+ */
+function decodeDepthValues(buffer, bitDepth, geocast, options) {
+  options = options || {};
+  var channels = options.channels || 1;
+  var maxValue = Math.pow(2, bitDepth) - 1;
+  var range = geocast.ZDataRange || [0.0, 1.0];
+  var isOrtho = (geocast.DataProject == "Ortho");
+  var clipRange = isOrtho ? geocast.ProjRange : geocast.ClipRange;
+  if (!geocast.WorldSpaceDepth && !clipRange)
+    throw new Error("Projection-space depth needs the GeoCast ClipRange or ProjRange");
+  var count = Math.floor(buffer.length / channels);
+  var depths = new Float32Array(count);
+  for (var i = 0; i < count; ++i) {
+    var raw = buffer[i * channels];
+    if (raw === options.noDataValue) {
+      depths[i] = NaN;
+      continue;
+    }
+    var value = range[0] + (raw / maxValue) * (range[1] - range[0]);
+    if (geocast.WorldSpaceDepth)
+      depths[i] = value;
+    else if (isOrtho)
+      depths[i] = clipRange[0] + value * (clipRange[1] - clipRange[0]);
+    else {
+      var near = clipRange[0];
+      var far = clipRange[1];
+      var ndc = 2.0 * value - 1.0;
+      depths[i] = 2.0 * near * far / ((far + near) - ndc * (far - near));
+    }
+  }
+  return depths;
+}
+
+/**
+ * Unprojects every pixel of a GeoCastZ depth image into a world-space point cloud
+ * @param {depthImage} The depth image, an object { width: 640, height: 480, bitDepth: 16,
+ *                     data: Uint16Array } with optional channels field (the output of
+ *                     decodePNG() can be used as is)
+ * @param {geocast} The GeoCast object of the GeoCastZ entry (see parseGeoCastContent())
+ * @param {options} Optional object with the following fields
+ *                    colorImage  - image with the same layout as depthImage (e.g. the decoded
+ *                                  GeoCast image paired with the surface) used to color the
+ *                                  points. It is sampled with nearest filtering when its size
+ *                                  differs from the depth image
+ *                    noDataValue - raw value marking pixels without depth (see
+ *                                  decodeDepthValues()), these pixels are skipped
+ *                    distortion  - apply the ImageWarp distortion (see createGeoCastCamera())
+ * @return {object} The point cloud similar to the following
+ *
+ *   pointCloud = {
+ *     count = 1200;
+ *     positions; // Float64Array with x, y, z for every point, georeferenced coordinates keep
+ *                // their precision
+ *     colors; // Uint8Array with red, green, blue for every point, or null
+ *   }
+ *
+ * Example usage (Node.js):
+ *
+ *     var depthImage = decodePNG(fs.readFileSync("surface/depth0000.png"));
+ *     var cloud = createPointCloud(depthImage, scene.geoCastZSequence[0].geocast[0]);
+ *     fs.writeFileSync("surface.ply", Buffer.from(pointCloudToPLY(cloud, { format: "binary" })));
+ */
+function createPointCloud(depthImage, geocast, options) {
+  options = options || {};
+  var width = depthImage.width;
+  var height = depthImage.height;
+  var depths = decodeDepthValues(depthImage.data, depthImage.bitDepth, geocast, {
+    channels: depthImage.channels,
+    noDataValue: options.noDataValue
+  });
+  var camera = createGeoCastCamera(geocast, [width, height], { distortion: options.distortion });
+
+  var colorImage = options.colorImage;
+  var positions = new Float64Array(width * height * 3);
+  var colors = colorImage ? new Uint8Array(width * height * 3) : null;
+  var count = 0;
+  for (var y = 0; y < height; ++y) {
+    for (var x = 0; x < width; ++x) {
+      var depth = depths[y * width + x];
+      if (!isFinite(depth))
+        continue;
+      var point = camera.unproject([x + 0.5, y + 0.5], depth);
+      positions[3 * count] = point[0];
+      positions[3 * count + 1] = point[1];
+      positions[3 * count + 2] = point[2];
+      if (colors)
+        sampleColor(colorImage, (x + 0.5) / width, (y + 0.5) / height, colors, 3 * count);
+      ++count;
+    }
+  }
+  return {
+    count: count,
+    positions: positions.subarray(0, 3 * count),
+    colors: colors ? colors.subarray(0, 3 * count) : null
+  };
+}
+
+/**
+ * Exports a point cloud (see createPointCloud()) in the PLY format. Positions are written as
+ * doubles, as single precision floats would round georeferenced coordinates to decimeters
+ * @param {pointCloud} The point cloud
+ * @param {options} Optional object with the following fields
+ *                    format - "ascii" (default) or "binary" (binary_little_endian)
+ * @return {string|ArrayBuffer} The PLY file content, a string for the ascii format and an
+ *                              ArrayBuffer for the binary one
+ */
+function pointCloudToPLY(pointCloud, options) {
+  options = options || {};
+  var binary = (options.format == "binary");
+  if (!binary && options.format !== undefined && options.format != "ascii")
+    throw new Error("Unrecognized PLY format '" + options.format + "'");
+  var hasColors = !!pointCloud.colors;
+  var header = [
+    "ply",
+    binary ? "format binary_little_endian 1.0" : "format ascii 1.0",
+    "comment Generated by js-geoscene-reader",
+    "element vertex " + pointCloud.count,
+    "property double x",
+    "property double y",
+    "property double z"
+  ];
+  if (hasColors)
+    header.push("property uchar red", "property uchar green", "property uchar blue");
+  header.push("end_header");
+  var headerText = header.join("\n") + "\n";
+
+  var positions = pointCloud.positions;
+  var colors = pointCloud.colors;
+  if (!binary) {
+    var lines = [];
+    for (var i = 0; i < pointCloud.count; ++i) {
+      var line = positions[3 * i] + " " + positions[3 * i + 1] + " " + positions[3 * i + 2];
+      if (hasColors)
+        line += " " + colors[3 * i] + " " + colors[3 * i + 1] + " " + colors[3 * i + 2];
+      lines.push(line);
+    }
+    return headerText + lines.join("\n") + (lines.length > 0 ? "\n" : "");
+  }
+
+  var vertexSize = 24 + (hasColors ? 3 : 0);
+  var buffer = new ArrayBuffer(headerText.length + vertexSize * pointCloud.count);
+  var bytes = new Uint8Array(buffer);
+  for (i = 0; i < headerText.length; ++i) // The header is plain ASCII
+    bytes[i] = headerText.charCodeAt(i);
+  var view = new DataView(buffer);
+  var offset = headerText.length;
+  for (i = 0; i < pointCloud.count; ++i) {
+    view.setFloat64(offset, positions[3 * i], true);
+    view.setFloat64(offset + 8, positions[3 * i + 1], true);
+    view.setFloat64(offset + 16, positions[3 * i + 2], true);
+    offset += 24;
+    if (hasColors) {
+      bytes[offset] = colors[3 * i];
+      bytes[offset + 1] = colors[3 * i + 1];
+      bytes[offset + 2] = colors[3 * i + 2];
+      offset += 3;
+    }
+  }
+  return buffer;
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    decodeDepthValues: decodeDepthValues,
+    createPointCloud: createPointCloud,
+    pointCloudToPLY: pointCloudToPLY
+  };
+}
@@ -0,0 +1,228 @@
+// No dependencies - this js file can be included on its own
+
+/**
+ * Lens distortion model of the GeoCast ImageWarp field (see parseGeoCastContent()).
+ *
+ * ImageWarp is a radial/tangential (Brown-Conrady) model working on normalized camera
+ * coordinates. Pixel coordinates start at the top-left corner of the image with Y pointing down
+ * (the center of the top-left pixel is [0.5, 0.5], as in createGeoCastCamera()) and are
+ * converted to normalized coordinates with
+ *
+ *   fx = focal * width;     cx = centerX * width;
+ *   fy = fx * aspect;       cy = centerY * height;
+ *   x = (u - cx) / fx;      y = (v - cy) / fy;
+ *
+ * i.e. focal is relative to the image width and centerX/centerY are fractions of the image size.
+ * The distorted coordinates of an ideal (undistorted) point are
+ *
+ *   r2 = x * x + y * y;
+ *   radial = 1 + k1 * r2 + k2 * r2 * r2 + k3 * r2 * r2 * r2;
+ *   xd = x * radial + 2 * p1 * x * y + p2 * (r2 + 2 * x * x);
+ *   yd = y * radial + p1 * (r2 + 2 * y * y) + 2 * p2 * x * y;
+ *
+ * Ideal pixels are the ones computed by a pinhole projection, distorted pixels are the ones of
+ * the original captured image.
+ */
+
+// <[utility functions]>
+function readImageWarp(imageWarp) { // Missing or unparsable fields fall back to no distortion
+  var value = function (field, defaultValue) {
+    var v = imageWarp ? imageWarp[field] : undefined;
+    return (typeof v === 'number' && isFinite(v)) ? v : defaultValue;
+  };
+  return {
+    aspect: value('aspect', 1.0),
+    k1: value('k1', 0.0),
+    k2: value('k2', 0.0),
+    k3: value('k3', 0.0),
+    p1: value('p1', 0.0),
+    p2: value('p2', 0.0),
+    centerX: value('centerX', 0.5),
+    centerY: value('centerY', 0.5),
+    focal: value('focal', 1.0)
+  };
+}
+function applyDistortion(warp, x, y, jacobian) { // Optionally fills the 2x2 row-major jacobian
+  var r2 = x * x + y * y;
+  var radial = 1.0 + r2 * (warp.k1 + r2 * (warp.k2 + r2 * warp.k3));
+  if (jacobian) {
+    var dRadial = warp.k1 + r2 * (2.0 * warp.k2 + 3.0 * r2 * warp.k3); // d(radial)/d(r2)
+    jacobian[0] = radial + 2.0 * x * x * dRadial + 2.0 * warp.p1 * y + 6.0 * warp.p2 * x;
+    jacobian[1] = 2.0 * x * y * dRadial + 2.0 * warp.p1 * x + 2.0 * warp.p2 * y;
+    jacobian[2] = jacobian[1];
+    jacobian[3] = radial + 2.0 * y * y * dRadial + 6.0 * warp.p1 * y + 2.0 * warp.p2 * x;
+  }
+  return [x * radial + 2.0 * warp.p1 * x * y + warp.p2 * (r2 + 2.0 * x * x),
+          y * radial + warp.p1 * (r2 + 2.0 * y * y) + 2.0 * warp.p2 * x * y];
+}
+function invertDistortion(warp, xd, yd, tolerance, maxIterations) { // Newton iterations
+  var x = xd;
+  var y = yd;
+  var jacobian = [0, 0, 0, 0];
+  for (var iteration = 0; iteration < maxIterations; ++iteration) {
+    var distorted = applyDistortion(warp, x, y, jacobian);
+    var ex = distorted[0] - xd;
+    var ey = distorted[1] - yd;
+    if (Math.abs(ex) <= tolerance && Math.abs(ey) <= tolerance)
+      return [x, y];
+    var det = jacobian[0] * jacobian[3] - jacobian[1] * jacobian[2];
+    if (!isFinite(det) || Math.abs(det) < 1e-12)
+      break;
+    x -= (jacobian[3] * ex - jacobian[1] * ey) / det;
+    y -= (jacobian[0] * ey - jacobian[2] * ex) / det;
+  }
+  return [NaN, NaN];
+}
+
+/**
+ * Returns the pinhole intrinsics used by the ImageWarp model for an image of the given size
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {size} The image size in pixels [width, height]
+ * @return {object} An object { fx: 1400, fy: 1400, cx: 700, cy: 450 } in pixels
+ */
+function getImageWarpIntrinsics(imageWarp, size) {
+  var warp = readImageWarp(imageWarp);
+  var fx = warp.focal * size[0];
+  return {
+    fx: fx,
+    fy: fx * warp.aspect,
+    cx: warp.centerX * size[0],
+    cy: warp.centerY * size[1]
+  };
+}
+
+/**
+ * Applies the ImageWarp distortion to an ideal point in normalized camera coordinates
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {point} The ideal normalized point [x, y]
+ * @return {array} The distorted normalized point [xd, yd]
+ */
+function distortNormalizedPoint(imageWarp, point) {
+  return applyDistortion(readImageWarp(imageWarp), point[0], point[1]);
+}
+
+/**
+ * Removes the ImageWarp distortion from a point in normalized camera coordinates. The model has
+ * no closed form inverse, it is inverted with Newton iterations
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {point} The distorted normalized point [xd, yd]
+ * @param {options} Optional object with the following fields
+ *                    tolerance     - maximum residual in normalized coordinates (default: 1e-10)
+ *                    maxIterations - (default: 20)
+ * @return {array} The ideal normalized point [x, y], or [NaN, NaN] if the iterations did not
+ *                 converge (e.g. points outside the valid area of strong distortions)
+ */
+function undistortNormalizedPoint(imageWarp, point, options) {
+  options = options || {};
+  return invertDistortion(readImageWarp(imageWarp), point[0], point[1],
+                          options.tolerance !== undefined ? options.tolerance : 1e-10,
+                          options.maxIterations !== undefined ? options.maxIterations : 20);
+}
+
+/**
+ * Maps an ideal pixel (pinhole projection) to the matching pixel of the captured image
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {size} The image size in pixels [width, height]
+ * @param {pixel} The ideal pixel [u, v]
+ * @return {array} The distorted pixel [ud, vd]
+ */
+function distortPixel(imageWarp, size, pixel) {
+  var intrinsics = getImageWarpIntrinsics(imageWarp, size);
+  var distorted = distortNormalizedPoint(imageWarp, [(pixel[0] - intrinsics.cx) / intrinsics.fx,
+                                                     (pixel[1] - intrinsics.cy) / intrinsics.fy]);
+  return [distorted[0] * intrinsics.fx + intrinsics.cx, distorted[1] * intrinsics.fy + intrinsics.cy];
+}
+
+/**
+ * Maps a pixel of the captured image to the matching ideal pixel (pinhole projection)
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {size} The image size in pixels [width, height]
+ * @param {pixel} The distorted pixel [ud, vd]
+ * @param {options} Optional tolerance (in pixels, default: 1e-6) and maxIterations fields
+ * @return {array} The ideal pixel [u, v], or [NaN, NaN] if the iterations did not converge
+ */
+function undistortPixel(imageWarp, size, pixel, options) {
+  options = options || {};
+  var intrinsics = getImageWarpIntrinsics(imageWarp, size);
+  var tolerance = (options.tolerance !== undefined ? options.tolerance : 1e-6) /
+                  Math.max(Math.abs(intrinsics.fx), Math.abs(intrinsics.fy));
+  var ideal = undistortNormalizedPoint(imageWarp, [(pixel[0] - intrinsics.cx) / intrinsics.fx,
+                                                   (pixel[1] - intrinsics.cy) / intrinsics.fy],
+                                       { tolerance: tolerance, maxIterations: options.maxIterations });
+  return [ideal[0] * intrinsics.fx + intrinsics.cx, ideal[1] * intrinsics.fy + intrinsics.cy];
+}
+
+/**
+ * Builds the lookup maps to undistort a captured image: for every pixel of the ideal (undistorted)
+ * image they hold the position to sample in the captured image, e.g.
+ *
+ *   undistorted[y * width + x] = sample(captured, map.mapX[y * width + x], map.mapY[y * width + x]);
+ *
+ * Positions use the continuous pixel coordinates described above, so the center of the top-left
+ * pixel is [0.5, 0.5] (subtract 0.5 for APIs indexing pixel centers by integers)
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {size} The image size in pixels [width, height]
+ * @return {object} An object { width: 1400, height: 900, mapX: Float32Array, mapY: Float32Array }
+ */
+function createUndistortionMap(imageWarp, size) {
+  var warp = readImageWarp(imageWarp);
+  var intrinsics = getImageWarpIntrinsics(imageWarp, size);
+  var width = Math.round(size[0]);
+  var height = Math.round(size[1]);
+  var mapX = new Float32Array(width * height);
+  var mapY = new Float32Array(width * height);
+  for (var y = 0; y < height; ++y) {
+    var ny = (y + 0.5 - intrinsics.cy) / intrinsics.fy;
+    for (var x = 0; x < width; ++x) {
+      var distorted = applyDistortion(warp, (x + 0.5 - intrinsics.cx) / intrinsics.fx, ny);
+      mapX[y * width + x] = distorted[0] * intrinsics.fx + intrinsics.cx;
+      mapY[y * width + x] = distorted[1] * intrinsics.fy + intrinsics.cy;
+    }
+  }
+  return { width: width, height: height, mapX: mapX, mapY: mapY };
+}
+
+/**
+ * Builds the lookup maps to distort an ideal image (e.g. a rendering) so that it matches the
+ * captured image: for every pixel of the captured image they hold the position to sample in the
+ * ideal image. Pixels where the inversion does not converge are set to NaN
+ * @param {imageWarp} The ImageWarp object of a GeoCast
+ * @param {size} The image size in pixels [width, height]
+ * @param {options} Optional tolerance and maxIterations fields (see undistortPixel())
+ * @return {object} An object { width: 1400, height: 900, mapX: Float32Array, mapY: Float32Array }
+ */
+function createDistortionMap(imageWarp, size, options) {
+  options = options || {};
+  var warp = readImageWarp(imageWarp);
+  var intrinsics = getImageWarpIntrinsics(imageWarp, size);
+  var tolerance = (options.tolerance !== undefined ? options.tolerance : 1e-6) /
+                  Math.max(Math.abs(intrinsics.fx), Math.abs(intrinsics.fy));
+  var maxIterations = (options.maxIterations !== undefined ? options.maxIterations : 20);
+  var width = Math.round(size[0]);
+  var height = Math.round(size[1]);
+  var mapX = new Float32Array(width * height);
+  var mapY = new Float32Array(width * height);
+  for (var y = 0; y < height; ++y) {
+    var ny = (y + 0.5 - intrinsics.cy) / intrinsics.fy;
+    for (var x = 0; x < width; ++x) {
+      var ideal = invertDistortion(warp, (x + 0.5 - intrinsics.cx) / intrinsics.fx, ny,
+                                   tolerance, maxIterations);
+      mapX[y * width + x] = ideal[0] * intrinsics.fx + intrinsics.cx;
+      mapY[y * width + x] = ideal[1] * intrinsics.fy + intrinsics.cy;
+    }
+  }
+  return { width: width, height: height, mapX: mapX, mapY: mapY };
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getImageWarpIntrinsics: getImageWarpIntrinsics,
+    distortNormalizedPoint: distortNormalizedPoint,
+    undistortNormalizedPoint: undistortNormalizedPoint,
+    distortPixel: distortPixel,
+    undistortPixel: undistortPixel,
+    createUndistortionMap: createUndistortionMap,
+    createDistortionMap: createDistortionMap
+  };
+}
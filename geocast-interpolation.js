@@ -0,0 +1,252 @@
+// glMatrix 2.3.2 or higher, geoscene-filereader.js and geocast-camera.js are required - make sure
+// to include them before this js file (under Node.js they are loaded automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat3 = require('./gl-matrix-min.js').mat3;
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var vec3 = require('./gl-matrix-min.js').vec3;
+  var quat = require('./gl-matrix-min.js').quat;
+  var degToRad = require('./geoscene-filereader.js').degToRad;
+  var getViewMatrix = require('./geocast-camera.js').getViewMatrix;
+}
+
+// <[utility functions]>
+function lerp(a, b, alpha) {
+  return a + (b - a) * alpha;
+}
+function lerpArray(a, b, alpha) {
+  if (!a || !b)
+    return a || b;
+  return a.map(function (value, i) {
+    return lerp(value, b[i], alpha);
+  });
+}
+// Poses are kept in double precision: the centers of georeferenced scenes would jitter by
+// decimeters in the single precision glMatrix objects
+function getPose(geocast) { // Camera center and world to eye rotation
+  var view = getViewMatrix(geocast);
+  var inverseView = mat4.invert(new Float64Array(16), view);
+  if (!inverseView)
+    throw new Error("The GeoCast ModelviewMatrix is not invertible");
+  var rotation = quat.fromMat3(new Float64Array(4), mat3.fromMat4(new Float64Array(9), view));
+  return {
+    center: new Float64Array([inverseView[12], inverseView[13], inverseView[14]]),
+    rotation: quat.normalize(rotation, rotation)
+  };
+}
+function hermite(p0, p1, m0, m1, s) { // Cubic Hermite curve between p0 and p1, s in [0, 1]
+  var s2 = s * s;
+  var s3 = s2 * s;
+  return new Float64Array([0, 1, 2].map(function (i) {
+    return (2 * s3 - 3 * s2 + 1) * p0[i] + (s3 - 2 * s2 + s) * m0[i] +
+           (-2 * s3 + 3 * s2) * p1[i] + (s3 - s2) * m1[i];
+  }));
+}
+function createModelviewMatrix(center, rotation) { // Row-major, see parseGeoCastContent()
+  var translation = vec3.transformQuat(new Float64Array(3), center, rotation);
+  vec3.negate(translation, translation);
+  var view = mat4.fromRotationTranslation(new Float64Array(16), rotation, translation);
+  return mat4.transpose(view, view);
+}
+
+/**
+ * Blends two GeoCast objects: the camera centers are interpolated linearly, the rotations of the
+ * ModelviewMatrix with a spherical interpolation and every projection parameter (Fovy, Aspect,
+ * ClipRange, WindowSize, ProjRange, ZDataRange, ViewSlice and the ImageWarp coefficients)
+ * linearly. Non numeric fields (e.g. DataProject) are taken from the nearest GeoCast. Alpha
+ * values outside [0, 1] extrapolate
+ * @param {geocastA} The GeoCast object at alpha 0 (see parseGeoCastContent())
+ * @param {geocastB} The GeoCast object at alpha 1
+ * @param {alpha} The blending factor
+ * @param {options} Optional object with the following fields
+ *                    center - the camera center to use instead of the interpolated one (e.g.
+ *                             from a spline, see getCameraAtTime())
+ * @return {object} A new GeoCast object, with its OrthoMatrix or PerspMatrix rebuilt. Its
+ *                  ModelviewMatrix is a Float64Array, as the ones of transformScene()
+ */
+function blendGeoCasts(geocastA, geocastB, alpha, options) {
+  options = options || {};
+  var nearest = (alpha < 0.5) ? geocastA : geocastB;
+  var poseA = getPose(geocastA);
+  var poseB = getPose(geocastB);
+  var center = options.center || vec3.lerp(new Float64Array(3), poseA.center, poseB.center, alpha);
+  var rotation = quat.slerp(new Float64Array(4), poseA.rotation, poseB.rotation, alpha);
+  quat.normalize(rotation, rotation);
+
+  var output = {
+    Version: nearest.Version,
+    diagnostics: []
+  };
+  if (nearest.CameraType)
+    output.CameraType = nearest.CameraType;
+  output.CameraPosition = [center[0], center[1], center[2]];
+  if (geocastA.ViewSlice && geocastB.ViewSlice) {
+    output.ViewSlice = {
+      FODAngle: lerp(geocastA.ViewSlice.FODAngle, geocastB.ViewSlice.FODAngle, alpha),
+      Size: lerp(geocastA.ViewSlice.Size, geocastB.ViewSlice.Size, alpha)
+    };
+  } else if (nearest.ViewSlice) {
+    output.ViewSlice = { FODAngle: nearest.ViewSlice.FODAngle, Size: nearest.ViewSlice.Size };
+  }
+  output.ModelviewMatrix = createModelviewMatrix(center, rotation);
+
+  output.DataProject = nearest.DataProject;
+  var sameProjection = (geocastA.DataProject == geocastB.DataProject);
+  var blend = function (field) { // Projection parameters only blend within the same projection
+    var value = nearest[field];
+    if (!sameProjection)
+      return Array.isArray(value) ? value.slice() : value;
+    return Array.isArray(value) ? lerpArray(geocastA[field], geocastB[field], alpha) :
+                                  lerp(geocastA[field], geocastB[field], alpha);
+  };
+  if (output.DataProject == "Ortho") {
+    output.WindowSize = blend("WindowSize");
+    output.ProjRange = blend("ProjRange");
+    output.OrthoMatrix = mat4.ortho(mat4.create(),
+                                    -output.WindowSize[0] / 2.0, output.WindowSize[0] / 2.0,
+                                    -output.WindowSize[1] / 2.0, output.WindowSize[1] / 2.0,
+                                    output.ProjRange[0], output.ProjRange[1]);
+  } else if (output.DataProject == "Perspective") {
+    output.Fovy = blend("Fovy");
+    output.Aspect = blend("Aspect");
+    output.ClipRange = blend("ClipRange");
+    output.PerspMatrix = mat4.perspective(mat4.create(), degToRad(output.Fovy), output.Aspect,
+                                          output.ClipRange[0], output.ClipRange[1]);
+  }
+
+  if (geocastA.ImageWarp || geocastB.ImageWarp) {
+    // A GeoCast without ImageWarp has no distortion: its coefficients blend as zeros
+    var warpA = geocastA.ImageWarp || geocastB.ImageWarp;
+    var warpB = geocastB.ImageWarp || geocastA.ImageWarp;
+    var keys = ["aspect", "k1", "k2", "k3", "p1", "p2", "centerX", "centerY", "focal"];
+    output.ImageWarp = {};
+    keys.forEach(function (key) {
+      var isCoefficient = (key[0] == 'k' || key[0] == 'p');
+      var a = (isCoefficient && !geocastA.ImageWarp) ? 0.0 : warpA[key];
+      var b = (isCoefficient && !geocastB.ImageWarp) ? 0.0 : warpB[key];
+      output.ImageWarp[key] = lerp(a, b, alpha);
+    });
+  }
+  output.ZDataRange = lerpArray(geocastA.ZDataRange, geocastB.ZDataRange, alpha);
+  if (!output.ZDataRange)
+    delete output.ZDataRange;
+  if (nearest.WorldSpaceDepth)
+    output.WorldSpaceDepth = true;
+  if (nearest.extensions)
+    output.extensions = nearest.extensions;
+  return output;
+}
+
+/**
+ * Returns the GeoCast of a GeoCast or GeoCastZ entry at an arbitrary time, interpolated between
+ * the geocasts of the surrounding frames (see blendGeoCasts()). Time 0 is the first frame of the
+ * sequence and frame numbers advance with the frame rate, so that frame f is at time
+ * (f - first frame) / frameRate. Missing frames (see checkSequenceFrames()) are interpolated over.
+ *
+ * StaticCamera entries, and entries with a single geocast, pass through unchanged: their GeoCast
+ * object is returned as is. In lazy mode (see loadGeoScene()) the frames around the time must
+ * have been loaded with scene.getGeoCast() first, except for StaticCamera entries where any
+ * loaded frame is enough.
+ *
+ * The GeoScene objects expose this function as scene.getCameraAtTime(name, time, options).
+ *
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {name} The name of the GeoCast or GeoCastZ entry
+ * @param {time} The time in seconds
+ * @param {options} Optional object with the following fields
+ *                    frameRate     - frames per second (default: 25)
+ *                    ends          - "clamp" (default) holds the first and last frames before
+ *                                    and after the sequence, "extrapolate" continues the motion
+ *                                    of the first and last two frames
+ *                    interpolation - "linear" (default) or "spline" for the camera centers,
+ *                                    which then follow a Catmull-Rom curve through the frames
+ * @return {object} The GeoCast object at the given time
+ *
+ * Example usage:
+ *
+ *     var geocast = scene.getCameraAtTime("Field0", video.currentTime, { frameRate: 30 });
+ *     var camera = createGeoCastCamera(geocast, scene.geoCastSequence[0].size);
+ */
+function getCameraAtTime(scene, name, time, options) {
+  options = options || {};
+  var frameRate = options.frameRate || 25.0;
+  var entries = scene.geoCastSequence.concat(scene.geoCastZSequence);
+  var entry = null;
+  for (var i = 0; i < entries.length; ++i) {
+    if (entries[i].name == name) {
+      entry = entries[i];
+      break;
+    }
+  }
+  if (!entry)
+    throw new Error("No GeoCast or GeoCastZ named '" + name + "'");
+  var frames = scene.frames || [];
+  var peek = function (k) { // Lazy mode descriptors are looked up in the cache
+    var geocast = entry.geocast[k];
+    if (geocast && geocast.Version === undefined)
+      geocast = scene.getCachedGeoCast ? scene.getCachedGeoCast(name, frames[k]) : null;
+    return (geocast && geocast.ModelviewMatrix) ? geocast : null;
+  };
+  var load = function (k) {
+    var geocast = peek(k);
+    if (!geocast)
+      throw new Error("The geocast of '" + name + "' at frame " + frames[k] + " is not loaded");
+    return geocast;
+  };
+  var keys = []; // Indices of the frames which are not missing
+  entry.geocast.forEach(function (geocast, k) {
+    if (geocast !== null)
+      keys.push(k);
+  });
+  if (keys.length == 0)
+    throw new Error("Every frame of '" + name + "' is missing");
+  if (keys.length == 1)
+    return load(keys[0]);
+
+  var frame = frames[0] + time * frameRate;
+  var extrapolate = (options.ends == "extrapolate");
+  var k = 0; // Segment between keys[k] and keys[k + 1]
+  while (k < keys.length - 2 && frames[keys[k + 1]] <= frame)
+    ++k;
+  var frameA = frames[keys[k]];
+  var frameB = frames[keys[k + 1]];
+  var alpha = (frame - frameA) / (frameB - frameA);
+  // StaticCamera entries pass through before any other frame is needed: they share one geocast,
+  // which the lazy mode cache returns for every frame once loaded
+  var ends = [peek(keys[k]), peek(keys[k + 1])];
+  for (var e = 0; e < 2; ++e) {
+    if (ends[e] && ends[e].CameraType == "StaticCamera")
+      return ends[e];
+  }
+  if (!extrapolate && alpha <= 0.0)
+    return load(keys[k]);
+  if (!extrapolate && alpha >= 1.0)
+    return load(keys[k + 1]);
+  var geocastA = load(keys[k]);
+  var geocastB = load(keys[k + 1]);
+
+  var blendOptions = {};
+  if (options.interpolation == "spline" && alpha > 0.0 && alpha < 1.0) {
+    // Catmull-Rom tangents from the neighboring frames, scaled to the segment duration
+    var p1 = getPose(geocastA).center;
+    var p2 = getPose(geocastB).center;
+    var p0 = (k > 0) ? getPose(load(keys[k - 1])).center : p1;
+    var p3 = (k + 2 < keys.length) ? getPose(load(keys[k + 2])).center : p2;
+    var frame0 = (k > 0) ? frames[keys[k - 1]] : frameA;
+    var frame3 = (k + 2 < keys.length) ? frames[keys[k + 2]] : frameB;
+    var tangent = function (before, after, frameBefore, frameAfter) {
+      var scale = (frameB - frameA) / (frameAfter - frameBefore);
+      return [0, 1, 2].map(function (c) { return (after[c] - before[c]) * scale; });
+    };
+    blendOptions.center = hermite(p1, p2, tangent(p0, p2, frame0, frameB),
+                                  tangent(p1, p3, frameA, frame3), alpha);
+  }
+  return blendGeoCasts(geocastA, geocastB, alpha, blendOptions);
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    blendGeoCasts: blendGeoCasts,
+    getCameraAtTime: getCameraAtTime
+  };
+}
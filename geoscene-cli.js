@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+// Command-line tool to inspect, validate and convert GeoScene datasets - Node.js only, run it
+// without arguments for the usage
+var fs = require('fs');
+var path = require('path');
+var geoscene = require('./index.js');
+
+var usage = [
+  "Usage: geoscene <command> [options] <file>",
+  "",
+  "Commands:",
+  "  info <scene>               Version, sequence, cameras, surfaces, match groups and projections",
+  "  dump <scene>               The full resolved scene as JSON (matrices as arrays)",
+  "  validate <scene>           Lists the problems of the scene (see validateGeoScene()), exits",
+  "                             with code 1 if there are errors or the scene cannot be loaded",
+  "  convert <input> <output>   Converts between the supported formats",
+  "",
+  "Options:",
+  "  --json                     JSON output (info and validate)",
+  "  --strict                   Stop at the first parse problem",
+  "  --check-images             Also report the frames whose image is missing (validate)",
+  "  --from <format>            Input format of convert (default: from the file extension)",
+  "  --to <format>              Output format of convert (default: from the file extension)",
+  "  --no-geocasts              Do not write the GeoCast files of a converted scene",
+  "  --frustums                 Add the camera frustums to glTF output",
+  "  --images                   Add the image planes to glTF output",
+  "",
+  "Formats: geoscene (.geoscene), json (.json, the output of dump), colmap (a directory with the",
+  "COLMAP cameras.txt and images.txt, perspective cameras only), opencv (.yml or .yaml, the",
+  "OpenCV calibration of a single perspective camera, whose image is named after the file),",
+  "gltf (.gltf) and glb (.glb), the last two for output only"
+].join("\n");
+
+// <[utility functions]>
+function parseArguments(argv) {
+  var args = { positional: [], json: false, strict: false, checkImages: false, geocasts: true };
+  for (var i = 0; i < argv.length; ++i) {
+    var arg = argv[i];
+    if (arg == "--json")
+      args.json = true;
+    else if (arg == "--strict")
+      args.strict = true;
+    else if (arg == "--check-images")
+      args.checkImages = true;
+    else if (arg == "--no-geocasts")
+      args.geocasts = false;
+    else if (arg == "--frustums")
+      args.frustums = true;
+    else if (arg == "--images")
+      args.images = true;
+    else if (arg == "--from" || arg == "--to") {
+      if (i + 1 >= argv.length)
+        throw new Error("Missing value for " + arg);
+      args[arg.substring(2)] = argv[++i];
+    } else if (arg == "-h" || arg == "--help")
+      args.help = true;
+    else if (arg.substring(0, 2) == "--")
+      throw new Error("Unrecognized option " + arg);
+    else
+      args.positional.push(arg);
+  }
+  return args;
+}
+function shortestFloat32(value) { // As written by serializeGeoCast()
+  for (var precision = 1; precision < 17; ++precision) {
+    var rounded = parseFloat(value.toPrecision(precision));
+    if (Math.fround(rounded) === value)
+      return rounded;
+  }
+  return value;
+}
+function toJSONValue(key, value) { // JSON.stringify() replacer: typed arrays become plain arrays
+  var type = Object.prototype.toString.call(value);
+  if (type == '[object Float32Array]')
+    return Array.prototype.map.call(value, shortestFloat32);
+  if (/^\[object \w+Array\]$/.test(type) && type != '[object Array]')
+    return Array.prototype.slice.call(value);
+  return value;
+}
+function fromJSONScene(scene) { // Restores the matrices of a dumped scene as mat4 objects
+  var mat4 = geoscene.glMatrix.mat4;
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    entry.geocast.forEach(function (geocast) {
+      if (!geocast)
+        return;
+      if (geocast.ModelviewMatrix) // Double precision for georeferenced translations
+        geocast.ModelviewMatrix = new Float64Array(geocast.ModelviewMatrix);
+      ["OrthoMatrix", "PerspMatrix"].forEach(function (field) {
+        if (geocast[field])
+          geocast[field] = mat4.clone(geocast[field]);
+      });
+    });
+  });
+  return scene;
+}
+function readTextFile(filePath, args) { // Through the loader of main(), as the scene files
+  return Promise.resolve((args.loader || geoscene.createDefaultLoader())(filePath));
+}
+function writeFile(filePath, content) {
+  var directory = path.dirname(filePath);
+  if (!fs.existsSync(directory))
+    fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(filePath, content);
+}
+function getFormat(filePath, format) {
+  if (format) {
+    if (!formats[format])
+      throw new Error("Unrecognized format '" + format + "'");
+    return format;
+  }
+  var extension = path.extname(filePath).toLowerCase();
+  for (var name in formats) {
+    if (formats[name].extensions.indexOf(extension) >= 0)
+      return name;
+  }
+  if (fs.existsSync(path.join(filePath, "cameras.txt")))
+    return "colmap";
+  throw new Error("Cannot tell the format of '" + filePath + "', use --from or --to");
+}
+function createCameraScene(images) { // One single-frame GeoCast entry per imported image
+  var names = {};
+  var lines = ["GeoScene V2.0", "Sequence 0 0"];
+  images.forEach(function (image) {
+    var name = image.name.replace(/\.[^.\/]*$/, '').replace(/\W/g, '_');
+    if (names[name])
+      name += "_" + image.imageId;
+    names[name] = true;
+    if (/\s|%/.test(image.name))
+      throw new Error("The image name '" + image.name + "' cannot be used in a GeoScene file");
+    lines.push("GeoCast " + name + " " + image.size[0] + " " + image.size[1] + " " + image.name +
+               " cameras/" + name + ".geocast");
+  });
+  var scene = geoscene.parseGeoSceneContent(lines.join("\n") + "\n", "", { loadGeoCasts: false });
+  scene.geoCastSequence.forEach(function (entry, i) {
+    entry.geocast = [images[i].geocast];
+  });
+  return scene;
+}
+function loadScene(filePath, args, options) {
+  options = options || {};
+  return geoscene.loadGeoScene(filePath, {
+    loader: args.loader,
+    strict: args.strict,
+    missingFrames: options.missingFrames,
+    checkImages: options.checkImages
+  });
+}
+
+// <[formats]>
+// Every format reads a file to a GeoScene object with its geocasts loaded and writes it back,
+// export-only formats have no read function
+var formats = {
+  geoscene: {
+    extensions: [".geoscene"],
+    read: function (filePath, args) {
+      return loadScene(filePath, args);
+    },
+    write: function (scene, filePath, args) {
+      var content = geoscene.serializeGeoScene(scene);
+      args.writeFile(filePath, content);
+      if (!args.geocasts)
+        return;
+      // The GeoCast files go where the written scene resolves them
+      var written = geoscene.parseGeoSceneContent(content, geoscene.getBasePath(filePath),
+                                                  { loadGeoCasts: false });
+      var entries = scene.geoCastSequence.concat(scene.geoCastZSequence);
+      written.geoCastSequence.concat(written.geoCastZSequence).forEach(function (writtenEntry, i) {
+        entries[i].geocast.forEach(function (geocast, k) {
+          if (geocast && k < writtenEntry.geocastFile.length)
+            args.writeFile(writtenEntry.geocastFile[k], geoscene.serializeGeoCast(geocast));
+        });
+      });
+    }
+  },
+  colmap: {
+    extensions: [],
+    read: function (directory, args) {
+      return Promise.all([readTextFile(path.join(directory, "cameras.txt"), args),
+                          readTextFile(path.join(directory, "images.txt"), args)]).then(
+        function (contents) {
+          return createCameraScene(geoscene.importCOLMAP(contents[0], contents[1]));
+        });
+    },
+    write: function (scene, directory, args) {
+      var colmap = geoscene.exportCOLMAP(scene);
+      args.writeFile(path.join(directory, "cameras.txt"), colmap.cameras);
+      args.writeFile(path.join(directory, "images.txt"), colmap.images);
+    }
+  },
+  opencv: {
+    extensions: [".yml", ".yaml"],
+    read: function (filePath, args) {
+      return readTextFile(filePath, args).then(function (content) {
+        var camera = geoscene.importOpenCVYAML(content);
+        return createCameraScene([{
+          name: path.basename(filePath, path.extname(filePath)) + ".png",
+          size: camera.size,
+          geocast: camera.geocast
+        }]);
+      });
+    },
+    write: function (scene, filePath, args) {
+      var cameras = [];
+      scene.geoCastSequence.forEach(function (entry) {
+        entry.geocast.forEach(function (geocast) {
+          if (geocast && cameras.every(function (camera) { return camera.geocast !== geocast; }))
+            cameras.push({ geocast: geocast, size: entry.size });
+        });
+      });
+      if (cameras.length != 1)
+        throw new Error("The opencv format holds a single camera, the scene has " + cameras.length);
+      args.writeFile(filePath, geoscene.exportOpenCVYAML(cameras[0].geocast, cameras[0].size));
+    }
+  },
+  gltf: {
+    extensions: [".gltf"],
+    write: function (scene, filePath, args) {
+      var gltf = geoscene.exportGLTF(scene, { frustums: args.frustums, images: args.images });
+      args.writeFile(filePath, JSON.stringify(gltf, null, 2) + "\n");
+    }
+  },
+  glb: {
+    extensions: [".glb"],
+    write: function (scene, filePath, args) {
+      var glb = geoscene.exportGLB(scene, { frustums: args.frustums, images: args.images });
+      args.writeFile(filePath, Buffer.from(glb));
+    }
+  },
+  json: {
+    extensions: [".json"],
+    read: function (filePath, args) {
+      return readTextFile(filePath, args).then(function (content) {
+        return fromJSONScene(JSON.parse(content));
+      });
+    },
+    write: function (scene, filePath, args) {
+      args.writeFile(filePath, JSON.stringify(scene, toJSONValue, 2) + "\n");
+    }
+  }
+};
+
+// <[commands]>
+function getProjections(entry) {
+  var projections = [];
+  entry.geocast.forEach(function (geocast) {
+    if (geocast && geocast.DataProject && projections.indexOf(geocast.DataProject) < 0)
+      projections.push(geocast.DataProject);
+  });
+  return projections;
+}
+function getSceneInfo(scene) {
+  var describeEntry = function (entry) {
+    return {
+      name: entry.name,
+      size: entry.size,
+      imagePattern: entry.imagePattern,
+      geocastPattern: entry.geocastPattern,
+      projections: getProjections(entry),
+      cameraType: (entry.geocast[0] && entry.geocast[0].CameraType) || null,
+      missingFrames: entry.missingFrames || []
+    };
+  };
+  return {
+    version: scene.version,
+    sequence: scene.sequence || null,
+    sequenceStep: scene.sequenceStep,
+    sequenceOffset: scene.sequenceOffset,
+    frameCount: scene.frames ? scene.frames.length : 0,
+    dataformat: scene.dataformat || null,
+    cameras: scene.geoCastSequence.map(describeEntry),
+    surfaces: scene.geoCastZSequence.map(describeEntry),
+    matchGroups: scene.matchGroupSequence.map(function (matchGroup) {
+      return {
+        index: matchGroup.index,
+        cameras: matchGroup.matchCamSequence,
+        surfaces: matchGroup.matchSurfaceSequence
+      };
+    })
+  };
+}
+function formatSceneInfo(filePath, info) {
+  var lines = [];
+  lines.push(filePath + ": GeoScene V" + info.version);
+  if (info.sequence) {
+    var sequence = "Sequence: " + info.sequence[0] + " to " + info.sequence[1];
+    if (info.sequenceStep !== undefined && info.sequenceStep != 1)
+      sequence += " step " + info.sequenceStep;
+    if (info.sequenceOffset)
+      sequence += " offset " + info.sequenceOffset;
+    lines.push(sequence + " (" + info.frameCount + " frames)");
+  }
+  if (info.dataformat)
+    lines.push("DataFormat: " + info.dataformat);
+  var formatEntries = function (title, entries) {
+    lines.push(title + " (" + entries.length + ")");
+    entries.forEach(function (entry) {
+      var line = "  " + entry.name + "  " + entry.size[0] + "x" + entry.size[1] + "  " +
+                 (entry.projections.join("/") || "-") + "  " + (entry.cameraType || "-") + "  " +
+                 entry.imagePattern + "  " + entry.geocastPattern;
+      if (entry.missingFrames.length > 0)
+        line += "  (missing frames: " + entry.missingFrames.join(" ") + ")";
+      lines.push(line);
+    });
+  };
+  formatEntries("Cameras", info.cameras);
+  formatEntries("Surfaces", info.surfaces);
+  lines.push("Match groups (" + info.matchGroups.length + ")");
+  info.matchGroups.forEach(function (matchGroup) {
+    lines.push("  " + matchGroup.index + ": cameras " + (matchGroup.cameras.join(" ") || "-") +
+               "; surfaces " + (matchGroup.surfaces.join(" ") || "-"));
+  });
+  return lines.join("\n");
+}
+
+var commands = {
+  info: function (args, out) {
+    var filePath = args.positional[0];
+    return loadScene(filePath, args, { missingFrames: "gap" }).then(function (scene) {
+      var info = getSceneInfo(scene);
+      out(args.json ? JSON.stringify(info, null, 2) : formatSceneInfo(filePath, info));
+      return 0;
+    });
+  },
+  dump: function (args, out) {
+    return loadScene(args.positional[0], args).then(function (scene) {
+      out(JSON.stringify(scene, toJSONValue, 2));
+      return 0;
+    });
+  },
+  validate: function (args, out, err) {
+    var filePath = args.positional[0];
+    return loadScene(filePath, args, {
+      missingFrames: "gap",
+      checkImages: args.checkImages
+    }).then(function (scene) {
+      var findings = geoscene.validateGeoScene(scene, { fileName: filePath });
+      var errors = findings.filter(function (finding) {
+        return finding.severity == "error";
+      }).length;
+      if (args.json) {
+        out(JSON.stringify(findings, null, 2));
+      } else {
+        findings.forEach(function (finding) {
+          out(geoscene.formatDiagnostic(finding));
+        });
+        out(filePath + ": " + errors + " error(s), " + (findings.length - errors) + " warning(s)");
+      }
+      return (errors > 0) ? 1 : 0;
+    }, function (error) { // A scene which cannot be loaded is invalid, not a usage error
+      err("geoscene: " + error.message);
+      return 1;
+    });
+  },
+  convert: function (args) {
+    var input = args.positional[0];
+    var output = args.positional[1];
+    if (output === undefined)
+      throw new Error("convert needs an input and an output file");
+    var from = getFormat(input, args.from);
+    var to = getFormat(output, args.to);
+    if (!formats[from].read)
+      throw new Error("The " + from + " format can only be written");
+    return formats[from].read(input, args).then(function (scene) {
+      return formats[to].write(scene, output, args);
+    }).then(function () {
+      return 0;
+    });
+  }
+};
+
+/**
+ * Runs the command-line tool
+ * @param {argv} The arguments without the node and script paths, e.g. ["info", "my.geoscene"]
+ * @param {io} Optional object with the following fields
+ *               out       - output function of the results, out(line) (default: the standard
+ *                           output stream)
+ *               err       - output function of the errors, err(line) (default: the standard
+ *                           error stream)
+ *               loader    - the loader of every file read (default: createDefaultLoader())
+ *               writeFile - function writeFile(filePath, content) of every file written
+ *                           (default: writes to the file system, creating the directories)
+ * @return {Promise} A promise resolved with the exit code
+ *                     0 - success
+ *                     1 - validate found errors, or could not load the scene
+ *                     2 - usage errors, or info, dump and convert could not read or write the
+ *                         files
+ */
+function main(argv, io) {
+  io = io || {};
+  var out = io.out || function (line) { process.stdout.write(line + "\n"); };
+  var err = io.err || function (line) { process.stderr.write(line + "\n"); };
+  return new Promise(function (resolve) {
+    var args = parseArguments(argv);
+    args.loader = io.loader;
+    args.writeFile = io.writeFile || writeFile;
+    var command = commands[args.positional.shift()];
+    if (args.help || !command || args.positional.length == 0) {
+      (args.help ? out : err)(usage);
+      resolve(args.help ? 0 : 2);
+      return;
+    }
+    resolve(command(args, out, err));
+  }).catch(function (error) {
+    err("geoscene: " + error.message); // Load and parse errors already name their file
+    return 2;
+  });
+}
+
+// <[module exports]>
+module.exports = {
+  main: main
+};
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(function (code) {
+    process.exitCode = code;
+  });
+}
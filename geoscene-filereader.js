@@ -1,12 +1,23 @@
 // glMatrix 2.3.2 or higher is required - make sure to include it before this js file
+// (under Node.js the bundled gl-matrix-min.js is loaded automatically)
+if (typeof module !== 'undefined' && module.exports)
+  var mat4 = require('./gl-matrix-min.js').mat4;
 
 /**
- * Reads a GeoScene text file on the local webserver via AJAX
+ * Reads a GeoScene text file on the local webserver via AJAX (or through the given loader)
  * @param {filePath} The local or relative path to the text file to be read
  * @param {callback} A callback function which accepts a GeoScene output object as input parameter
  *                   (see parseGeoSceneContent() for more information)
+ * @param {errorCallback} Optional function called with an Error (whose 'url' field holds filePath)
+ *                        if the file could not be loaded
+ * @param {options} Optional object with the following fields
+ *                    loader - the loader used for the GeoScene file and the GeoCast files it
+ *                             references (see createDefaultLoader())
  * @return {void}
  *
+ * Note: the callback is invoked as soon as the GeoScene file itself is parsed, the referenced
+ * GeoCast files are loaded in the background. Use loadGeoScene() to wait for all of them.
+ *
  * Example usage:
  *
  *     var callback = function (output) {
@@ -15,48 +26,908 @@
  *     var res = readGeoSceneFile("myscene.geoscene", callback);
  *
  */
-function readGeoSceneFile(filePath, callback) {
-  var rawFile = new XMLHttpRequest();  
-  rawFile.open("GET", filePath, true);
-  rawFile.overrideMimeType('text/plain');
-  rawFile.onreadystatechange = function () {
-    if(rawFile.readyState === 4) {
-      if(rawFile.status === 200 || rawFile.status == 0) {
-        var content = rawFile.responseText;
-        // Get basepath for geoscene data
-        var basepath = filePath.replace(/\/[^\/\n]*$|\\+[^\\\n]*$/, '');
-        var geoCastObj = parseGeoSceneContent(content, basepath);
-        callback(geoCastObj);
+function readGeoSceneFile(filePath, callback, errorCallback, options) {
+  options = options || {};
+  var loader = toLoaderFunction(options.loader);
+  loader(filePath).then(function (content) {
+    // Get basepath for geoscene data
+    var basepath = getBasePath(filePath);
+    var geoCastObj = parseGeoSceneContent(content, basepath, {
+      fileName: filePath,
+      loader: loader
+    });
+    callback(geoCastObj);
+  }, function (error) {
+    if (errorCallback)
+      errorCallback(error);
+  });
+}
+
+/**
+ * Loads a GeoScene file together with all the GeoCast files it references
+ * @param {filePath} The local or relative path to the GeoScene file to be read
+ * @param {options} Optional object with the following fields
+ *                    onProgress - function called after every loaded file with an object
+ *                                 { loaded: 3, total: 10, url: "cam0/0003.geocast" }
+ *                    signal     - an AbortSignal which cancels all the pending requests (and,
+ *                                 in lazy mode, the later on-demand ones)
+ *                    strict     - parse in strict mode (see parseGeoSceneContent())
+ *                    loader     - the loader used for every file (see createDefaultLoader())
+ *                    concurrency - maximum number of GeoCast requests in flight (default: 8)
+ *                    lazy       - if true the promise is resolved as soon as the GeoScene file is
+ *                                 parsed and the GeoCast files are only loaded on demand (see
+ *                                 below)
+ *                    cacheSize  - lazy mode only: maximum number of GeoCast frames kept in memory,
+ *                                 the least recently used ones are dropped first (default: 256)
+ *                    prefetch   - lazy mode only: number of following frames requested in the
+ *                                 background on every getGeoCast() call (default: 0). At most
+ *                                 cacheSize - 1, so that the requested frame stays cached
+ *                    missingFrames - "error" (default) rejects the promise when a GeoCast file
+ *                                 does not exist, "gap" reports it as a gap instead (see
+ *                                 checkSequenceFrames()). In lazy mode the existence of every
+ *                                 GeoCast file is checked upfront
+ *                    checkImages - also report the frames whose image is missing as gaps
+ *                                 (default: false)
+ * @return {Promise} A promise resolved with the GeoScene object (see parseGeoSceneContent()) once
+ *                   every geocast entry has been loaded. It is rejected with an Error whose 'url'
+ *                   field holds the file which failed to load (or with an 'AbortError' if cancelled).
+ *                   Files without a valid signature, and any problem at all in strict mode (warnings
+ *                   included), reject it with a GeoSceneParseError
+ *
+ * Example usage:
+ *
+ *     loadGeoScene("myscene.geoscene", {
+ *       onProgress: function (progress) { console.log(progress.loaded + "/" + progress.total); }
+ *     }).then(function (scene) {
+ *       // every scene.geoCastSequence[i].geocast[k] is available here
+ *     }, function (error) {
+ *       console.log("Could not load " + error.url);
+ *     });
+ *
+ * In lazy mode every geocast array holds frame descriptors { frame: 12, url: "cam0/0012.geocast" }
+ * instead of the GeoCast objects, and the following functions are added to the scene object
+ *
+ *   scene.getGeoCast(name, frame) -> Promise resolved with the GeoCast object of the GeoCast or
+ *                                    GeoCastZ entry 'name' at the given frame number
+ *   scene.getCachedGeoCast(name, frame) -> the GeoCast object if already loaded, null otherwise
+ *   scene.prefetchGeoCasts(name, frame, count) -> requests the given frames in the background
+ *                                                 (at most cacheSize - 1 of them)
+ *
+ * Entries whose geocast is a StaticCamera (or a single file for the whole sequence) are loaded
+ * once and shared by every frame, they are never dropped from the cache.
+ *
+ *     loadGeoScene("long.geoscene", { lazy: true, prefetch: 10 }).then(function (scene) {
+ *       return scene.getGeoCast("Field0", 2500);
+ *     }).then(function (geocast) {
+ *       // ...
+ *     });
+ */
+function loadGeoScene(filePath, options) {
+  options = options || {};
+  // Internal controller used to cancel the sibling requests as soon as one of them fails
+  var controller = (typeof AbortController !== 'undefined') ? new AbortController() : null;
+  var signal = controller ? controller.signal : options.signal;
+  var onAbort = function () {
+    controller.abort();
+  };
+  var cleanup = function () { // Long-lived signals reused by many loads keep no listener
+    if (controller && options.signal)
+      options.signal.removeEventListener('abort', onAbort);
+  };
+  if (controller && options.signal) {
+    if (options.signal.aborted)
+      controller.abort();
+    else
+      options.signal.addEventListener('abort', onAbort);
+  }
+
+  var loader = toLoaderFunction(options.loader);
+  var queue = createRequestQueue(options.concurrency || 8);
+  var gaps = (options.missingFrames == "gap");
+
+  return loader(filePath, signal).then(function (content) {
+    var basepath = getBasePath(filePath);
+    var scene = parseGeoSceneContent(content, basepath, {
+      loadGeoCasts: false,
+      fileName: filePath,
+      strict: options.strict
+    });
+    if (!scene.version)
+      throw new GeoSceneParseError(scene.diagnostics[0]);
+    if (options.lazy) {
+      attachGeoCastCache(scene, queue, loader, signal, options);
+      if (!gaps && !options.checkImages)
+        return scene;
+      return checkFramesWithQueue(scene, queue, loader, signal, gaps, !!options.checkImages);
+    }
+
+    var entries = scene.geoCastSequence.concat(scene.geoCastZSequence);
+    var total = 1; // The GeoScene file itself
+    for (var i = 0; i < entries.length; ++i)
+      total += entries[i].geocastFile.length;
+    var loaded = 1;
+    if (options.onProgress)
+      options.onProgress({ loaded: loaded, total: total, url: filePath });
+
+    var requests = [];
+    if (gaps) {
+      entries.forEach(function (entry) {
+        entry.missingFrames = [];
+      });
+    }
+    entries.forEach(function (entry) {
+      entry.geocastFile.forEach(function (url, k) {
+        requests.push(queue(function () {
+          return loader(url, signal);
+        }).then(function (geocastContent) {
+          entry.geocast[k] = parseLoadedGeoCast(geocastContent, url, options);
+        }, function (error) {
+          if (!gaps || !isMissingFileError(error))
+            throw error;
+          entry.geocast[k] = null;
+          entry.geocastFile[k] = null;
+          addMissingFrames(scene, entry, entry.geocastFile, k);
+        }).then(function () {
+          ++loaded;
+          if (options.onProgress)
+            options.onProgress({ loaded: loaded, total: total, url: url });
+        }));
+      });
+    });
+    return Promise.all(requests).then(function () {
+      if (!options.checkImages)
+        return scene;
+      return checkFramesWithQueue(scene, queue, loader, signal, false, true);
+    });
+  }).then(function (scene) {
+    if (!options.lazy) // Lazy scenes keep loading on demand: the signal still cancels them
+      cleanup();
+    return scene;
+  }, function (error) {
+    cleanup();
+    if (controller)
+      controller.abort();
+    throw error;
+  });
+}
+
+function parseLoadedGeoCast(content, url, options) { // Parse errors reject the load promises
+  var geocastObject = parseGeoCastContent(content, {
+    fileName: url,
+    strict: options.strict
+  });
+  if (!geocastObject.Version)
+    throw new GeoSceneParseError(geocastObject.diagnostics[0]);
+  return geocastObject;
+}
+function createRequestQueue(concurrency) { // Runs promise-returning tasks with a concurrency limit
+  var running = 0;
+  var urgent = [];
+  var background = [];
+  var next = function () {
+    while (running < concurrency && (urgent.length > 0 || background.length > 0)) {
+      var task = (urgent.length > 0) ? urgent.shift() : background.shift();
+      ++running;
+      new Promise(function (resolve) {
+        resolve(task.run());
+      }).then(task.resolve, task.reject).then(function () {
+        --running;
+        next();
+      });
+    }
+  };
+  return function (run, isBackground) {
+    return new Promise(function (resolve, reject) {
+      var task = { run: run, resolve: resolve, reject: reject };
+      (isBackground ? background : urgent).push(task);
+      next();
+    });
+  };
+}
+function addMissingFrames(scene, entry, paths, index) { // A single file for every frame misses all
+  var frames = (paths.length == 1 && scene.frames.length > 1) ? scene.frames :
+               [scene.frames[index]];
+  frames.forEach(function (frame) {
+    if (entry.missingFrames.indexOf(frame) < 0)
+      entry.missingFrames.push(frame);
+  });
+  entry.missingFrames.sort(function (a, b) { return a - b; });
+}
+function checkFramesWithQueue(scene, queue, loader, signal, checkGeoCasts, checkImages) {
+  var existence = {}; // url -> promise, every file is checked once
+  var exists = function (url) {
+    if (!existence[url]) {
+      existence[url] = queue(function () {
+        return loader.exists(url, signal);
+      });
+    }
+    return existence[url];
+  };
+  var checks = [];
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    entry.missingFrames = entry.missingFrames || [];
+    var check = function (paths, onMissing) {
+      paths.forEach(function (url, k) {
+        if (url === null)
+          return;
+        checks.push(exists(url).then(function (found) {
+          if (found)
+            return;
+          paths[k] = null;
+          onMissing(k);
+          addMissingFrames(scene, entry, paths, k);
+        }));
+      });
+    };
+    if (checkGeoCasts) {
+      check(entry.geocastFile, function (k) {
+        entry.geocast[k] = null;
+      });
+    }
+    if (checkImages)
+      check(entry.image, function () {});
+  });
+  return Promise.all(checks).then(function () {
+    return scene;
+  });
+}
+
+/**
+ * Checks that every file referenced by a GeoScene exists and reports the frames with missing
+ * files as gaps, which callers can skip or interpolate over. Every GeoCast and GeoCastZ entry gets
+ * a sorted missingFrames array with the frame numbers of its gaps, and the paths of the missing
+ * files (in the image and geocastFile arrays) are replaced by null, as are the matching geocast
+ * entries. A missing file shared by the whole sequence makes every frame a gap
+ * @param {scene} The GeoScene object (see parseGeoSceneContent() and loadGeoScene())
+ * @param {options} Optional object with the following fields
+ *                    loader      - the loader used for the checks (see createDefaultLoader())
+ *                    signal      - an AbortSignal which cancels all the pending checks
+ *                    concurrency - maximum number of checks in flight (default: 8)
+ *                    images      - check the image files (default: true)
+ *                    geocasts    - check the GeoCast files (default: true)
+ * @return {Promise} A promise resolved with the scene once every file has been checked
+ *
+ * Example usage:
+ *
+ *     checkSequenceFrames(scene).then(function (scene) {
+ *       var gaps = scene.geoCastSequence[0].missingFrames; // e.g. [13, 14, 80]
+ *     });
+ */
+function checkSequenceFrames(scene, options) {
+  options = options || {};
+  return checkFramesWithQueue(scene, createRequestQueue(options.concurrency || 8),
+                              toLoaderFunction(options.loader), options.signal,
+                              options.geocasts !== false, options.images !== false);
+}
+function attachGeoCastCache(scene, queue, loader, signal, options) { // Lazy mode of loadGeoScene()
+  var cacheSize = (options.cacheSize !== undefined) ? options.cacheSize : 256;
+  var prefetch = Math.min(options.prefetch || 0, cacheSize - 1); // Never evicts the frame itself
+  var cache = new Map(); // url -> promise, in least recently used order
+  var shared = {}; // entry name -> promise of the geocast shared by every frame
+  var entries = {};
+
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    entries[entry.name] = entry;
+    entry.geocast = entry.geocastFile.map(function (url, k) {
+      return { frame: scene.frames[k], url: url };
+    });
+  });
+
+  var findDescriptor = function (name, frame) {
+    var entry = entries[name];
+    if (!entry)
+      throw new Error("No GeoCast or GeoCastZ named '" + name + "'");
+    if (entry.geocast.length == 1)
+      return entry.geocast[0];
+    var index = getFrameIndex(scene, frame);
+    if (index < 0)
+      throw new Error("Frame " + frame + " is out of the sequence of '" + name + "'");
+    if (!entry.geocast[index])
+      throw new Error("Frame " + frame + " of '" + name + "' is missing");
+    return entry.geocast[index];
+  };
+  var request = function (name, descriptor, isBackground) {
+    var entry = entries[name];
+    if (shared[name])
+      return shared[name];
+    var promise = cache.get(descriptor.url);
+    if (promise) {
+      cache.delete(descriptor.url); // Most recently used again
+      cache.set(descriptor.url, promise);
+      return promise;
+    }
+    promise = queue(function () {
+      return loader(descriptor.url, signal);
+    }, isBackground).then(function (content) {
+      var geocastObject = parseLoadedGeoCast(content, descriptor.url, options);
+      promise.geocast = geocastObject;
+      if (geocastObject.CameraType == "StaticCamera" || entry.geocast.length == 1) {
+        shared[name] = promise;
+        cache.delete(descriptor.url);
       }
+      return geocastObject;
+    });
+    promise.catch(function () {
+      if (cache.get(descriptor.url) === promise)
+        cache.delete(descriptor.url); // Failed requests are retried on the next access
+    });
+    cache.set(descriptor.url, promise);
+    while (cache.size > cacheSize)
+      cache.delete(cache.keys().next().value);
+    return promise;
+  };
+
+  scene.getGeoCast = function (name, frame) {
+    var promise;
+    try {
+      promise = request(name, findDescriptor(name, frame), false);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (prefetch > 0) { // Once loaded, so that static cameras are known by then
+      promise.then(function () {
+        scene.prefetchGeoCasts(name, frame + 1, prefetch);
+      }, function () {});
+    }
+    return promise;
+  };
+  scene.getCachedGeoCast = function (name, frame) {
+    var promise = shared[name] || cache.get(findDescriptor(name, frame).url);
+    return (promise && promise.geocast) ? promise.geocast : null;
+  };
+  scene.prefetchGeoCasts = function (name, frame, count) {
+    var entry = entries[name];
+    if (!entry)
+      throw new Error("No GeoCast or GeoCastZ named '" + name + "'");
+    count = Math.min(count, (entry.geocast.length == 1) ? 1 : cacheSize - 1);
+    var k = 0; // Frames lists may be sparse, start from the first frame at or after the given one
+    while (k < scene.frames.length && scene.frames[k] < frame)
+      ++k;
+    for (; k < scene.frames.length && count > 0; ++k, --count) {
+      var descriptor = entry.geocast[(entry.geocast.length == 1) ? 0 : k];
+      if (descriptor && !shared[name] && !cache.has(descriptor.url)) // Gaps are skipped
+        request(name, descriptor, true).catch(function () {}); // Errors surface on access
+    }
+  };
+}
+
+// <[diagnostics]>
+/**
+ * Error thrown by parseGeoSceneContent() and parseGeoCastContent() in strict mode
+ * @param {diagnostic} The diagnostic which caused the error (see reportDiagnostic()). Its fields
+ *                     (code, fileName, line, column, token) are also copied on the error object
+ */
+function GeoSceneParseError(diagnostic) {
+  this.name = 'GeoSceneParseError';
+  this.message = formatDiagnostic(diagnostic);
+  this.diagnostic = diagnostic;
+  this.code = diagnostic.code;
+  this.fileName = diagnostic.fileName;
+  this.line = diagnostic.line;
+  this.column = diagnostic.column;
+  this.token = diagnostic.token;
+  this.stack = (new Error(this.message)).stack;
+}
+GeoSceneParseError.prototype = Object.create(Error.prototype);
+GeoSceneParseError.prototype.constructor = GeoSceneParseError;
+
+/**
+ * Formats a diagnostic as a human-readable string, e.g.
+ *
+ *   "cam0.geocast:12:27: error: Missing ClipRange in DataProject line [MISSING_VALUE]"
+ *
+ * Findings without a line (e.g. the ones of validateGeoScene()) omit the position
+ * @param {diagnostic} The diagnostic object
+ * @return {string} The formatted message
+ */
+function formatDiagnostic(diagnostic) {
+  var position = (diagnostic.line !== undefined) ? ":" + diagnostic.line + ":" + diagnostic.column : "";
+  return (diagnostic.fileName || "<content>") + position +
+         ": " + diagnostic.severity + ": " + diagnostic.message + " [" + diagnostic.code + "]";
+}
+
+function createDiagnostics(options) { // Per-file diagnostics collector used by the parsers
+  return {
+    fileName: options.fileName,
+    strict: (options.strict === true),
+    reportUnknown: true, // Unknown directives and keys are warned about, see checkVersion()
+    list: []
+  };
+}
+function reportDiagnostic(diagnostics, severity, code, message, arrayOfLines, index, token,
+                          column) { // The column of the token is looked up if not given
+  var lineText = (index < arrayOfLines.length) ? arrayOfLines[index].replace(/\r$/, '') : "";
+  if (column === undefined) {
+    if (token !== undefined && token !== "" && lineText.indexOf(token) >= 0)
+      column = lineText.indexOf(token) + 1;
+    else if (token !== undefined)
+      column = lineText.replace(/\s+$/, '').length + 1; // Missing token - point past the line end
+    else
+      column = lineText.length - lineText.replace(/^\s+/, '').length + 1;
+  }
+  var diagnostic = {
+    severity: severity, // "error" or "warning"
+    code: code,
+    message: message,
+    fileName: diagnostics.fileName,
+    line: index + 1,
+    column: column,
+    token: token
+  };
+  if (diagnostics.strict)
+    throw new GeoSceneParseError(diagnostic);
+  diagnostics.list.push(diagnostic);
+  return diagnostic;
+}
+
+// <[loaders]>
+/**
+ * A loader is a function which accepts a path or URL and an optional AbortSignal and returns a
+ * Promise resolved with the text content of that file. It is rejected with an Error whose 'url'
+ * field holds the path (or with an 'AbortError' if cancelled). Custom loaders can be written by
+ * following the same contract, e.g.
+ *
+ *     var loader = function (url, signal) {
+ *       return myStorage.getText(url);
+ *     };
+ *     loadGeoScene("scenes/myscene.geoscene", { loader: loader });
+ *
+ * Wherever a loader is accepted a plain object or a Map from paths to contents can be given as
+ * well, it is then used as an in-memory loader (see createMemoryLoader()).
+ *
+ * Loaders can also have an exists(url, signal) function returning a Promise resolved with false
+ * if the file does not exist (e.g. a missing frame of a sequence), all the loaders created below
+ * have one. Without it existence is checked by loading the file.
+ */
+
+function createLoadError(url, status, reason) {
+  var error = new Error("Failed to load '" + url + "'" + (reason ? ": " + reason :
+                        " (HTTP status " + status + ")"));
+  error.url = url;
+  error.status = status;
+  return error;
+}
+function isMissingFileError(error) { // Missing files, as opposed to other loading failures
+  return !!error && (error.status == 404 || error.status == 410);
+}
+function createAbortError(url) {
+  var error = new Error("Loading of '" + url + "' was aborted");
+  error.name = 'AbortError';
+  error.url = url;
+  return error;
+}
+
+/**
+ * Creates a loader reading files via AJAX requests (browsers)
+ * @return {function} The loader
+ */
+function createXHRLoader() {
+  var loader = function (url, signal) {
+    return sendXHRRequest("GET", url, signal).then(function (rawFile) {
+      return rawFile.responseText;
+    });
+  };
+  loader.exists = function (url, signal) {
+    return sendXHRRequest("HEAD", url, signal).then(function () {
+      return true;
+    }, function (error) {
+      if (isMissingFileError(error))
+        return false;
+      throw error;
+    });
+  };
+  return loader;
+}
+function sendXHRRequest(method, url, signal) {
+  return new Promise(function (resolve, reject) {
+    if (signal && signal.aborted) {
+      reject(createAbortError(url));
+      return;
+    }
+    var rawFile = new XMLHttpRequest();
+    var onAbort = function () {
+      rawFile.abort();
+    };
+    var cleanup = function () {
+      if (signal)
+        signal.removeEventListener('abort', onAbort);
+    };
+    rawFile.open(method, url, true);
+    rawFile.overrideMimeType('text/plain');
+    rawFile.onload = function () {
+      cleanup();
+      if ((rawFile.status >= 200 && rawFile.status < 300) || rawFile.status == 0)
+        resolve(rawFile);
+      else
+        reject(createLoadError(url, rawFile.status));
+    };
+    rawFile.onerror = function () {
+      cleanup();
+      reject(createLoadError(url, rawFile.status, "network error"));
+    };
+    rawFile.onabort = function () {
+      cleanup();
+      reject(createAbortError(url));
+    };
+    if (signal)
+      signal.addEventListener('abort', onAbort);
+    rawFile.send();
+  });
+}
+
+/**
+ * Creates a loader reading files with the Fetch API (browsers, Node.js 18 or higher)
+ * @param {fetchFunction} Optional fetch implementation (default: the global fetch function)
+ * @return {function} The loader
+ */
+function createFetchLoader(fetchFunction) {
+  var request = function (method, url, signal) {
+    var fetchImpl = fetchFunction || (typeof fetch !== 'undefined' ? fetch : null);
+    if (!fetchImpl)
+      return Promise.reject(createLoadError(url, 0, "no fetch implementation available"));
+    var init = { method: method };
+    if (signal)
+      init.signal = signal;
+    return fetchImpl(url, init).then(function (response) {
+      if (!response.ok)
+        throw createLoadError(url, response.status);
+      return response;
+    }, function (error) {
+      if (error && error.name == 'AbortError')
+        throw createAbortError(url);
+      throw createLoadError(url, 0, error && error.message);
+    });
+  };
+  var loader = function (url, signal) {
+    return request("GET", url, signal).then(function (response) {
+      return response.text();
+    });
+  };
+  loader.exists = function (url, signal) {
+    return request("HEAD", url, signal).then(function () {
+      return true;
+    }, function (error) {
+      if (isMissingFileError(error))
+        return false;
+      throw error;
+    });
+  };
+  return loader;
+}
+
+/**
+ * Creates a loader reading files from the local filesystem (Node.js). file:// URLs are accepted
+ * @param {fs} Optional object with a Node.js compatible readFile() function (default: require('fs'))
+ * @return {function} The loader
+ */
+function createFileSystemLoader(fs) {
+  fs = fs || require('fs');
+  var toFilePath = function (url) {
+    return /^file:/i.test(url) ? require('url').fileURLToPath(url) : url;
+  };
+  var loader = function (url, signal) {
+    return new Promise(function (resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(createAbortError(url));
+        return;
+      }
+      fs.readFile(toFilePath(url), 'utf8', function (error, content) {
+        if (signal && signal.aborted)
+          reject(createAbortError(url));
+        else if (error)
+          reject(createLoadError(url, error.code == 'ENOENT' ? 404 : 0, error.message));
+        else
+          resolve(content);
+      });
+    });
+  };
+  loader.exists = function (url, signal) {
+    return new Promise(function (resolve, reject) {
+      if (signal && signal.aborted) {
+        reject(createAbortError(url));
+        return;
+      }
+      fs.stat(toFilePath(url), function (error, stats) {
+        if (error && error.code != 'ENOENT' && error.code != 'ENOTDIR')
+          reject(createLoadError(url, 0, error.message));
+        else
+          resolve(!error && stats.isFile());
+      });
+    });
+  };
+  return loader;
+}
+
+/**
+ * Creates a loader serving files from memory (e.g. for tests or for files generated on the fly)
+ * @param {files} A plain object or a Map whose keys are paths and whose values are the contents.
+ *                Paths are compared after normalization, e.g. "data/./cam/../a.geocast" matches
+ *                a "data/a.geocast" key
+ * @return {function} The loader
+ */
+function createMemoryLoader(files) {
+  var contents = {};
+  var add = function (value, key) {
+    contents[normalizePath(key)] = value;
+  };
+  if (typeof Map !== 'undefined' && files instanceof Map)
+    files.forEach(add);
+  else {
+    for (var key in files) {
+      if (Object.prototype.hasOwnProperty.call(files, key))
+        add(files[key], key);
     }
   }
-  rawFile.send();
+  var loader = function (url, signal) {
+    if (signal && signal.aborted)
+      return Promise.reject(createAbortError(url));
+    var key = normalizePath(url);
+    if (!Object.prototype.hasOwnProperty.call(contents, key))
+      return Promise.reject(createLoadError(url, 404));
+    return Promise.resolve(String(contents[key]));
+  };
+  loader.exists = function (url, signal) {
+    if (signal && signal.aborted)
+      return Promise.reject(createAbortError(url));
+    return Promise.resolve(Object.prototype.hasOwnProperty.call(contents, normalizePath(url)));
+  };
+  return loader;
+}
+
+/**
+ * Creates the loader used when none is given: AJAX requests in browsers, and under Node.js the
+ * Fetch API for http(s) URLs and the local filesystem for everything else
+ * @return {function} The loader
+ */
+function createDefaultLoader() {
+  if (typeof XMLHttpRequest !== 'undefined')
+    return createXHRLoader();
+  var fetchLoader = createFetchLoader();
+  var fileSystemLoader = null;
+  var select = function (url) {
+    if (/^https?:\/\//i.test(url))
+      return fetchLoader;
+    fileSystemLoader = fileSystemLoader || createFileSystemLoader();
+    return fileSystemLoader;
+  };
+  var loader = function (url, signal) {
+    return select(url)(url, signal);
+  };
+  loader.exists = function (url, signal) {
+    return select(url).exists(url, signal);
+  };
+  return loader;
+}
+
+function toLoaderFunction(loader) { // Normalizes the accepted loader forms to a loader function
+  if (loader === undefined || loader === null)
+    return createDefaultLoader();
+  if (typeof loader === 'function') {
+    var wrapper = function (url, signal) {
+      return new Promise(function (resolve) {
+        resolve(loader(url, signal)); // Also accepts loaders returning a plain string
+      }).catch(function (error) {
+        if (error instanceof Error && error.url === undefined)
+          error.url = url;
+        throw error;
+      });
+    };
+    wrapper.exists = function (url, signal) {
+      if (loader.exists) {
+        return new Promise(function (resolve) {
+          resolve(loader.exists(url, signal));
+        });
+      }
+      return wrapper(url, signal).then(function () {
+        return true;
+      }, function (error) {
+        if (isMissingFileError(error))
+          return false;
+        throw error;
+      });
+    };
+    return wrapper;
+  }
+  return createMemoryLoader(loader);
+}
+
+// <[paths]>
+/**
+ * Returns the directory part of a GeoScene/GeoCast path or URL, without the trailing separator.
+ * Query strings and fragments are ignored, '/' and '\\' separators can be mixed, e.g.
+ *
+ *   getBasePath("http://host/data/scene.geoscene?token=a/b") == "http://host/data"
+ *   getBasePath("C:\\captures\\day1/scene.geoscene") == "C:/captures/day1"
+ *   getBasePath("scene.geoscene") == ""
+ *
+ * @param {filePath} The path or URL of the file
+ * @return {string} The basepath
+ */
+function getBasePath(filePath) {
+  var path = filePath.replace(/[?#].*$/, '').replace(/\\/g, '/');
+  var index = path.lastIndexOf('/');
+  if (index < 0)
+    return "";
+  if (index == 0 || /^[a-zA-Z]:\/$/.test(path.substring(0, index + 1)) ||
+      /^[a-zA-Z][a-zA-Z0-9+.\-]*:\/\/[^\/]*\/$/.test(path.substring(0, index + 1)))
+    return path.substring(0, index + 1); // Root directory - keep its separator
+  return path.substring(0, index);
+}
+
+/**
+ * Resolves a path found in a GeoScene file against the basepath of that file. URLs are resolved
+ * with URL semantics, filesystem paths by collapsing the '.' and '..' segments. Absolute paths and
+ * URLs are returned unchanged (apart from normalization)
+ * @param {basepath} The basepath (see getBasePath()), "" for the current directory
+ * @param {relativePath} The path to resolve
+ * @return {string} The resolved path, always with '/' separators
+ */
+function resolvePath(basepath, relativePath) {
+  if (isUrl(relativePath) || /^[\/\\]|^[a-zA-Z]:[\/\\]/.test(relativePath))
+    return isUrl(relativePath) ? relativePath : normalizePath(relativePath);
+  if (!basepath)
+    return normalizePath(relativePath);
+  if (isUrl(basepath) && typeof URL !== 'undefined')
+    return new URL(relativePath.replace(/\\/g, '/'), basepath.replace(/\/?$/, '/')).href;
+  return normalizePath(basepath.replace(/[\/\\]?$/, '/') + relativePath);
+}
+
+function isUrl(path) {
+  return /^[a-zA-Z][a-zA-Z0-9+.\-]*:\/\//.test(path);
+}
+function normalizePath(path) { // Collapses '.' and '..' segments and converts separators to '/'
+  path = String(path).replace(/\\/g, '/');
+  var prefix = /^[a-zA-Z][a-zA-Z0-9+.\-]*:\/\/[^\/]*|^[a-zA-Z]:(?=\/)|^/.exec(path)[0];
+  var rest = path.substring(prefix.length);
+  var absolute = (rest[0] == '/');
+  var segments = [];
+  rest.split('/').forEach(function (segment, index, all) {
+    if (segment == '.' || (segment == '' && index > 0 && index < all.length - 1))
+      return;
+    if (segment == '..' && segments.length > 0 && segments[segments.length - 1] != '..')
+      segments.pop();
+    else if (segment == '..' && absolute)
+      return; // Cannot go above the root
+    else if (segment != '')
+      segments.push(segment);
+  });
+  var trailing = (rest.length > 1 && /\/\.{0,2}$/.test(rest) && segments.length > 0) ? '/' : '';
+  return prefix + (absolute ? '/' : '') + segments.join('/') + trailing;
 }
 
 // <[utility functions]>
-function skipCommentAndEmptyLines(arrayOfLines, index) {
-  while(index < arrayOfLines.length) {
-    var skipThisLine = true;
-    for (var i = 0; i < arrayOfLines[index].length; ++i) {
-      if (arrayOfLines[index][i] == '\r' || arrayOfLines[index][i] == '\n' ||
-          arrayOfLines[index][i] == ' ') {
-        // Continue skipping
-        skipThisLine = true;
-      } else if (arrayOfLines[index][i] == '#') {
-        skipThisLine = true;
-        break; // Comment line
-      } else {
-        skipThisLine = false;
-        break; // Something found - parse it
+function tokenizeLine(line) { // See parseGeoSceneContent() for the token syntax
+  var tokens = [];
+  tokens.columns = []; // 1-based column of every token, for the diagnostics
+  var i = 0;
+  while (i < line.length) {
+    if (/\s/.test(line[i])) { // Any whitespace, tabs and a trailing CR included
+      ++i;
+      continue;
+    }
+    if (line[i] == '#')
+      break; // Comment up to the end of the line
+    var start = i;
+    var token = "";
+    if (line[i] == '"') { // Quoted token, \" and \\ stand for a quote and a backslash
+      ++i;
+      while (i < line.length && line[i] != '"') {
+        if (line[i] == '\\' && (line[i + 1] == '"' || line[i + 1] == '\\'))
+          ++i;
+        token += line[i++];
       }
+      if (i >= line.length)
+        tokens.unterminatedQuote = start + 1;
+      ++i;
+    } else {
+      while (i < line.length && !/\s/.test(line[i]))
+        token += line[i++];
     }
-    if (skipThisLine == true)
-      ++index; // Continue with the next one
-    else
-      break; // Found a line which needs parsing
+    tokens.push(token);
+    tokens.columns.push(start + 1);
   }
+  return tokens;
+}
+function tokenizeContent(arrayOfLines, diagnostics) { // One token array per line
+  return arrayOfLines.map(function (line, index) {
+    var tokens = tokenizeLine(line);
+    if (tokens.unterminatedQuote !== undefined)
+      reportDiagnostic(diagnostics, "error", "UNTERMINATED_QUOTE", "Missing closing quote",
+                       arrayOfLines, index, undefined, tokens.unterminatedQuote);
+    return tokens;
+  });
+}
+function skipEmptyLines(lines, index) { // Blank and comment-only lines have no tokens
+  while (index < lines.length && lines[index].length == 0)
+    ++index;
   return index;
-};
+}
+function isNumberToken(token) {
+  return /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(token || "");
+}
+function compareVersions(a, b) { // Negative, zero or positive for "major.minor" strings
+  var partsA = a.split('.').map(Number);
+  var partsB = b.split('.').map(Number);
+  return (partsA[0] - partsB[0]) || (partsA[1] - partsB[1]);
+}
+function checkVersion(diagnostics, kind, version, supported, arrayOfLines, index, parts) {
+  // The version only decides whether unknown directives and keys (kept in the 'extensions' bag)
+  // are reported: files up to the supported version should have none, newer ones may
+  diagnostics.reportUnknown = (compareVersions(version, supported) <= 0);
+  if (parseInt(version, 10) > parseInt(supported, 10)) {
+    reportDiagnostic(diagnostics, "warning", "NEWER_VERSION", kind + " V" + version +
+                     " is newer than the supported V" + supported + ", unknown directives " +
+                     "are kept in 'extensions'", arrayOfLines, index, parts[1], parts.columns[1]);
+  }
+}
+function addExtension(object, name, values) {
+  if (!object.extensions)
+    object.extensions = {};
+  if (!object.extensions[name])
+    object.extensions[name] = [];
+  object.extensions[name].push(values);
+}
+function readNumbers(parts, start, count, context) { // Reports missing or invalid values
+  var values = [];
+  for (var t = start; t < start + count; ++t) {
+    if (t >= parts.length) {
+      reportDiagnostic(context.diagnostics, "error", "MISSING_VALUE", "Missing value in " +
+                       parts[0] + " line", context.arrayOfLines, context.index, "");
+      return null;
+    }
+    if (!isNumberToken(parts[t])) {
+      reportDiagnostic(context.diagnostics, "error", "INVALID_VALUE", "Invalid number '" +
+                       parts[t] + "' in " + parts[0] + " line", context.arrayOfLines,
+                       context.index, parts[t], parts.columns[t]);
+      return null;
+    }
+    values.push(parseFloat(parts[t]));
+  }
+  return values;
+}
+function parseKeyedFields(parts, start, fields, context, aliases) {
+  // Reads "Key value [value ...]" pairs in any order, 'fields' maps every known key to its count
+  // of values. Unknown keys take the numbers which follow them and go to the 'extensions' of
+  // context.target, as "<prefix>Key"
+  var values = {};
+  var t = start;
+  while (t < parts.length) {
+    var key = (aliases && aliases[parts[t]]) || parts[t];
+    if (fields.hasOwnProperty(key)) {
+      if (values.hasOwnProperty(key)) {
+        reportDiagnostic(context.diagnostics, "warning", "DUPLICATE_KEY", "Duplicate " + key +
+                         " key in " + parts[0] + " line", context.arrayOfLines, context.index,
+                         parts[t], parts.columns[t]);
+      }
+      var numbers = readNumbers(parts, t + 1, fields[key], context); // Reported if invalid
+      if (!numbers)
+        numbers = new Array(fields[key]).fill(NaN);
+      values[key] = (fields[key] == 1) ? numbers[0] : numbers;
+      t += 1 + fields[key];
+    } else {
+      var end = t + 1;
+      while (end < parts.length && isNumberToken(parts[end]))
+        ++end;
+      addExtension(context.target, (context.prefix || "") + parts[t], parts.slice(t + 1, end));
+      if (context.diagnostics.reportUnknown) {
+        reportDiagnostic(context.diagnostics, "warning", "UNRECOGNIZED_TOKEN", "Unrecognized " +
+                         parts[0] + " key '" + parts[t] + "'", context.arrayOfLines,
+                         context.index, parts[t], parts.columns[t]);
+      }
+      t = end;
+    }
+  }
+  return values;
+}
+function requireFields(values, keys, parts, context) { // Reports the keys missing in a line
+  return keys.filter(function (key) {
+    if (values.hasOwnProperty(key))
+      return false;
+    reportDiagnostic(context.diagnostics, "error", "MISSING_VALUE", "Missing " + key + " in " +
+                     parts[0] + " line", context.arrayOfLines, context.index, "");
+    return true;
+  }).length == 0;
+}
 function degToRad(degrees) {
   return degrees * Math.PI / 180;
 }
@@ -69,38 +940,82 @@ function padWithZeros(num, size) {
     s = "0" + s;
   return s;
 }
+function formatFrameNumber(num, size) { // As printf's %0Nd, the sign counts in the width
+  var digits = padWithZeros(Math.abs(num), (num < 0) ? size - 1 : size);
+  return (num < 0) ? "-" + digits : digits;
+}
+function createFrameList(first, last, step) {
+  var frames = [];
+  for (var frame = first; frame <= last; frame += step)
+    frames.push(frame);
+  return frames;
+}
+function expandSequencePattern(path, frames, offset) { // One path per frame, see readSequenceAsArray()
+  var pattern = /%(\d*)d/g; // Fresh regex: no lastIndex state shared between calls
+  if (path.search(pattern) < 0)
+    return [path]; // Same file for every frame
+  offset = offset || 0;
+  return frames.map(function (frame) {
+    return path.replace(pattern, function (match, digits) {
+      return formatFrameNumber(frame + offset, digits ? parseInt(digits, 10) : 0);
+    });
+  });
+}
 function readSequenceAsArray(path, sequence) { // Reads an array from a printf-like format string
-  var pat1 = /%(\d+)d/g;
-  var pat2 = /%d/g;
-  var patternWithDigits = pat1.test(path);
-  var patternWithoutDigits = pat2.test(path);
-  if (patternWithDigits == false && patternWithoutDigits == false)
-    return [path];
-  else {
-    var ret = [];
-    if (patternWithoutDigits == true) {
-      for (var i = sequence[0]; i <= sequence[1]; ++i) {
-        var res = path.replace(pat2, i);
-        ret.push(res);
-      }
-    } else { // Also handles variable sequences, e.g. "file%05d/folder%02d/"
-      for (var i = sequence[0]; i <= sequence[1]; ++i)
-        ret.push(path);
-      pat1.lastIndex = 0; // Resets to the first found one
-      var pat_no_g = new RegExp(pat1.source, "");
-      var localres;
-      while(true) {
-        localres = pat1.exec(path);
-        if (localres == null)
-          break;
-        var digits = parseInt(localres[1]);
-        for (var i = sequence[0]; i <= sequence[1]; ++i)
-          ret[i - sequence[0]] = ret[i - sequence[0]].replace(pat_no_g, padWithZeros(i, digits));
-      }
+  // Also handles variable sequences, e.g. "file%05d/folder%02d/"
+  return expandSequencePattern(path, createFrameList(sequence[0], sequence[1], 1));
+}
+function isFrameNumber(value) {
+  return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+}
+function checkSequenceDeclared(output, parts, diagnostics, arrayOfLines, index) {
+  if (output.frames)
+    return;
+  for (var t = 4; t <= 5; ++t) {
+    if (/%\d*d/.test(parts[t] || "")) {
+      reportDiagnostic(diagnostics, "error", "MISSING_SEQUENCE",
+                       "Path patterns need a Sequence or Frames line before them", arrayOfLines,
+                       index, parts[t]);
+      return;
     }
-    return ret;
   }
 }
+function createLoadErrorCallback(diagnostics, url, arrayOfLines, index, token, column) {
+  // Requests fail after parseGeoSceneContent() returned: the failure is listed, never thrown
+  var lenient = { fileName: diagnostics.fileName, strict: false, list: diagnostics.list };
+  return function (error) {
+    reportDiagnostic(lenient, "error", "LOAD_FAILED", "Could not load the GeoCast file '" + url +
+                     "': " + (error && error.message), arrayOfLines, index, token, column);
+  };
+}
+function attachSceneFunctions(scene) { // Functions of the other js files taking the scene first
+  scene.getCameraAtTime = function (name, time, options) {
+    var implementation;
+    if (typeof module !== 'undefined' && module.exports) // Required on use, they require this file
+      implementation = require('./geocast-interpolation.js').getCameraAtTime;
+    else if (typeof getCameraAtTime !== 'undefined')
+      implementation = getCameraAtTime;
+    else
+      throw new Error("geocast-interpolation.js is required for getCameraAtTime()");
+    return implementation(scene, name, time, options);
+  };
+}
+function resolveSequence(basepath, path, scene) { // Expands a path pattern and resolves it
+  return expandSequencePattern(path, scene.frames || [], scene.sequenceOffset).map(function (framePath) {
+    return resolvePath(basepath, framePath);
+  });
+}
+
+/**
+ * Returns the index of a frame number in the per-frame arrays of a GeoScene (image, geocastFile,
+ * geocast), which differs from the frame number with sequence steps and frame lists
+ * @param {scene} The GeoScene object (see parseGeoSceneContent())
+ * @param {frame} The frame number
+ * @return {number} The index of the frame, -1 if the frame is not part of the sequence
+ */
+function getFrameIndex(scene, frame) {
+  return scene.frames ? scene.frames.indexOf(frame) : -1;
+}
 
 /**
  * Reads a GeoScene text file on the local webserver via AJAX and returns a GeoScene object
@@ -108,21 +1023,40 @@ function readSequenceAsArray(path, sequence) { // Reads an array from a printf-l
  *
  *   geoSceneObject = {
  *     version = "2.0";
- *     sequence = [0, 0];
+ *     diagnostics = [diagnostic, ...]; // Warnings and errors found while parsing (lenient mode)
+ *     sequence = [0, 10]; // First and last frame
+ *     sequenceStep = 2; // "Sequence 0 10 Step 2" (or "Sequence 0 10 2"), not set for Frames lists
+ *     sequenceOffset = 100; // "... Offset 100": frame 0 is file number 100 in the path patterns
+ *     frames = [0, 2, 4, 6, 8, 10]; // Every frame of the sequence, or the explicit list of a
+ *                                   // "Frames 0 2 3 7 [Offset 100]" line
  *     dataformat = "PNG";
+ *     extensions = { // Only set if the file has directives or keys unknown to this reader
+ *       "Lighting": [["Sun", "0.2", "0.4"]]; // "Lighting Sun 0.2 0.4", one token array per line
+ *       "Sequence.Rate": [["25"]]; // "Sequence 0 10 Rate 25"
+ *     };
  *     geoCastSequence = [
  *       {
  *         name = "Field0";
  *         size = [1400, 900];
- *         image = ["../image.png"]; // Array whose length depends on the geoScene sequence
+ *         imagePattern = "image%03d.png"; // Path patterns as written in the file
+ *         geocastPattern = "camera%03d.geocast";
+ *         image = ["../image.png"]; // One per frame of the sequence (a single one if the
+ *                                   // path has no %d or %0Nd pattern)
+ *         geocastFile = ["../camera.geocast"]; // Ditto as above
  *         geocast = [geocastObject - see parseGeoCastContent()]; // Ditto as above
+ *         missingFrames = [13, 14]; // Gaps, only set by checkSequenceFrames() and loadGeoScene():
+ *                                   // the paths and geocasts of these frames are null
+ *         extensions = { "Exposure": [["0.5"]] }; // Trailing "Key value" pairs of the line
  *       }, ...
  *     ]
  *     geoCastZSequence = [
  *       {
  *         name = "WorldFloor";
  *         size = [1400, 900];
+ *         imagePattern = "depth%03d.png"; // Path patterns as written in the file
+ *         geocastPattern = "surface.geocast";
  *         image = ["../image.png"]; // Array whose length depends on the geoScene sequence
+ *         geocastFile = ["../surface.geocast"]; // Ditto as above
  *         geocast = [geocastObject - see parseGeoCastContent()]; // Ditto as above
  *       }, ...
  *     ]
@@ -137,59 +1071,174 @@ function readSequenceAsArray(path, sequence) { // Reads an array from a printf-l
  *         ]
  *       }, ...
  *     ]
+ *
+ *     getCameraAtTime(name, time, options) -> the GeoCast object of an entry at a time in seconds,
+ *                                             see getCameraAtTime() (geocast-interpolation.js
+ *                                             must be included in browsers)
  *   }
  *
  * @param {content} The string content of the GeoScene file
- * @param {basepath} Basepath to use when loading relative geocast files and images
+ * @param {basepath} Basepath to use when loading relative geocast files and images (see
+ *                   getBasePath() and resolvePath())
+ * @param {options} Optional object with the following fields
+ *                    loadGeoCasts - if false the geocast files are not requested and every
+ *                                   geocast array is left filled with empty {} placeholders
+ *                                   (default: true). Files failing to load keep their
+ *                                   placeholder and are reported, once their request failed,
+ *                                   with a LOAD_FAILED error diagnostic (also in strict mode,
+ *                                   see loadGeoScene() to wait for the files)
+ *                    loader       - the loader used for the geocast files (see
+ *                                   createDefaultLoader())
+ *                    fileName     - name reported in the diagnostics
+ *                    strict       - if true a GeoSceneParseError is thrown on the first problem
+ *                                   found, warnings included (e.g. an UNRECOGNIZED_LINE typo).
+ *                                   Otherwise parsing continues as far as possible and every
+ *                                   problem is listed in the 'diagnostics' array (default: false)
  * @return {object} The GeoScene object
+ *
+ * Lines are split into tokens by any whitespace (CRLF line endings included), a '#' at the start
+ * of a token comments out the rest of the line and double quotes delimit paths and names with
+ * spaces, e.g.
+ *
+ *   GeoCast "Field 0" 1400 900 "my images/image%03d.png" camera%03d.geocast  # Main camera
+ *
+ * where \" and \\ stand for a quote and a backslash. Keyed fields ("Step 2", "Fovy 45", ...) can
+ * be in any order. Directives and keys unknown to this reader are kept in the 'extensions' of
+ * the object they belong to (written back by serializeGeoScene() and serializeGeoCast()). The
+ * declared version only decides whether they are reported: as UNRECOGNIZED_LINE and
+ * UNRECOGNIZED_TOKEN warnings in files up to the supported versions (GeoScene V2.0, GeoCast
+ * V1.5), where they are likely typos, and silently in newer files. Known directives and keys are
+ * parsed alike in every version. A newer major version is reported once with a NEWER_VERSION
+ * warning.
+ *
+ * Every diagnostic is an object similar to the following
+ *
+ *   diagnostic = {
+ *     severity = "error"; // or "warning"
+ *     code = "UNRECOGNIZED_LINE";
+ *     message = "Unrecognized line: 'Foo 1 2'";
+ *     fileName = "myscene.geoscene";
+ *     line = 12; // 1-based
+ *     column = 1; // 1-based
+ *     token = "Foo";
+ *   }
  */
-function parseGeoSceneContent(content, basepath) {
+function parseGeoSceneContent(content, basepath, options) {
+  options = options || {};
+  var loadGeoCasts = (options.loadGeoCasts !== false);
+  var diagnostics = createDiagnostics(options);
   var output = {};
+  output.diagnostics = diagnostics.list;
   var arrayOfLines = content.split("\n");
+  var lines = tokenizeContent(arrayOfLines, diagnostics);
   var i = 0;
 
   // Check signature
-  i = skipCommentAndEmptyLines(arrayOfLines, i);
-  if (i >= arrayOfLines.length) {
-    console.log("Corrupted GeoScene file");
-    return;
+  i = skipEmptyLines(lines, i);
+  if (i >= lines.length) {
+    reportDiagnostic(diagnostics, "error", "EMPTY_FILE", "Corrupted GeoScene file", arrayOfLines,
+                     arrayOfLines.length - 1);
+    return output;
   }
-  var patt = /GeoScene V(\d+\.\d+)/g;
-  var res = patt.exec(arrayOfLines[i].trim());
-  if (!res) {
-    console.log("Not a GeoScene file");
-    return;
+  var res = /^V(\d+\.\d+)$/.exec(lines[i][1] || "");
+  if (lines[i][0] != "GeoScene" || !res) {
+    reportDiagnostic(diagnostics, "error", "INVALID_SIGNATURE", "Not a GeoScene file",
+                     arrayOfLines, i, lines[i][0], lines[i].columns[0]);
+    return output;
   }
   output.version = res[1];
+  checkVersion(diagnostics, "GeoScene", output.version, "2.0", arrayOfLines, i, lines[i]);
   ++i;
 
   output.geoCastSequence = [];
   output.geoCastZSequence = [];
   output.matchGroupSequence = [];
 
-  while (i < arrayOfLines.length) {
+  while (i < lines.length) {
 
-    i = skipCommentAndEmptyLines(arrayOfLines, i);
-    if (i >= arrayOfLines.length)
+    i = skipEmptyLines(lines, i);
+    if (i >= lines.length)
       break;
-    var parts = arrayOfLines[i].trim().split(' ');
+    var parts = lines[i];
+    var context = { diagnostics: diagnostics, arrayOfLines: arrayOfLines, index: i,
+                    target: output };
+    if ((parts[0] == "GeoCast" || parts[0] == "GeoCastZ") && parts.length < 6) {
+      reportDiagnostic(diagnostics, "error", "MISSING_VALUE", parts[0] + " lines need a name, " +
+                       "a size, an image and a geocast path", arrayOfLines, i, "");
+      ++i;
+      continue;
+    }
 
     if (parts[0] == "Sequence") {
       output.sequence = [parseFloat(parts[1]), parseFloat(parts[2])];
+      output.sequenceStep = 1;
+      output.sequenceOffset = 0;
+      var first = 3;
+      if (/^\d+$/.test(parts[3] || "")) // "Sequence 0 100 5" short form
+        output.sequenceStep = parseFloat(parts[first++]);
+      context.prefix = "Sequence.";
+      var sequenceOptions = parseKeyedFields(parts, first, { Step: 1, Offset: 1 }, context);
+      if (sequenceOptions.Step !== undefined)
+        output.sequenceStep = sequenceOptions.Step;
+      if (sequenceOptions.Offset !== undefined)
+        output.sequenceOffset = sequenceOptions.Offset;
+      if (!isFrameNumber(output.sequence[0]) || !isFrameNumber(output.sequence[1]) ||
+          !isFrameNumber(output.sequenceOffset) || !(output.sequenceStep >= 1) ||
+          !isFrameNumber(output.sequenceStep)) {
+        reportDiagnostic(diagnostics, "error", "INVALID_VALUE",
+                         "Sequence frames, step and offset must be integers (with step >= 1)",
+                         arrayOfLines, i, parts[1], parts.columns[1]);
+        output.sequenceStep = 1;
+      }
+      output.frames = createFrameList(output.sequence[0], output.sequence[1], output.sequenceStep);
+    } else if (parts[0] == "Frames") {
+      output.frames = [];
+      output.sequenceOffset = 0;
+      delete output.sequenceStep;
+      for (var t = 1; t < parts.length; ++t) {
+        if (parts[t] == "Offset") {
+          output.sequenceOffset = parseFloat(parts[++t]);
+          if (!/^-?\d+$/.test(parts[t] || "")) {
+            reportDiagnostic(diagnostics, "error", "INVALID_VALUE",
+                             "The Frames offset must be an integer", arrayOfLines, i,
+                             parts[t] || "", parts.columns[t]);
+            output.sequenceOffset = 0;
+          }
+        } else if (/^-?\d+$/.test(parts[t]))
+          output.frames.push(parseFloat(parts[t]));
+        else
+          reportDiagnostic(diagnostics, "error", "INVALID_VALUE",
+                           "Invalid frame number '" + parts[t] + "'", arrayOfLines, i, parts[t],
+                           parts.columns[t]);
+      }
+      output.frames.sort(function (a, b) { return a - b; });
+      output.frames = output.frames.filter(function (frame, index, frames) {
+        return index == 0 || frames[index - 1] != frame;
+      });
+      output.sequence = (output.frames.length > 0) ?
+        [output.frames[0], output.frames[output.frames.length - 1]] : undefined;
     } else if (parts[0] == "DataFormat") {
       output.dataformat = parts[1];
     } else if (parts[0] == "GeoCast") {
+      checkSequenceDeclared(output, parts, diagnostics, arrayOfLines, i);
       var geocastSequenceObj = {};
       geocastSequenceObj.name = parts[1];
       geocastSequenceObj.size = [parseFloat(parts[2]), parseFloat(parts[3])];
-      geocastSequenceObj.image = readSequenceAsArray(basepath + '/' + parts[4], output.sequence);
+      geocastSequenceObj.imagePattern = parts[4];
+      geocastSequenceObj.geocastPattern = parts[5];
+      geocastSequenceObj.image = resolveSequence(basepath, parts[4], output);
       geocastSequenceObj.geocast = [];
+      context.target = geocastSequenceObj; // Trailing "Key value" pairs unknown to this reader
+      parseKeyedFields(parts, 6, {}, context);
       output.geoCastSequence.push(geocastSequenceObj);
       var index1 = output.geoCastSequence.length - 1;
-      var arr = readSequenceAsArray(basepath + '/' + parts[5], output.sequence);
+      var arr = resolveSequence(basepath, parts[5], output);
+      output.geoCastSequence[index1].geocastFile = arr;
       output.geoCastSequence[index1].geocast = [];
       for (var k = 0; k < arr.length; ++k) {
         output.geoCastSequence[index1].geocast.push({});
+        if (!loadGeoCasts)
+          continue;
         var index2 = k; // or output.geoCastSequence[index1].geocast.length - 1
         var geocastLoadedCallback = (function(index1, index2) {
           var captureIndex1 = index1; // Closure captures
@@ -198,20 +1247,31 @@ function parseGeoSceneContent(content, basepath) {
             output.geoCastSequence[captureIndex1].geocast[captureIndex2] = geocastObject;
           };
         })(index1, index2);
-        readGeoCastFile(arr[k], geocastLoadedCallback);
+        readGeoCastFile(arr[k], geocastLoadedCallback,
+                        createLoadErrorCallback(diagnostics, arr[k], arrayOfLines, i, parts[5],
+                                                parts.columns[5]),
+                        { loader: options.loader });
       }
     } else if (parts[0] == "GeoCastZ") {
+      checkSequenceDeclared(output, parts, diagnostics, arrayOfLines, i);
       var geoCastZSequenceObj = {};
       geoCastZSequenceObj.name = parts[1];
       geoCastZSequenceObj.size = [parseFloat(parts[2]), parseFloat(parts[3])];
-      geoCastZSequenceObj.image = readSequenceAsArray(basepath + '/' + parts[4], output.sequence);
+      geoCastZSequenceObj.imagePattern = parts[4];
+      geoCastZSequenceObj.geocastPattern = parts[5];
+      geoCastZSequenceObj.image = resolveSequence(basepath, parts[4], output);
       geoCastZSequenceObj.geocast = [];
+      context.target = geoCastZSequenceObj;
+      parseKeyedFields(parts, 6, {}, context);
       output.geoCastZSequence.push(geoCastZSequenceObj);
       var index1 = output.geoCastZSequence.length - 1;
-      var arr = readSequenceAsArray(basepath + '/' + parts[5], output.sequence);
+      var arr = resolveSequence(basepath, parts[5], output);
+      output.geoCastZSequence[index1].geocastFile = arr;
       output.geoCastZSequence[index1].geocast = [];
       for (var k = 0; k < arr.length; ++k) {
         output.geoCastZSequence[index1].geocast.push({});
+        if (!loadGeoCasts)
+          continue;
         var index2 = k; // or output.geoCastZSequence[index1].geocast.length - 1
         var geocastLoadedCallback = (function(index1, index2) {
           var captureIndex1 = index1; // Closure captures
@@ -220,7 +1280,10 @@ function parseGeoSceneContent(content, basepath) {
             output.geoCastZSequence[captureIndex1].geocast[captureIndex2] = geocastObject;
           };
         })(index1, index2);
-        readGeoCastFile(arr[k], geocastLoadedCallback);
+        readGeoCastFile(arr[k], geocastLoadedCallback,
+                        createLoadErrorCallback(diagnostics, arr[k], arrayOfLines, i, parts[5],
+                                                parts.columns[5]),
+                        { loader: options.loader });
       }
     } else if (parts[0] == "MatchGroup") {
       var matchGroupSequenceObj = {};
@@ -229,10 +1292,10 @@ function parseGeoSceneContent(content, basepath) {
       matchGroupSequenceObj.matchSurfaceSequence = [];
       ++i;
       while (true) {
-        i = skipCommentAndEmptyLines(arrayOfLines, i);
-        if(i >= arrayOfLines.length)
+        i = skipEmptyLines(lines, i);
+        if(i >= lines.length)
           break;
-        parts = arrayOfLines[i].trim().split(' ');
+        parts = lines[i];
         if (parts[0] == "MatchCam") {
           matchGroupSequenceObj.matchCamSequence.push(parts[1]);
         } else if (parts[0] == "MatchSurface") {
@@ -244,19 +1307,30 @@ function parseGeoSceneContent(content, basepath) {
         ++i;
       }
       output.matchGroupSequence.push(matchGroupSequenceObj);
+    } else {
+      addExtension(output, parts[0], parts.slice(1));
+      if (diagnostics.reportUnknown) {
+        reportDiagnostic(diagnostics, "warning", "UNRECOGNIZED_LINE",
+                         "Unrecognized line: '" + arrayOfLines[i].trim() + "'", arrayOfLines, i,
+                         parts[0], parts.columns[0]);
+      }
     }
   
     ++i;
   }
 
+  attachSceneFunctions(output);
   return output;  
 }
 
 /**
- * Reads a GeoCast text file on the local webserver via AJAX
+ * Reads a GeoCast text file on the local webserver via AJAX (or through the given loader)
  * @param {filePath} The local or relative path to the text file to be read
  * @param {callback} A callback function which accepts the geocast object (see parseGeoCastContent())
  *                   as input parameter
+ * @param {errorCallback} Optional function called with an Error (whose 'url' field holds filePath)
+ *                        if the file could not be loaded
+ * @param {options} Optional object with a loader field (see createDefaultLoader())
  * @return {void}
  *
  * Example usage:
@@ -266,20 +1340,15 @@ function parseGeoSceneContent(content, basepath) {
  *     };
  *     readGeoCastFile("mycamera.geocast", callback);
  */
-function readGeoCastFile(filePath, callback) {
-  var rawFile = new XMLHttpRequest();  
-  rawFile.open("GET", filePath, true);
-  rawFile.overrideMimeType('text/plain');
-  rawFile.onreadystatechange = function () {
-    if(rawFile.readyState === 4) {
-      if(rawFile.status === 200 || rawFile.status == 0) {
-        var content = rawFile.responseText;
-        var geoCastObj = parseGeoCastContent(content);
-        callback(geoCastObj);
-      }
-    }
-  }
-  rawFile.send();
+function readGeoCastFile(filePath, callback, errorCallback, options) {
+  options = options || {};
+  toLoaderFunction(options.loader)(filePath).then(function (content) {
+    var geoCastObj = parseGeoCastContent(content, { fileName: filePath });
+    callback(geoCastObj);
+  }, function (error) {
+    if (errorCallback)
+      errorCallback(error);
+  });
 }
 
 /**
@@ -287,6 +1356,7 @@ function readGeoCastFile(filePath, callback) {
  *
  *  geoCastObject = {
  *    Version = "1.5";
+ *    diagnostics = [diagnostic, ...]; // See parseGeoSceneContent()
  *    CameraType = "DynamicCamera";
  *    CameraPosition = [1.2, 3.4, 0.22];
  *    ViewSlice = {
@@ -294,7 +1364,7 @@ function readGeoCastFile(filePath, callback) {
  *      Size = 100.0;
  *    };
  *    // Row-major
- *    ModelviewMatrix; // mat4 object
+ *    ModelviewMatrix; // Float64Array with 16 values, double precision for georeferenced scenes
  *    ------ varying part -------
  *    DataProject = "Ortho";
  *    WindowSize = [12.0, 43.2];
@@ -320,120 +1390,159 @@ function readGeoCastFile(filePath, callback) {
  *      centerY = 0.2;
  *      focal = 0.2;
  *    };
+ *    extensions = { // Only set for unknown directives and keys, see parseGeoSceneContent()
+ *      "Lens": [["Fisheye"]];
+ *      "ImageWarp.k4": [["0.01"]];
+ *    };
  *  }
  *
  * @param {content} The string content of the GeoCast file
+ * @param {options} Optional object with the fileName and strict fields (see parseGeoSceneContent())
  * @return {object} The GeoCast object
  */
 
-function parseGeoCastContent(content) {
+function parseGeoCastContent(content, options) {
+  options = options || {};
+  var diagnostics = createDiagnostics(options);
   var output = {};
+  output.diagnostics = diagnostics.list;
   var arrayOfLines = content.split("\n");
+  var lines = tokenizeContent(arrayOfLines, diagnostics);
   var i = 0;
 
   // Check signature
-  i = skipCommentAndEmptyLines(arrayOfLines, i);
-  var patt = /GeoCast V(\d+\.\d+)/g;
-  var res = patt.exec(arrayOfLines[i++].trim());
-  if (!res) {
-    console.log("Not a recognized GeoCast file");
-    return;
+  i = skipEmptyLines(lines, i);
+  if (i >= lines.length) {
+    reportDiagnostic(diagnostics, "error", "EMPTY_FILE", "Corrupted GeoCast file", arrayOfLines,
+                     arrayOfLines.length - 1);
+    return output;
+  }
+  var res = /^V(\d+\.\d+)$/.exec(lines[i][1] || "");
+  if (lines[i][0] != "GeoCast" || !res) {
+    reportDiagnostic(diagnostics, "error", "INVALID_SIGNATURE", "Not a recognized GeoCast file",
+                     arrayOfLines, i, lines[i][0], lines[i].columns[0]);
+    return output;
   }
   output.Version = res[1];
+  checkVersion(diagnostics, "GeoCast", output.Version, "1.5", arrayOfLines, i, lines[i]);
+  ++i;
 
-  while (i < arrayOfLines.length) {
+  while (i < lines.length) {
 
-    i = skipCommentAndEmptyLines(arrayOfLines, i);
-    if (i >= arrayOfLines.length)
+    i = skipEmptyLines(lines, i);
+    if (i >= lines.length)
       break;
-    var parts = arrayOfLines[i].trim().split(' ');
+    var parts = lines[i];
+    var context = { diagnostics: diagnostics, arrayOfLines: arrayOfLines, index: i, target: output,
+                    prefix: parts[0] + "." };
 
     if (parts[0] == "DynamicCamera" || parts[0] == "StaticCamera")
       output.CameraType = parts[0];
     else if (parts[0] == "Pos") {
-      var cameraPosition = [];
-      cameraPosition.push(parseFloat(parts[1]));
-      cameraPosition.push(parseFloat(parts[2]));
-      cameraPosition.push(parseFloat(parts[3]));
-      output.CameraPosition = cameraPosition;
+      output.CameraPosition = readNumbers(parts, 1, 3, context) || [NaN, NaN, NaN];
     } else if (parts[0] == "ViewSlice") {
+      var viewSlice = parseKeyedFields(parts, 1, { FODAngle: 1, Size: 1 }, context);
+      requireFields(viewSlice, ["FODAngle", "Size"], parts, context);
       output.ViewSlice = {
-        FODAngle: parseFloat(parts[2]),
-        Size: parseFloat(parts[4])
+        FODAngle: viewSlice.FODAngle,
+        Size: viewSlice.Size
       };
     } else if (parts[0] == "ModelviewMatrix") {
-      output.ModelviewMatrix = mat4.create();
-      var readMatrixRow = function(line, index) {
-        parts = line.trim().split(' ');
-        output.ModelviewMatrix[4 * index + 0] = parseFloat(parts[0]);
-        output.ModelviewMatrix[4 * index + 1] = parseFloat(parts[1]);
-        output.ModelviewMatrix[4 * index + 2] = parseFloat(parts[2]);
-        output.ModelviewMatrix[4 * index + 3] = parseFloat(parts[3]);
-      };
-      for (var j = 0; j < 4; j++) {
-        readMatrixRow(arrayOfLines[++i], j);
+      output.ModelviewMatrix = mat4.identity(new Float64Array(16));
+      for (var row = 0; row < 4; ++row) { // The next four lines, skipping blanks and comments
+        var next = skipEmptyLines(lines, i + 1);
+        if (next >= lines.length || lines[next].length != 4 || !lines[next].every(isNumberToken)) {
+          reportDiagnostic(diagnostics, "error", "INVALID_MATRIX",
+                           "ModelviewMatrix needs four rows of four numbers", arrayOfLines,
+                           Math.min(next, arrayOfLines.length - 1));
+          break; // The line is parsed on its own
+        }
+        i = next;
+        for (var col = 0; col < 4; ++col)
+          output.ModelviewMatrix[4 * row + col] = parseFloat(lines[i][col]);
       }
     } else if (parts[0] == "DataProject") {
       output.DataProject = parts[1];
       if (output.DataProject == "Ortho") { // Orthographic view
-        if (parts[2] != "WindowSize" && parts[2] != "Window") {
-          console.log("Unrecognized Window tag");
-          return;
+        var ortho = parseKeyedFields(parts, 2, { WindowSize: 2, ProjRange: 2 }, context,
+                                     { Window: "WindowSize" });
+        output.WindowSize = ortho.WindowSize;
+        output.ProjRange = ortho.ProjRange;
+        if (requireFields(ortho, ["WindowSize", "ProjRange"], parts, context)) {
+          output.OrthoMatrix = mat4.create();
+          mat4.ortho(output.OrthoMatrix, -output.WindowSize[0] / 2.0, output.WindowSize[0] / 2.0,
+                     -output.WindowSize[1] / 2.0, output.WindowSize[1] / 2.0,
+                     output.ProjRange[0], output.ProjRange[1]);
         }
-        output.WindowSize = [parseFloat(parts[3]), parseFloat(parts[4])];
-        if (parts[5] != "ProjRange") {
-          console.log("Unrecognized ProjRange tag");
-          return;
-        }
-        output.ProjRange = [parseFloat(parts[6]), parseFloat(parts[7])];
-        output.OrthoMatrix = mat4.create();
-        mat4.ortho(output.OrthoMatrix,
-            -output.WindowSize[0] / 2.0, output.WindowSize[0] / 2.0,
-            -output.WindowSize[1] / 2.0, output.WindowSize[1] / 2.0,
-            output.ProjRange[0], output.ProjRange[1]);
       } else if (output.DataProject == "Perspective") { // Perspective view
-        if (parts[2] != "Fovy") {
-          console.log("Unrecognized Fovy tag");
-          return;
+        var perspective = parseKeyedFields(parts, 2, { Fovy: 1, Aspect: 1, ClipRange: 2 },
+                                           context);
+        output.Fovy = perspective.Fovy;
+        output.Aspect = perspective.Aspect;
+        output.ClipRange = perspective.ClipRange;
+        if (requireFields(perspective, ["Fovy", "Aspect", "ClipRange"], parts, context)) {
+          output.PerspMatrix = mat4.create();
+          mat4.perspective(output.PerspMatrix, degToRad(output.Fovy), output.Aspect,
+                           output.ClipRange[0], output.ClipRange[1]);
         }
-        output.Fovy = parseFloat(parts[3]);
-        if (parts[4] != "Aspect") {
-          console.log("Unrecognized Aspect tag");
-          return;
-        }
-        output.Aspect = parseFloat(parts[5]);
-        if (parts[6] != "ClipRange") {
-          console.log("Unrecognized ClipRange tag");
-          return;
-        }    
-        output.ClipRange = [parseFloat(parts[7]), parseFloat(parts[8])];
-        output.PerspMatrix = mat4.create();
-        mat4.perspective(output.PerspMatrix, degToRad(output.Fovy), output.Aspect, 
-                         output.ClipRange[0], output.ClipRange[1]);
       } else {
-        console.log("Unrecognized DataProject camera type");
+        reportDiagnostic(diagnostics, "error", "UNKNOWN_PROJECTION",
+                         "Unrecognized DataProject camera type", arrayOfLines, i, parts[1],
+                         parts.columns[1]);
       }
     } else if (parts[0] == "ImageWarp") {
-      output.ImageWarp = {
-        aspect: parseFloat(parts[2]),
-        k1: parseFloat(parts[4]),
-        k2: parseFloat(parts[6]),
-        k3: parseFloat(parts[8]),
-        p1: parseFloat(parts[10]),
-        p2: parseFloat(parts[12]),
-        centerX: parseFloat(parts[14]),
-        centerY: parseFloat(parts[16]),
-        focal: parseFloat(parts[18])
-      };
+      var warpKeys = ["aspect", "k1", "k2", "k3", "p1", "p2", "centerX", "centerY", "focal"];
+      var warpFields = {};
+      warpKeys.forEach(function (key) {
+        warpFields[key] = 1;
+      });
+      var warp = parseKeyedFields(parts, 1, warpFields, context);
+      requireFields(warp, warpKeys, parts, context);
+      output.ImageWarp = {};
+      warpKeys.forEach(function (key) {
+        output.ImageWarp[key] = warp.hasOwnProperty(key) ? warp[key] : NaN;
+      });
     } else if (parts[0] == "ZDataRange") {
-      output.ZDataRange = [parseFloat(parts[1]), parseFloat(parts[2])];
+      output.ZDataRange = readNumbers(parts, 1, 2, context) || [NaN, NaN];
     } else if (parts[0] == "WorldSpaceDepth") {
       output.WorldSpaceDepth = true;
-    } else
-      console.log("Unrecognized line: '" + arrayOfLines[i] + "'");
+    } else {
+      addExtension(output, parts[0], parts.slice(1));
+      if (diagnostics.reportUnknown) {
+        reportDiagnostic(diagnostics, "warning", "UNRECOGNIZED_LINE",
+                         "Unrecognized line: '" + arrayOfLines[i].trim() + "'", arrayOfLines, i,
+                         parts[0], parts.columns[0]);
+      }
+    }
 
     ++i;
   }
 
   return output;
-}
\ No newline at end of file
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    readGeoSceneFile: readGeoSceneFile,
+    loadGeoScene: loadGeoScene,
+    parseGeoSceneContent: parseGeoSceneContent,
+    readGeoCastFile: readGeoCastFile,
+    parseGeoCastContent: parseGeoCastContent,
+    GeoSceneParseError: GeoSceneParseError,
+    formatDiagnostic: formatDiagnostic,
+    createXHRLoader: createXHRLoader,
+    createFetchLoader: createFetchLoader,
+    createFileSystemLoader: createFileSystemLoader,
+    createMemoryLoader: createMemoryLoader,
+    createDefaultLoader: createDefaultLoader,
+    getBasePath: getBasePath,
+    resolvePath: resolvePath,
+    readSequenceAsArray: readSequenceAsArray,
+    expandSequencePattern: expandSequencePattern,
+    getFrameIndex: getFrameIndex,
+    checkSequenceFrames: checkSequenceFrames,
+    degToRad: degToRad,
+    radToDeg: radToDeg
+  };
+}
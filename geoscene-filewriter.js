@@ -0,0 +1,268 @@
+// geoscene-filereader.js is required - make sure to include it before this js file
+// (under Node.js it is loaded automatically)
+if (typeof module !== 'undefined' && module.exports)
+  var expandSequencePattern = require('./geoscene-filereader.js').expandSequencePattern;
+
+// <[utility functions]>
+function formatNumber(value, isFloat32) {
+  if (!isFloat32 || !isFinite(value))
+    return String(value);
+  // Shortest representation which reads back to the very same single precision value
+  for (var precision = 1; precision < 17; ++precision) {
+    var text = value.toPrecision(precision);
+    if (Math.fround(parseFloat(text)) === value)
+      return String(parseFloat(text));
+  }
+  return String(value);
+}
+function formatNumbers(values, isFloat32) {
+  var ret = [];
+  for (var i = 0; i < values.length; ++i)
+    ret.push(formatNumber(values[i], isFloat32));
+  return ret.join(' ');
+}
+function quoteToken(token) { // Inverse of the tokenizer of parseGeoSceneContent()
+  token = String(token);
+  if (token !== "" && token[0] != '#' && !/[\s"]/.test(token))
+    return token;
+  return '"' + token.replace(/\\/g, '\\\\').replace(/"/g, '\\"') + '"';
+}
+function formatExtensionKeys(extensions, prefix) { // " Key value ..." of the unknown keys of a line
+  var text = "";
+  for (var name in extensions || {}) {
+    if (name.indexOf(prefix) != 0 || name.indexOf('.', prefix.length) >= 0)
+      continue;
+    extensions[name].forEach(function (values) {
+      text += " " + [name.slice(prefix.length)].concat(values).map(quoteToken).join(' ');
+    });
+  }
+  return text;
+}
+function writeExtensionLines(lines, extensions) { // Unknown directives, one line per occurrence
+  for (var name in extensions || {}) {
+    if (name.indexOf('.') >= 0)
+      continue;
+    extensions[name].forEach(function (values) {
+      lines.push([name].concat(values).map(quoteToken).join(' '));
+    });
+  }
+}
+function getSceneFrames(scene) { // Objects built by hand may only have the sequence range
+  if (scene.frames)
+    return scene.frames;
+  var frames = [];
+  for (var frame = scene.sequence[0]; frame <= scene.sequence[1]; frame += (scene.sequenceStep || 1))
+    frames.push(frame);
+  return frames;
+}
+function isFrameRange(frames, sequence, step) { // Whether "Sequence first last Step n" lists them
+  if (frames.length != Math.floor((sequence[1] - sequence[0]) / step) + 1 ||
+      frames[0] !== sequence[0])
+    return false;
+  for (var i = 1; i < frames.length; ++i) {
+    if (frames[i] - frames[i - 1] !== step)
+      return false;
+  }
+  return true;
+}
+function inferSequencePattern(paths, frames, offset, basepath) { // Inverse of expandSequencePattern()
+  var relativePaths = paths.map(function (path) {
+    var prefix = basepath ? basepath.replace(/\/?$/, '/') : null;
+    if (prefix && path !== null && path.indexOf(prefix) === 0)
+      return path.substring(prefix.length);
+    return path;
+  });
+  var matches = function (pattern) {
+    var expanded = expandSequencePattern(pattern, frames, offset);
+    if (expanded.length == 1 && relativePaths.length > 1)
+      return false;
+    for (var i = 0; i < relativePaths.length; ++i) {
+      if (relativePaths[i] !== null && expanded[i % expanded.length] !== relativePaths[i])
+        return false; // Missing frames (null paths) match any pattern
+    }
+    return true;
+  };
+  var known = 0; // The first path which is not a gap
+  while (known < relativePaths.length - 1 && relativePaths[known] === null)
+    ++known;
+  var first = relativePaths[known];
+  if (first === null)
+    throw new Error("Cannot infer a sequence pattern without any existing path");
+  if (matches(first))
+    return first; // Same file for every frame
+
+  // Find the digit runs holding the file number of that frame and try to replace them with a
+  // pattern
+  var candidates = [];
+  var digitRun = /-?\d+/g;
+  var res;
+  while ((res = digitRun.exec(first)) != null) {
+    if (parseInt(res[0], 10) === frames[known] + (offset || 0))
+      candidates.push({ index: res.index, text: res[0] });
+    else if (res[0][0] == '-' && parseInt(res[0].substring(1), 10) === frames[known] + (offset || 0))
+      candidates.push({ index: res.index + 1, text: res[0].substring(1) }); // A dash, not a sign
+  }
+  var buildPattern = function (selected) {
+    var pattern = first;
+    for (var i = selected.length - 1; i >= 0; --i) { // Right to left keeps the indices valid
+      var run = selected[i];
+      var digits = run.text.replace(/^-/, '');
+      var format = (digits.length > 1 && digits[0] == '0') ? '%0' + run.text.length + 'd' : '%d';
+      pattern = pattern.substring(0, run.index) + format + pattern.substring(run.index + run.text.length);
+    }
+    return pattern;
+  };
+  var pattern = buildPattern(candidates);
+  if (candidates.length > 0 && matches(pattern))
+    return pattern;
+  for (var i = 0; i < candidates.length; ++i) {
+    pattern = buildPattern([candidates[i]]);
+    if (matches(pattern))
+      return pattern;
+  }
+  throw new Error("Cannot infer a sequence pattern for '" + first + "'");
+}
+
+/**
+ * Serializes a GeoCast object back to the GeoCast text format. This is the inverse of
+ * parseGeoCastContent(): parsing the returned string yields an equivalent GeoCast object
+ * @param {geocast} The GeoCast object (see parseGeoCastContent()). Derived fields such as
+ *                  OrthoMatrix and PerspMatrix are not written since they are rebuilt when parsing
+ * @return {string} The content of the GeoCast file
+ *
+ * Example usage:
+ *
+ *     readGeoCastFile("mycamera.geocast", function (geocast) {
+ *       geocast.CameraPosition[2] += 1.0;
+ *       var text = serializeGeoCast(geocast);
+ *     });
+ */
+function serializeGeoCast(geocast) {
+  var lines = [];
+  lines.push("GeoCast V" + (geocast.Version || "1.5"));
+  if (geocast.CameraType)
+    lines.push(geocast.CameraType);
+  if (geocast.CameraPosition)
+    lines.push("Pos " + formatNumbers(geocast.CameraPosition));
+  if (geocast.ViewSlice) {
+    lines.push("ViewSlice FODAngle " + formatNumber(geocast.ViewSlice.FODAngle) +
+               " Size " + formatNumber(geocast.ViewSlice.Size) +
+               formatExtensionKeys(geocast.extensions, "ViewSlice."));
+  }
+  if (geocast.ModelviewMatrix) {
+    var matrix = geocast.ModelviewMatrix;
+    var isFloat32 = (Object.prototype.toString.call(matrix) == '[object Float32Array]');
+    lines.push("ModelviewMatrix");
+    for (var row = 0; row < 4; ++row) // Row-major, see parseGeoCastContent()
+      lines.push(formatNumbers(Array.prototype.slice.call(matrix, 4 * row, 4 * row + 4), isFloat32));
+  }
+  if (geocast.DataProject == "Ortho") {
+    if (!geocast.WindowSize || !geocast.ProjRange)
+      throw new Error("Ortho GeoCast objects need both WindowSize and ProjRange");
+    lines.push("DataProject Ortho WindowSize " + formatNumbers(geocast.WindowSize) +
+               " ProjRange " + formatNumbers(geocast.ProjRange) +
+               formatExtensionKeys(geocast.extensions, "DataProject."));
+  } else if (geocast.DataProject == "Perspective") {
+    if (geocast.Fovy === undefined || geocast.Aspect === undefined || !geocast.ClipRange)
+      throw new Error("Perspective GeoCast objects need Fovy, Aspect and ClipRange");
+    lines.push("DataProject Perspective Fovy " + formatNumber(geocast.Fovy) +
+               " Aspect " + formatNumber(geocast.Aspect) +
+               " ClipRange " + formatNumbers(geocast.ClipRange) +
+               formatExtensionKeys(geocast.extensions, "DataProject."));
+  } else if (geocast.DataProject !== undefined) {
+    throw new Error("Unrecognized DataProject camera type '" + geocast.DataProject + "'");
+  }
+  if (geocast.ImageWarp) {
+    var keys = ["aspect", "k1", "k2", "k3", "p1", "p2", "centerX", "centerY", "focal"];
+    var warp = [];
+    for (var i = 0; i < keys.length; ++i)
+      warp.push(keys[i] + " " + formatNumber(geocast.ImageWarp[keys[i]]));
+    lines.push("ImageWarp " + warp.join(' ') +
+               formatExtensionKeys(geocast.extensions, "ImageWarp."));
+  }
+  if (geocast.ZDataRange)
+    lines.push("ZDataRange " + formatNumbers(geocast.ZDataRange));
+  if (geocast.WorldSpaceDepth)
+    lines.push("WorldSpaceDepth");
+  writeExtensionLines(lines, geocast.extensions);
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Serializes a GeoScene object back to the GeoScene text format. This is the inverse of
+ * parseGeoSceneContent(): parsing the returned string with the same basepath yields an
+ * equivalent GeoScene object. The referenced GeoCast files are not written, use
+ * serializeGeoCast() on every geocast entry for that
+ * @param {scene} The GeoScene object (see parseGeoSceneContent())
+ * @param {options} Optional object with the following fields
+ *                    basepath - stripped from the image and geocastFile paths when a geocast
+ *                               entry has no imagePattern/geocastPattern fields (e.g. objects
+ *                               built by hand) and the %0Nd patterns have to be inferred
+ * @return {string} The content of the GeoScene file
+ */
+function serializeGeoScene(scene, options) {
+  options = options || {};
+  var lines = [];
+  lines.push("GeoScene V" + (scene.version || "2.0"));
+  var frames = scene.sequence ? getSceneFrames(scene) : [];
+  var offset = scene.sequenceOffset || 0;
+  var step = scene.sequenceStep || 1;
+  if (scene.sequence) {
+    var sequenceLine;
+    // Frames lists have no sequenceStep, they stay lists even when their frames are evenly spaced
+    if ((scene.sequenceStep !== undefined || !scene.frames) &&
+        isFrameRange(frames, scene.sequence, step)) {
+      sequenceLine = "Sequence " + formatNumbers(scene.sequence);
+      if (step != 1)
+        sequenceLine += " Step " + step;
+      if (offset != 0)
+        sequenceLine += " Offset " + offset;
+      sequenceLine += formatExtensionKeys(scene.extensions, "Sequence.");
+    } else {
+      sequenceLine = "Frames " + formatNumbers(frames);
+      if (offset != 0)
+        sequenceLine += " Offset " + offset;
+    }
+    lines.push(sequenceLine);
+  }
+  if (scene.dataformat)
+    lines.push("DataFormat " + quoteToken(scene.dataformat));
+
+  var writeEntry = function (tag, entry) {
+    var imagePattern = entry.imagePattern;
+    if (imagePattern === undefined)
+      imagePattern = inferSequencePattern(entry.image, frames, offset, options.basepath);
+    var geocastPattern = entry.geocastPattern;
+    if (geocastPattern === undefined)
+      geocastPattern = inferSequencePattern(entry.geocastFile, frames, offset, options.basepath);
+    lines.push(tag + " " + quoteToken(entry.name) + " " + formatNumbers(entry.size) + " " +
+               quoteToken(imagePattern) + " " + quoteToken(geocastPattern) +
+               formatExtensionKeys(entry.extensions, ""));
+  };
+  (scene.geoCastSequence || []).forEach(function (entry) {
+    writeEntry("GeoCast", entry);
+  });
+  (scene.geoCastZSequence || []).forEach(function (entry) {
+    writeEntry("GeoCastZ", entry);
+  });
+
+  (scene.matchGroupSequence || []).forEach(function (matchGroup) {
+    lines.push("MatchGroup " + quoteToken(matchGroup.index));
+    matchGroup.matchCamSequence.forEach(function (name) {
+      lines.push("MatchCam " + quoteToken(name));
+    });
+    matchGroup.matchSurfaceSequence.forEach(function (name) {
+      lines.push("MatchSurface " + quoteToken(name));
+    });
+  });
+  writeExtensionLines(lines, scene.extensions);
+  return lines.join("\n") + "\n";
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    serializeGeoCast: serializeGeoCast,
+    serializeGeoScene: serializeGeoScene
+  };
+}
@@ -0,0 +1,399 @@
+// glMatrix 2.3.2 or higher, geoscene-filereader.js and geocast-camera.js are required - make sure
+// to include them before this js file (under Node.js they are loaded automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat3 = require('./gl-matrix-min.js').mat3;
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var quat = require('./gl-matrix-min.js').quat;
+  var degToRad = require('./geoscene-filereader.js').degToRad;
+  var expandSequencePattern = require('./geoscene-filereader.js').expandSequencePattern;
+  var getFrameIndex = require('./geoscene-filereader.js').getFrameIndex;
+  var getViewMatrix = require('./geocast-camera.js').getViewMatrix;
+}
+
+// <[utility functions]>
+function getCameraPose(geocast) { // Node translation and [x, y, z, w] rotation, camera to world
+  var inverseView = mat4.invert(new Float64Array(16), getViewMatrix(geocast)); // Georeferenced
+  if (!inverseView)
+    throw new Error("The GeoCast ModelviewMatrix is not invertible");
+  var rotation = quat.fromMat3(quat.create(), mat3.fromMat4(mat3.create(), inverseView));
+  quat.normalize(rotation, rotation);
+  return {
+    translation: [inverseView[12], inverseView[13], inverseView[14]],
+    rotation: [rotation[0], rotation[1], rotation[2], rotation[3]]
+  };
+}
+function getCrossSection(geocast, depth) { // Half width and height of the view at an eye depth
+  if (geocast.DataProject == "Ortho")
+    return [geocast.WindowSize[0] / 2.0, geocast.WindowSize[1] / 2.0];
+  var halfHeight = depth * Math.tan(degToRad(geocast.Fovy) / 2.0);
+  return [halfHeight * geocast.Aspect, halfHeight];
+}
+function getClipRange(geocast) {
+  return (geocast.DataProject == "Ortho") ? geocast.ProjRange : geocast.ClipRange;
+}
+function encodeUTF8(text) {
+  var binary = unescape(encodeURIComponent(text));
+  var bytes = new Uint8Array(binary.length);
+  for (var i = 0; i < binary.length; ++i)
+    bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+function encodeBase64(bytes) {
+  var alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+  var text = "";
+  for (var i = 0; i < bytes.length; i += 3) {
+    var n = (bytes[i] << 16) | ((i + 1 < bytes.length ? bytes[i + 1] : 0) << 8) |
+            (i + 2 < bytes.length ? bytes[i + 2] : 0);
+    text += alphabet[(n >> 18) & 63] + alphabet[(n >> 12) & 63] +
+            (i + 1 < bytes.length ? alphabet[(n >> 6) & 63] : "=") +
+            (i + 2 < bytes.length ? alphabet[n & 63] : "=");
+  }
+  return text;
+}
+function createBufferBuilder(gltf) { // Accessors and buffer views packed into a single buffer
+  var chunks = [];
+  var byteLength = 0;
+  return {
+    addAccessor: function (values, type, options) {
+      options = options || {};
+      var isIndices = (options.target == 34963);
+      var data = isIndices ? new Uint16Array(values) : new Float32Array(values);
+      var bytes = new Uint8Array(data.buffer);
+      gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length });
+      if (options.target)
+        gltf.bufferViews[gltf.bufferViews.length - 1].target = options.target;
+      chunks.push(bytes);
+      byteLength += bytes.length;
+      var padding = (4 - byteLength % 4) % 4; // Keeps every buffer view 4-byte aligned
+      if (padding > 0) {
+        chunks.push(new Uint8Array(padding));
+        byteLength += padding;
+      }
+      var components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[type];
+      var accessor = {
+        bufferView: gltf.bufferViews.length - 1,
+        componentType: isIndices ? 5123 : 5126, // UNSIGNED_SHORT or FLOAT
+        count: data.length / components,
+        type: type
+      };
+      if (options.bounds) { // Required for positions and animation inputs
+        accessor.min = [];
+        accessor.max = [];
+        for (var c = 0; c < components; ++c) {
+          accessor.min.push(Infinity);
+          accessor.max.push(-Infinity);
+          for (var i = c; i < data.length; i += components) {
+            accessor.min[c] = Math.min(accessor.min[c], data[i]);
+            accessor.max[c] = Math.max(accessor.max[c], data[i]);
+          }
+        }
+      }
+      gltf.accessors.push(accessor);
+      return gltf.accessors.length - 1;
+    },
+    getBytes: function () {
+      var bytes = new Uint8Array(byteLength);
+      var offset = 0;
+      chunks.forEach(function (chunk) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+      });
+      return bytes;
+    }
+  };
+}
+function addFrustumMesh(gltf, builder, geocast, depth, material) {
+  var near = getClipRange(geocast)[0];
+  var nearSize = getCrossSection(geocast, near);
+  var farSize = getCrossSection(geocast, depth);
+  var positions = [];
+  [[near, nearSize], [depth, farSize]].forEach(function (plane) {
+    var size = plane[1];
+    positions.push(-size[0], -size[1], -plane[0], size[0], -size[1], -plane[0],
+                   size[0], size[1], -plane[0], -size[0], size[1], -plane[0]);
+  });
+  var indices = [0, 1, 1, 2, 2, 3, 3, 0, 4, 5, 5, 6, 6, 7, 7, 4, 0, 4, 1, 5, 2, 6, 3, 7];
+  if (geocast.DataProject != "Ortho") { // Lines from the projection center to the near plane
+    positions.push(0, 0, 0);
+    indices.push(8, 0, 8, 1, 8, 2, 8, 3);
+  }
+  gltf.meshes.push({
+    primitives: [{
+      attributes: {
+        POSITION: builder.addAccessor(positions, "VEC3", { target: 34962, bounds: true })
+      },
+      indices: builder.addAccessor(indices, "SCALAR", { target: 34963 }),
+      material: material,
+      mode: 1 // LINES
+    }]
+  });
+  return gltf.meshes.length - 1;
+}
+function addImageMesh(gltf, builder, geocast, depth, uri) {
+  var size = getCrossSection(geocast, depth);
+  var positions = [-size[0], size[1], -depth, size[0], size[1], -depth,
+                   size[0], -size[1], -depth, -size[0], -size[1], -depth];
+  gltf.images.push({ uri: uri });
+  gltf.textures.push({ source: gltf.images.length - 1 });
+  gltf.materials.push({
+    pbrMetallicRoughness: {
+      baseColorTexture: { index: gltf.textures.length - 1 },
+      metallicFactor: 0.0,
+      roughnessFactor: 1.0
+    },
+    doubleSided: true,
+    extensions: { KHR_materials_unlit: {} }
+  });
+  gltf.meshes.push({
+    primitives: [{
+      attributes: {
+        POSITION: builder.addAccessor(positions, "VEC3", { target: 34962, bounds: true }),
+        TEXCOORD_0: builder.addAccessor([0, 0, 1, 0, 1, 1, 0, 1], "VEC2", { target: 34962 })
+      },
+      indices: builder.addAccessor([0, 2, 1, 0, 3, 2], "SCALAR", { target: 34963 }),
+      material: gltf.materials.length - 1
+    }]
+  });
+  return gltf.meshes.length - 1;
+}
+function buildGLTF(scene, options) {
+  options = options || {};
+  var frames = scene.frames || [];
+  var frameRate = options.frameRate || 25.0;
+  var gltf = {
+    asset: { version: "2.0", generator: "js-geoscene-reader" },
+    extensionsUsed: ["KHR_materials_unlit"],
+    scene: 0,
+    scenes: [{ name: "GeoScene", nodes: [] }],
+    nodes: [],
+    cameras: [],
+    meshes: [],
+    materials: [],
+    textures: [],
+    images: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+    animations: []
+  };
+  var builder = createBufferBuilder(gltf);
+  var frustumMaterials = []; // Orange for the GeoCast entries, blue for the GeoCastZ ones
+  var getFrustumMaterial = function (isSurface) {
+    if (frustumMaterials[+isSurface] === undefined) {
+      gltf.materials.push({
+        pbrMetallicRoughness: {
+          baseColorFactor: isSurface ? [0.2, 0.5, 1.0, 1.0] : [1.0, 0.6, 0.0, 1.0],
+          metallicFactor: 0.0,
+          roughnessFactor: 1.0
+        },
+        extensions: { KHR_materials_unlit: {} }
+      });
+      frustumMaterials[+isSurface] = gltf.materials.length - 1;
+    }
+    return frustumMaterials[+isSurface];
+  };
+  var channels = [];
+  var samplers = [];
+
+  var addEntry = function (entry, isSurface) {
+    var geocasts = entry.geocast || [];
+    var index = (options.frame !== undefined) ? getFrameIndex(scene, options.frame) : 0;
+    if (index < 0)
+      throw new Error("Frame " + options.frame + " is out of the sequence");
+    var k = (geocasts.length == 1) ? 0 : index;
+    var geocast = geocasts[k];
+    if (!geocast || !geocast.ModelviewMatrix) {
+      k = -1; // Missing at that frame, the first available one is used
+      for (var i = 0; i < geocasts.length && k < 0; ++i) {
+        if (geocasts[i] && geocasts[i].ModelviewMatrix)
+          k = i;
+      }
+      if (k < 0)
+        return; // Nothing loaded for this entry
+      geocast = geocasts[k];
+    }
+
+    var clipRange = getClipRange(geocast);
+    var camera = { name: entry.name };
+    if (geocast.DataProject == "Ortho") {
+      camera.type = "orthographic";
+      camera.orthographic = { xmag: geocast.WindowSize[0] / 2.0, ymag: geocast.WindowSize[1] / 2.0,
+                              znear: clipRange[0], zfar: clipRange[1] };
+    } else {
+      camera.type = "perspective";
+      camera.perspective = { aspectRatio: geocast.Aspect, yfov: degToRad(geocast.Fovy),
+                             znear: clipRange[0], zfar: clipRange[1] };
+    }
+    gltf.cameras.push(camera);
+    var pose = getCameraPose(geocast);
+    var node = {
+      name: entry.name,
+      camera: gltf.cameras.length - 1,
+      translation: pose.translation,
+      rotation: pose.rotation,
+      children: []
+    };
+    gltf.nodes.push(node);
+    var nodeIndex = gltf.nodes.length - 1;
+    gltf.scenes[0].nodes.push(nodeIndex);
+
+    var depth = options.frustumDepth || ((geocast.ViewSlice && geocast.ViewSlice.Size > 0) ?
+                                         geocast.ViewSlice.Size : clipRange[1]);
+    if (options.frustums) {
+      gltf.nodes.push({
+        name: entry.name + " frustum",
+        mesh: addFrustumMesh(gltf, builder, geocast, depth, getFrustumMaterial(isSurface))
+      });
+      node.children.push(gltf.nodes.length - 1);
+    }
+    if (options.images) {
+      var frame = frames[(geocasts.length == 1) ? index : k];
+      var uri;
+      if (options.imageUri)
+        uri = options.imageUri(entry, frame);
+      else if (entry.imagePattern)
+        uri = expandSequencePattern(entry.imagePattern, [frame], scene.sequenceOffset)[0];
+      else
+        uri = entry.image[(entry.image.length == 1) ? 0 : k];
+      if (uri) {
+        gltf.nodes.push({
+          name: entry.name + " image",
+          mesh: addImageMesh(gltf, builder, geocast, options.imageDepth || depth, uri)
+        });
+        node.children.push(gltf.nodes.length - 1);
+      }
+    }
+    if (node.children.length == 0)
+      delete node.children;
+
+    if (options.animation === false || geocasts.length < 2 || frames.length < 2)
+      return;
+    var times = [];
+    var translations = [];
+    var rotations = [];
+    var previous = null;
+    geocasts.forEach(function (frameGeocast, f) {
+      if (!frameGeocast || !frameGeocast.ModelviewMatrix)
+        return; // Gaps are interpolated over
+      var framePose = getCameraPose(frameGeocast);
+      var q = framePose.rotation;
+      if (previous && quat.dot(q, previous) < 0.0)
+        q = q.map(function (value) { return -value; }); // Shortest path between keyframes
+      previous = q;
+      times.push((frames[f] - frames[0]) / frameRate);
+      Array.prototype.push.apply(translations, framePose.translation);
+      Array.prototype.push.apply(rotations, q);
+    });
+    if (times.length < 2)
+      return;
+    var input = builder.addAccessor(times, "SCALAR", { bounds: true });
+    var addChannel = function (path, values, type) {
+      samplers.push({ input: input, output: builder.addAccessor(values, type),
+                      interpolation: "LINEAR" });
+      channels.push({ sampler: samplers.length - 1, target: { node: nodeIndex, path: path } });
+    };
+    addChannel("translation", translations, "VEC3");
+    addChannel("rotation", rotations, "VEC4");
+  };
+  (scene.geoCastSequence || []).forEach(function (entry) {
+    addEntry(entry, false);
+  });
+  (scene.geoCastZSequence || []).forEach(function (entry) {
+    addEntry(entry, true);
+  });
+  if (channels.length > 0)
+    gltf.animations.push({ name: "Sequence", channels: channels, samplers: samplers });
+
+  var bytes = builder.getBytes();
+  if (bytes.length > 0)
+    gltf.buffers.push({ byteLength: bytes.length });
+  ["cameras", "meshes", "materials", "textures", "images", "accessors", "bufferViews", "buffers",
+   "animations"].forEach(function (field) {
+    if (gltf[field].length == 0)
+      delete gltf[field]; // Empty arrays are not allowed
+  });
+  if (!gltf.materials)
+    delete gltf.extensionsUsed;
+  return { gltf: gltf, bytes: bytes };
+}
+
+/**
+ * Exports the GeoCast and GeoCastZ entries of a GeoScene as a glTF 2.0 scene, e.g. to review a
+ * capture setup in a standard 3D viewer. Every entry becomes a node named after it, with the pose
+ * of its ModelviewMatrix and a perspective (Fovy, Aspect, ClipRange) or orthographic (WindowSize,
+ * ProjRange) glTF camera. Both GeoCast and glTF cameras look down their -Z axis with Y up, so the
+ * camera nodes need no axis conversion.
+ *
+ * Frustums and image planes are children of the camera nodes. They are sized by the ViewSlice
+ * Size, if any, otherwise by the far clipping plane. With several frames the camera motion is
+ * exported as an animation with one keyframe per frame, missing frames are interpolated over.
+ * Images are referenced by their URIs and do not change across frames (glTF cannot animate
+ * textures): the ones of the exported frame are used.
+ *
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {options} Optional object with the following fields
+ *                    frame        - frame number used for the node poses, the cameras and the
+ *                                   images (default: the first frame)
+ *                    frustums     - add frustum wireframe meshes (default: false)
+ *                    frustumDepth - depth of the frustums, overrides ViewSlice and the clip range
+ *                    images       - add textured image quads (default: false)
+ *                    imageDepth   - depth of the image quads (default: the frustum depth)
+ *                    imageUri     - function (entry, frame) returning the URI of the image of an
+ *                                   entry. Default: the imagePattern expanded for the frame,
+ *                                   i.e. relative to the GeoScene file
+ *                    animation    - export the camera motion of sequences (default: true)
+ *                    frameRate    - frames per second of the animation (default: 25)
+ * @return {object} The glTF JSON object, with its binary buffer embedded as a data URI. Use
+ *                  JSON.stringify() to write a .gltf file
+ *
+ * Example usage (Node.js):
+ *
+ *     var gltf = exportGLTF(scene, { frustums: true, images: true });
+ *     fs.writeFileSync("myscene.gltf", JSON.stringify(gltf));
+ */
+function exportGLTF(scene, options) {
+  var res = buildGLTF(scene, options);
+  if (res.gltf.buffers)
+    res.gltf.buffers[0].uri = "data:application/octet-stream;base64," + encodeBase64(res.bytes);
+  return res.gltf;
+}
+
+/**
+ * Exports a GeoScene as a binary glTF 2.0 (.glb) file, see exportGLTF() for the content and the
+ * options. Images are still referenced by their URIs
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {options} Optional object, see exportGLTF()
+ * @return {ArrayBuffer} The content of the .glb file
+ */
+function exportGLB(scene, options) {
+  var res = buildGLTF(scene, options);
+  var json = encodeUTF8(JSON.stringify(res.gltf));
+  var jsonLength = Math.ceil(json.length / 4) * 4;
+  var binLength = Math.ceil(res.bytes.length / 4) * 4;
+  var total = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+  var buffer = new ArrayBuffer(total);
+  var view = new DataView(buffer);
+  var bytes = new Uint8Array(buffer);
+  view.setUint32(0, 0x46546C67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4E4F534A, true); // "JSON"
+  bytes.set(json, 20);
+  for (var i = 20 + json.length; i < 20 + jsonLength; ++i)
+    bytes[i] = 0x20; // The JSON chunk is padded with spaces
+  if (binLength > 0) {
+    view.setUint32(20 + jsonLength, binLength, true);
+    view.setUint32(24 + jsonLength, 0x004E4942, true); // "BIN"
+    bytes.set(res.bytes, 28 + jsonLength);
+  }
+  return buffer;
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    exportGLTF: exportGLTF,
+    exportGLB: exportGLB
+  };
+}
@@ -0,0 +1,339 @@
+// glMatrix 2.3.2 or higher, geocast-camera.js and geocast-depth.js (and their dependencies) are
+// required - make sure to include them before this js file (under Node.js they are loaded
+// automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var vec3 = require('./gl-matrix-min.js').vec3;
+  var radToDeg = require('./geoscene-filereader.js').radToDeg;
+  var createGeoCastCamera = require('./geocast-camera.js').createGeoCastCamera;
+  var createSceneCamera = require('./geocast-camera.js').createSceneCamera;
+  var decodeDepthValues = require('./geocast-depth.js').decodeDepthValues;
+}
+
+// <[utility functions]>
+function getMatchGroups(scene, group) { // Every group, or the ones with the given index
+  return (scene.matchGroupSequence || []).filter(function (matchGroup) {
+    return group === undefined || matchGroup.index == group;
+  });
+}
+function addUnique(names, name) {
+  if (names.indexOf(name) < 0)
+    names.push(name);
+}
+function getDepthRange(camera) {
+  var geocast = camera.geocast;
+  return camera.isOrtho ? geocast.ProjRange : geocast.ClipRange;
+}
+function isInFrustum(projection) {
+  return projection.inImage && projection.inDepthRange;
+}
+function intersectPlane(ray, plane) { // Ray parameter of the hit, null if parallel or behind
+  var normal = plane.normal;
+  var denominator = vec3.dot(normal, ray.direction);
+  if (Math.abs(denominator) < 1e-12)
+    return null;
+  var offset = vec3.subtract(new Float64Array(3), plane.point, ray.origin);
+  var t = vec3.dot(normal, offset) / denominator;
+  return (t >= 0.0) ? t : null;
+}
+function intersectDepthSurface(ray, camera, surface, steps) {
+  // Marches the ray within the depth range of the camera and returns the parameter of the first
+  // crossing of the surface depth map, refined by bisection. Samples outside the depth image or
+  // without depth break the crossing search
+  var range = getDepthRange(camera);
+  var cosine = vec3.dot(ray.direction, camera.direction);
+  if (cosine <= 0.0)
+    return null;
+  var start = range[0] / cosine;
+  var end = range[1] / cosine;
+  var stepLength = (end - start) / steps;
+  var difference = function (t) { // Signed distance from the surface along its viewing direction
+    var point = vec3.scaleAndAdd(new Float64Array(3), ray.origin, ray.direction, t);
+    var projection = surface.camera.project(point);
+    if (!projection.inImage)
+      return NaN;
+    var x = Math.floor(projection.pixel[0]);
+    var y = Math.floor(projection.pixel[1]);
+    return projection.depth - surface.depths[y * surface.camera.size[0] + x];
+  };
+  var previousT = start;
+  var previous = difference(start);
+  for (var i = 1; i <= steps; ++i) {
+    var t = start + i * stepLength;
+    var current = difference(t);
+    if (isFinite(previous) && isFinite(current) && (previous <= 0.0) != (current <= 0.0)) {
+      var low = previousT;
+      var high = t;
+      for (var j = 0; j < 32; ++j) {
+        var middle = (low + high) / 2.0;
+        var value = difference(middle);
+        if (!isFinite(value))
+          break;
+        if ((value <= 0.0) == (previous <= 0.0))
+          low = middle;
+        else
+          high = middle;
+      }
+      var hit = (low + high) / 2.0;
+      // Crossings at depth discontinuities (occlusion edges) are not on the surface
+      if (Math.abs(difference(hit)) <= stepLength)
+        return hit;
+    }
+    previousT = t;
+    previous = current;
+  }
+  return null;
+}
+
+/**
+ * Returns the names of the cameras (MatchCam) of a GeoScene which see a world point, i.e. whose
+ * frustum contains it: in front of the camera, within the image bounds and between the clipping
+ * planes. Occlusions are not taken into account
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {worldPoint} The point in world coordinates
+ * @param {options} Optional object with the following fields
+ *                    group      - index of the MatchGroup whose cameras are tested (default:
+ *                                 the cameras of every group)
+ *                    frame      - the frame number (see createSceneCamera())
+ *                    distortion - pixels of the original captured images (see
+ *                                 createGeoCastCamera())
+ * @return {array} The cameras which see the point, similar to the following
+ *
+ *   [
+ *     {
+ *       name = "Field0";
+ *       pixel = [812.3, 455.1];
+ *       depth = 12.5; // Eye-space depth
+ *     }, ...
+ *   ]
+ */
+function findVisibleCameras(scene, worldPoint, options) {
+  options = options || {};
+  var names = [];
+  getMatchGroups(scene, options.group).forEach(function (matchGroup) {
+    matchGroup.matchCamSequence.forEach(function (name) {
+      addUnique(names, name);
+    });
+  });
+  var visible = [];
+  names.forEach(function (name) {
+    var camera = createSceneCamera(scene, name, options.frame, { distortion: options.distortion });
+    var projection = camera.project(worldPoint);
+    if (isInFrustum(projection))
+      visible.push({ name: name, pixel: projection.pixel, depth: projection.depth });
+  });
+  return visible;
+}
+
+/**
+ * Transfers a pixel of a camera to the other cameras of its MatchGroups: the ray of the pixel is
+ * intersected with a surface and the hit point is projected onto every target camera. The
+ * surface is either a plane or the depth image of a GeoCastZ entry (by default the first
+ * MatchSurface of the groups of the camera), which is searched by marching along the ray
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {name} The name of the GeoCast entry the pixel belongs to
+ * @param {pixel} The pixel coordinates [x, y] (see createGeoCastCamera() for the conventions)
+ * @param {options} Object with the following fields
+ *                    plane       - plane to intersect, { point: [0, 0, 0], normal: [0, 1, 0] }
+ *                    depthImage  - otherwise the decoded depth image of the surface at the
+ *                                  frame (see createPointCloud() for its layout)
+ *                    surface     - name of the GeoCastZ entry of depthImage (default: the first
+ *                                  MatchSurface of the groups of the camera)
+ *                    noDataValue - raw depth value of the pixels without depth (see
+ *                                  decodeDepthValues())
+ *                    steps       - number of ray marching steps (default: 512)
+ *                    targets     - names of the cameras to transfer to (default: every other
+ *                                  MatchCam of the groups of the camera)
+ *                    frame       - the frame number (see createSceneCamera())
+ *                    distortion  - pixels of the original captured images (see
+ *                                  createGeoCastCamera())
+ * @return {object} The transfer result similar to the following
+ *
+ *   transfer = {
+ *     point = [1.0, 0.0, 2.5]; // World point hit by the pixel ray, null if the ray misses the
+ *                              // surface (the views are then empty)
+ *     views = [
+ *       {
+ *         name = "Field1";
+ *         pixel = [640.2, 380.9];
+ *         depth = 9.7;
+ *         inFrustum = true; // Within the image bounds and the clipping planes
+ *       }, ...
+ *     ]
+ *   }
+ *
+ * Example usage:
+ *
+ *     canvas.onclick = function (event) {
+ *       var transfer = transferPixel(scene, "Field0", [event.offsetX, event.offsetY],
+ *                                    { plane: { point: [0, 0, 0], normal: [0, 0, 1] } });
+ *       transfer.views.forEach(function (view) {
+ *         if (view.inFrustum)
+ *           drawMarker(view.name, view.pixel);
+ *       });
+ *     };
+ */
+function transferPixel(scene, name, pixel, options) {
+  options = options || {};
+  var groups = getMatchGroups(scene).filter(function (matchGroup) {
+    return matchGroup.matchCamSequence.indexOf(name) >= 0;
+  });
+  var cameraOptions = { distortion: options.distortion };
+  var camera = createSceneCamera(scene, name, options.frame, cameraOptions);
+  var ray = camera.pixelRay(pixel);
+
+  var t;
+  if (options.plane) {
+    t = intersectPlane(ray, options.plane);
+  } else if (options.depthImage) {
+    var surfaceName = options.surface;
+    for (var i = 0; surfaceName === undefined && i < groups.length; ++i)
+      surfaceName = groups[i].matchSurfaceSequence[0];
+    if (surfaceName === undefined)
+      throw new Error("No MatchSurface for the camera '" + name + "'");
+    // The depth image sets the surface camera size, which may differ from the entry size
+    var geocast = createSceneCamera(scene, surfaceName, options.frame).geocast;
+    var depthImage = options.depthImage;
+    var surface = {
+      camera: createGeoCastCamera(geocast, [depthImage.width, depthImage.height], cameraOptions),
+      depths: decodeDepthValues(depthImage.data, depthImage.bitDepth, geocast, {
+        channels: depthImage.channels,
+        noDataValue: options.noDataValue
+      })
+    };
+    t = intersectDepthSurface(ray, camera, surface, options.steps || 512);
+  } else {
+    throw new Error("transferPixel() needs a plane or the depthImage of a surface");
+  }
+  if (t === null)
+    return { point: null, views: [] };
+  var point = vec3.scaleAndAdd(new Float64Array(3), ray.origin, ray.direction, t);
+
+  var targets = options.targets;
+  if (!targets) {
+    targets = [];
+    groups.forEach(function (matchGroup) {
+      matchGroup.matchCamSequence.forEach(function (target) {
+        if (target != name)
+          addUnique(targets, target);
+      });
+    });
+  }
+  var views = targets.map(function (target) {
+    var projection = createSceneCamera(scene, target, options.frame, cameraOptions).project(point);
+    return {
+      name: target,
+      pixel: projection.pixel,
+      depth: projection.depth,
+      inFrustum: isInFrustum(projection)
+    };
+  });
+  return { point: point, views: views };
+}
+
+/**
+ * Returns the transformation from the eye space of a camera to the eye space of another one
+ * @param {cameraA} The source camera object (see createGeoCastCamera())
+ * @param {cameraB} The target camera object
+ * @return {mat4} The column-major transformation, i.e. viewB * inverse(viewA)
+ */
+function getRelativeTransform(cameraA, cameraB) {
+  return mat4.multiply(new Float64Array(16), cameraB.viewMatrix, cameraA.inverseViewMatrix);
+}
+
+/**
+ * Estimates the fraction of the frustum volume of a camera which lies within the frustum of
+ * another camera, by sampling a grid of pixel rays at several depths
+ * @param {cameraA} The camera object whose frustum is sampled (see createGeoCastCamera())
+ * @param {cameraB} The other camera object
+ * @param {options} Optional object with the following fields
+ *                    samples    - samples per image side and along the depth (default: 8)
+ *                    depthRange - [near, far] depths of cameraA to sample (default: its clipping
+ *                                 planes). Large far planes make the far samples dominate
+ * @return {number} The overlap, between 0 and 1
+ */
+function computeFrustumOverlap(cameraA, cameraB, options) {
+  options = options || {};
+  var samples = options.samples || 8;
+  var range = options.depthRange || getDepthRange(cameraA);
+  var inside = 0.0;
+  var total = 0.0;
+  for (var k = 0; k < samples; ++k) {
+    var depth = range[0] + (k + 0.5) / samples * (range[1] - range[0]);
+    var weight = cameraA.isOrtho ? 1.0 : depth * depth; // Perspective slices grow with the depth
+    for (var y = 0; y < samples; ++y) {
+      for (var x = 0; x < samples; ++x) {
+        var pixel = [(x + 0.5) / samples * cameraA.size[0], (y + 0.5) / samples * cameraA.size[1]];
+        if (isInFrustum(cameraB.project(cameraA.unproject(pixel, depth))))
+          inside += weight;
+        total += weight;
+      }
+    }
+  }
+  return inside / total;
+}
+
+/**
+ * Computes the relative transformation and the frustum overlap of every pair of cameras of the
+ * MatchGroups of a GeoScene
+ * @param {scene} The GeoScene object with its geocasts loaded (see loadGeoScene())
+ * @param {options} Optional object with the following fields
+ *                    group      - index of the only MatchGroup to compute (default: every group)
+ *                    frame      - the frame number (see createSceneCamera())
+ *                    samples    - see computeFrustumOverlap()
+ *                    depthRange - see computeFrustumOverlap(), used for both cameras
+ * @return {array} One object per MatchGroup similar to the following
+ *
+ *   [
+ *     {
+ *       index = "0";
+ *       pairs = [
+ *         {
+ *           first = "Field0";
+ *           second = "Field1";
+ *           transform; // mat4 object, from the eye space of first to the one of second
+ *           baseline = 2.4; // Distance between the camera centers
+ *           angle = 35.2; // Angle between the viewing directions (degrees)
+ *           overlap = [0.6, 0.45]; // Fraction of the frustum of first within the one of
+ *                                  // second, and the other way around
+ *         }, ...
+ *       ]
+ *     }, ...
+ *   ]
+ */
+function getMatchGroupPairs(scene, options) {
+  options = options || {};
+  var overlapOptions = { samples: options.samples, depthRange: options.depthRange };
+  return getMatchGroups(scene, options.group).map(function (matchGroup) {
+    var cameras = matchGroup.matchCamSequence.map(function (name) {
+      return createSceneCamera(scene, name, options.frame);
+    });
+    var pairs = [];
+    for (var i = 0; i < cameras.length; ++i) {
+      for (var j = i + 1; j < cameras.length; ++j) {
+        var cosine = vec3.dot(cameras[i].direction, cameras[j].direction);
+        pairs.push({
+          first: matchGroup.matchCamSequence[i],
+          second: matchGroup.matchCamSequence[j],
+          transform: getRelativeTransform(cameras[i], cameras[j]),
+          baseline: vec3.distance(cameras[i].position, cameras[j].position),
+          angle: radToDeg(Math.acos(Math.max(-1.0, Math.min(1.0, cosine)))),
+          overlap: [computeFrustumOverlap(cameras[i], cameras[j], overlapOptions),
+                    computeFrustumOverlap(cameras[j], cameras[i], overlapOptions)]
+        });
+      }
+    }
+    return { index: matchGroup.index, pairs: pairs };
+  });
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    findVisibleCameras: findVisibleCameras,
+    transferPixel: transferPixel,
+    getRelativeTransform: getRelativeTransform,
+    computeFrustumOverlap: computeFrustumOverlap,
+    getMatchGroupPairs: getMatchGroupPairs
+  };
+}
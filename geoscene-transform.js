@@ -0,0 +1,246 @@
+// glMatrix 2.3.2 or higher and geoscene-filereader.js are required - make sure to include them
+// before this js file (under Node.js they are loaded automatically)
+if (typeof module !== 'undefined' && module.exports) {
+  var mat4 = require('./gl-matrix-min.js').mat4;
+  var degToRad = require('./geoscene-filereader.js').degToRad;
+}
+
+// <[utility functions]>
+// Meters per unit, see createUnitScaleTransform()
+var GEOSCENE_UNITS = { mm: 0.001, cm: 0.01, m: 1.0, km: 1000.0, in: 0.0254, ft: 0.3048 };
+// Rotations from Y-up (X right, Z towards the viewer) to the other conventions
+var GEOSCENE_AXES = {
+  "Y-up": [1, 0, 0, 0, 1, 0, 0, 0, 1],
+  "Z-up": [1, 0, 0, 0, 0, -1, 0, 1, 0] // Y becomes Z, Z becomes -Y
+};
+
+function getUnitScale(unit) {
+  if (typeof unit === 'number')
+    return unit;
+  if (!GEOSCENE_UNITS.hasOwnProperty(unit))
+    throw new Error("Unrecognized unit '" + unit + "'");
+  return GEOSCENE_UNITS[unit];
+}
+function getAxesRotation(axes) {
+  if (!GEOSCENE_AXES.hasOwnProperty(axes))
+    throw new Error("Unrecognized axis convention '" + axes + "'");
+  return GEOSCENE_AXES[axes];
+}
+function multiplyRotations(a, b) { // Row-major 3x3 product a * b
+  var output = [];
+  for (var r = 0; r < 3; ++r) {
+    for (var c = 0; c < 3; ++c)
+      output.push(a[3 * r] * b[c] + a[3 * r + 1] * b[3 + c] + a[3 * r + 2] * b[6 + c]);
+  }
+  return output;
+}
+function transposeRotation(a) {
+  return [a[0], a[3], a[6], a[1], a[4], a[7], a[2], a[5], a[8]];
+}
+function rotateVector(rotation, v) {
+  return [rotation[0] * v[0] + rotation[1] * v[1] + rotation[2] * v[2],
+          rotation[3] * v[0] + rotation[4] * v[1] + rotation[5] * v[2],
+          rotation[6] * v[0] + rotation[7] * v[1] + rotation[8] * v[2]];
+}
+function checkTransform(transform) {
+  if (!(transform.scale > 0.0) || !isFinite(transform.scale))
+    throw new Error("The transform scale must be a positive number");
+  var r = transform.rotation;
+  var product = multiplyRotations(r, transposeRotation(r));
+  var determinant = r[0] * (r[4] * r[8] - r[5] * r[7]) - r[1] * (r[3] * r[8] - r[5] * r[6]) +
+                    r[2] * (r[3] * r[7] - r[4] * r[6]);
+  var isOrthonormal = product.every(function (value, i) {
+    return Math.abs(value - ((i % 4 == 0) ? 1.0 : 0.0)) <= 1e-6;
+  });
+  if (!isOrthonormal || !(determinant > 0.0)) // Reflections would mirror the camera images
+    throw new Error("The transform rotation must be orthonormal, without reflection");
+}
+function transformGeoCast(geocast, transform) {
+  var s = transform.scale;
+  var scale = function (values) {
+    return values.map(function (value) { return value * s; });
+  };
+  if (geocast.CameraPosition)
+    geocast.CameraPosition = transformPoint(transform, geocast.CameraPosition);
+  if (geocast.ViewSlice)
+    geocast.ViewSlice.Size *= s;
+  if (geocast.ModelviewMatrix) {
+    // World points become x' = s * R * x + t and eye points are scaled by s, so that the images
+    // do not change: the view rotation becomes Rv * R^T and its translation s * tv - Rv * R^T * t
+    var m = geocast.ModelviewMatrix; // Row-major
+    var rotation = multiplyRotations([m[0], m[1], m[2], m[4], m[5], m[6], m[8], m[9], m[10]],
+                                     transposeRotation(transform.rotation));
+    var offset = rotateVector(rotation, transform.translation);
+    var matrix = new Float64Array(16); // Double precision for georeferenced coordinates
+    for (var r = 0; r < 3; ++r) {
+      matrix[4 * r] = rotation[3 * r];
+      matrix[4 * r + 1] = rotation[3 * r + 1];
+      matrix[4 * r + 2] = rotation[3 * r + 2];
+      matrix[4 * r + 3] = s * m[4 * r + 3] - offset[r];
+    }
+    matrix[15] = 1.0;
+    geocast.ModelviewMatrix = matrix;
+  }
+  if (geocast.DataProject == "Ortho" && geocast.WindowSize && geocast.ProjRange) {
+    geocast.WindowSize = scale(geocast.WindowSize);
+    geocast.ProjRange = scale(geocast.ProjRange);
+    geocast.OrthoMatrix = mat4.ortho(mat4.create(),
+                                     -geocast.WindowSize[0] / 2.0, geocast.WindowSize[0] / 2.0,
+                                     -geocast.WindowSize[1] / 2.0, geocast.WindowSize[1] / 2.0,
+                                     geocast.ProjRange[0], geocast.ProjRange[1]);
+  } else if (geocast.DataProject == "Perspective" && geocast.ClipRange) {
+    geocast.ClipRange = scale(geocast.ClipRange);
+    geocast.PerspMatrix = mat4.perspective(mat4.create(), degToRad(geocast.Fovy), geocast.Aspect,
+                                           geocast.ClipRange[0], geocast.ClipRange[1]);
+  }
+  // Projection-space depths are relative to the clipping planes, which were scaled already
+  if (geocast.ZDataRange && geocast.WorldSpaceDepth)
+    geocast.ZDataRange = scale(geocast.ZDataRange);
+}
+
+/**
+ * Applies a similarity transform to a point
+ * @param {transform} The similarity transform object (see transformScene())
+ * @param {point} The point [x, y, z]
+ * @return {array} The transformed point, scale * rotation * point + translation
+ */
+function transformPoint(transform, point) {
+  var rotated = rotateVector(transform.rotation, point);
+  return [transform.scale * rotated[0] + transform.translation[0],
+          transform.scale * rotated[1] + transform.translation[1],
+          transform.scale * rotated[2] + transform.translation[2]];
+}
+
+/**
+ * Combines two similarity transforms (see transformScene()) into one
+ * @param {first} The transform applied first
+ * @param {second} The transform applied second
+ * @return {object} The similarity transform equivalent to applying first and then second
+ */
+function composeTransforms(first, second) {
+  var translation = rotateVector(second.rotation, first.translation);
+  return {
+    scale: second.scale * first.scale,
+    rotation: multiplyRotations(second.rotation, first.rotation),
+    translation: [second.scale * translation[0] + second.translation[0],
+                  second.scale * translation[1] + second.translation[1],
+                  second.scale * translation[2] + second.translation[2]]
+  };
+}
+
+/**
+ * Returns the similarity transform converting coordinates between units
+ * @param {from} The current unit: "mm", "cm", "m", "km", "in", "ft" or the meters per unit
+ * @param {to} The target unit, ditto
+ * @return {object} The similarity transform (see transformScene())
+ */
+function createUnitScaleTransform(from, to) {
+  return {
+    scale: getUnitScale(from) / getUnitScale(to),
+    rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    translation: [0, 0, 0]
+  };
+}
+
+/**
+ * Returns the similarity transform converting coordinates between up axis conventions. Both are
+ * right-handed with X pointing right: "Y-up" (Z towards the viewer, as OpenGL and glTF) and
+ * "Z-up" (Y pointing away from the viewer)
+ * @param {from} The current convention, "Y-up" or "Z-up"
+ * @param {to} The target convention, ditto
+ * @return {object} The similarity transform (see transformScene())
+ */
+function createAxisConversionTransform(from, to) {
+  return {
+    scale: 1.0,
+    rotation: multiplyRotations(getAxesRotation(to), transposeRotation(getAxesRotation(from))),
+    translation: [0, 0, 0]
+  };
+}
+
+/**
+ * Returns the similarity transform which adds an offset to the coordinates, e.g. to move a local
+ * scene to its georeferenced position. Offsets are plain numbers: georeferenced coordinates keep
+ * their double precision (see transformScene())
+ * @param {offset} The offset [x, y, z]. Use the negated origin of georeferenced coordinates to
+ *                 make them local
+ * @return {object} The similarity transform (see transformScene())
+ */
+function createOffsetTransform(offset) {
+  return {
+    scale: 1.0,
+    rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    translation: [offset[0], offset[1], offset[2]]
+  };
+}
+
+/**
+ * Transforms the world coordinates of a GeoScene: every geocast of every GeoCast and GeoCastZ
+ * entry (each frame) is updated in place so that world points x become
+ * scale * rotation * x + translation while the images stay the same. The camera positions and
+ * the ModelviewMatrix are moved, and every world-space length is scaled: the ortho WindowSize,
+ * ClipRange or ProjRange, ViewSlice Size and ZDataRange (WorldSpaceDepth only). OrthoMatrix and
+ * PerspMatrix are rebuilt.
+ *
+ * The ModelviewMatrix of the transformed geocasts is a Float64Array, so that large georeferenced
+ * coordinates keep their precision when serialized (see serializeGeoCast()) and in the camera
+ * objects (see createGeoCastCamera()), whose matrices are Float64Arrays too. In lazy mode (see
+ * loadGeoScene()) the geocasts are transformed when scene.getGeoCast() and
+ * scene.getCachedGeoCast() return them.
+ *
+ * @param {scene} The GeoScene object (see loadGeoScene())
+ * @param {transform} The similarity transform, an object similar to the following
+ *
+ *   transform = {
+ *     scale = 0.001;
+ *     rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1]; // Row-major 3x3, orthonormal without reflection
+ *     translation = [0, 0, 0];
+ *   }
+ *
+ * @return {object} The same GeoScene object
+ *
+ * Example usage:
+ *
+ *     // Millimeters with Y up to georeferenced meters with Z up
+ *     var transform = composeTransforms(createUnitScaleTransform("mm", "m"),
+ *                                       createAxisConversionTransform("Y-up", "Z-up"));
+ *     transform = composeTransforms(transform, createOffsetTransform([412345.25, 5412345.5, 210]));
+ *     transformScene(scene, transform);
+ */
+function transformScene(scene, transform) {
+  checkTransform(transform);
+  var transformed = new WeakSet(); // Geocasts shared by several frames or entries
+  var transformOnce = function (geocast) {
+    if (geocast && geocast.Version !== undefined && !transformed.has(geocast)) {
+      transformGeoCast(geocast, transform);
+      transformed.add(geocast);
+    }
+    return geocast;
+  };
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    entry.geocast.forEach(transformOnce); // Lazy mode descriptors have no Version
+  });
+  if (scene.getGeoCast) {
+    var getGeoCast = scene.getGeoCast;
+    var getCachedGeoCast = scene.getCachedGeoCast;
+    scene.getGeoCast = function (name, frame) {
+      return getGeoCast(name, frame).then(transformOnce);
+    };
+    scene.getCachedGeoCast = function (name, frame) {
+      return transformOnce(getCachedGeoCast(name, frame));
+    };
+  }
+  return scene;
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    transformPoint: transformPoint,
+    composeTransforms: composeTransforms,
+    createUnitScaleTransform: createUnitScaleTransform,
+    createAxisConversionTransform: createAxisConversionTransform,
+    createOffsetTransform: createOffsetTransform,
+    transformScene: transformScene
+  };
+}
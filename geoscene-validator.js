@@ -0,0 +1,296 @@
+// No dependencies - this js file can be included on its own
+
+// <[utility functions]>
+function addFinding(findings, severity, code, message, details) {
+  var finding = {
+    severity: severity, // "error" or "warning"
+    code: code,
+    message: message
+  };
+  details = details || {};
+  if (details.entry !== undefined)
+    finding.entry = details.entry;
+  if (details.frame !== undefined)
+    finding.frame = details.frame;
+  if (details.fileName !== undefined)
+    finding.fileName = details.fileName;
+  findings.push(finding);
+}
+function getFileExtension(path) {
+  var res = /\.([^.\/\\?#]+)(?:[?#].*)?$/.exec(path);
+  return res ? res[1].toUpperCase() : "";
+}
+function isOrderedRange(range, minimum, allowMinimum) {
+  if (!range || !isFinite(range[0]) || !isFinite(range[1]))
+    return false;
+  var aboveMinimum = allowMinimum ? (range[0] >= minimum) : (range[0] > minimum);
+  return aboveMinimum && range[1] > range[0];
+}
+function checkRigidTransform(matrix, tolerance) { // Row-major, see parseGeoCastContent()
+  for (var i = 0; i < 16; ++i) {
+    if (!isFinite(matrix[i]))
+      return "has non-finite values";
+  }
+  if (Math.abs(matrix[12]) > tolerance || Math.abs(matrix[13]) > tolerance ||
+      Math.abs(matrix[14]) > tolerance || Math.abs(matrix[15] - 1.0) > tolerance)
+    return "has a last row different from [0 0 0 1]";
+  // The rotation rows must be orthonormal
+  for (var a = 0; a < 3; ++a) {
+    for (var b = a; b < 3; ++b) {
+      var dot = matrix[4 * a] * matrix[4 * b] + matrix[4 * a + 1] * matrix[4 * b + 1] +
+                matrix[4 * a + 2] * matrix[4 * b + 2];
+      if (Math.abs(dot - (a == b ? 1.0 : 0.0)) > tolerance)
+        return (a == b) ? "is scaled" : "is skewed";
+    }
+  }
+  var det = matrix[0] * (matrix[5] * matrix[10] - matrix[6] * matrix[9]) -
+            matrix[1] * (matrix[4] * matrix[10] - matrix[6] * matrix[8]) +
+            matrix[2] * (matrix[4] * matrix[9] - matrix[5] * matrix[8]);
+  if (det < 0.0)
+    return "is a reflection";
+  return null;
+}
+function checkGeoCast(findings, geocast, isSurface, size, details, options) {
+  if (geocast.ModelviewMatrix) {
+    var problem = checkRigidTransform(geocast.ModelviewMatrix, options.rigidTolerance);
+    if (problem) {
+      addFinding(findings, "error", "NON_RIGID_MODELVIEW",
+                 "The ModelviewMatrix " + problem + ", it is not a rigid transform", details);
+    }
+  } else {
+    addFinding(findings, "error", "MISSING_MODELVIEW", "The GeoCast has no ModelviewMatrix", details);
+  }
+
+  if (geocast.DataProject == "Perspective") {
+    if (!isOrderedRange(geocast.ClipRange, 0.0, false)) {
+      addFinding(findings, "error", "INVALID_CLIP_RANGE",
+                 "ClipRange [" + geocast.ClipRange + "] must be positive with near < far", details);
+    }
+    if (!(geocast.Fovy > 0.0 && geocast.Fovy < 180.0))
+      addFinding(findings, "error", "INVALID_FOVY", "Fovy " + geocast.Fovy + " is out of (0, 180)", details);
+    var imageAspect = size[0] / size[1];
+    if (!(Math.abs(geocast.Aspect - imageAspect) <= options.aspectTolerance * imageAspect)) {
+      addFinding(findings, "warning", "ASPECT_MISMATCH",
+                 "Aspect " + geocast.Aspect + " does not match the image size " + size[0] + "x" +
+                 size[1] + " (" + imageAspect.toFixed(4) + ")", details);
+    }
+  } else if (geocast.DataProject == "Ortho") {
+    if (!isOrderedRange(geocast.ProjRange, 0.0, true)) {
+      addFinding(findings, "error", "INVALID_PROJ_RANGE",
+                 "ProjRange [" + geocast.ProjRange + "] must not be negative with near < far", details);
+    }
+    if (!geocast.WindowSize || !(geocast.WindowSize[0] > 0.0 && geocast.WindowSize[1] > 0.0)) {
+      addFinding(findings, "error", "INVALID_WINDOW_SIZE",
+                 "WindowSize [" + geocast.WindowSize + "] must be positive", details);
+    } else {
+      var windowAspect = geocast.WindowSize[0] / geocast.WindowSize[1];
+      if (Math.abs(windowAspect - size[0] / size[1]) > options.aspectTolerance * windowAspect) {
+        addFinding(findings, "warning", "ASPECT_MISMATCH",
+                   "WindowSize " + geocast.WindowSize[0] + "x" + geocast.WindowSize[1] +
+                   " does not match the image size " + size[0] + "x" + size[1], details);
+      }
+    }
+  } else {
+    addFinding(findings, "error", "MISSING_PROJECTION", "The GeoCast has no DataProject", details);
+  }
+
+  if (isSurface && geocast.ZDataRange && geocast.ZDataRange[1] == geocast.ZDataRange[0]) {
+    addFinding(findings, "error", "INVALID_ZDATA_RANGE",
+               "ZDataRange [" + geocast.ZDataRange + "] is empty", details);
+  }
+}
+
+/**
+ * Validates a GeoScene object and its geocasts beyond the syntax checked by the parsers: names,
+ * image sizes, camera consistency and frames. Findings are objects similar to the following
+ *
+ *   finding = {
+ *     severity = "error"; // or "warning"
+ *     code = "ASPECT_MISMATCH";
+ *     message = "Aspect 1.3333 does not match the image size 1400x900 (1.5556)";
+ *     entry = "Field0"; // Name of the GeoCast or GeoCastZ entry, if any
+ *     frame = 12; // Frame number, if any
+ *     fileName = "cam/c012.geocast"; // Related file, if any
+ *   }
+ *
+ * The following codes are reported
+ *
+ *   DUPLICATE_NAME        - error, two GeoCast/GeoCastZ entries share a name
+ *   INVALID_SIZE          - error, the image size of an entry is not positive
+ *   UNKNOWN_MATCH_CAM     - error, a MatchCam does not name a GeoCast entry
+ *   UNKNOWN_MATCH_SURFACE - error, a MatchSurface does not name a GeoCastZ entry
+ *   EMPTY_MATCH_GROUP     - warning, a MatchGroup has no cameras or no surfaces
+ *   DATAFORMAT_MISMATCH   - warning, an image extension does not match DataFormat
+ *   EMPTY_SEQUENCE        - error, the scene has no frames
+ *   UNRESOLVED_FRAME      - error, a frame has a missing image or geocast file (see
+ *                           checkSequenceFrames()) or its paths could not be expanded
+ *   GEOCAST_NOT_LOADED    - warning, the geocasts of an entry are not loaded so their cameras
+ *                           could not be checked (e.g. loadGeoCasts false)
+ *   NON_RIGID_MODELVIEW   - error, ModelviewMatrix is scaled, skewed, a reflection or not affine
+ *   MISSING_MODELVIEW     - error
+ *   MISSING_PROJECTION    - error, the GeoCast has no DataProject
+ *   INVALID_CLIP_RANGE    - error, ClipRange is not positive or not ordered
+ *   INVALID_PROJ_RANGE    - error, ProjRange is negative or not ordered
+ *   INVALID_FOVY          - error, Fovy is not within (0, 180) degrees
+ *   INVALID_WINDOW_SIZE   - error, WindowSize is not positive
+ *   ASPECT_MISMATCH       - warning, Aspect (or the WindowSize ratio) differs from the image size
+ *   INVALID_ZDATA_RANGE   - error, ZDataRange of a GeoCastZ geocast is empty
+ *
+ * along with the diagnostics of the parsers (see parseGeoSceneContent()) which are found in the
+ * scene and its geocasts.
+ *
+ * @param {scene} The GeoScene object, preferably with its geocasts loaded (see loadGeoScene()).
+ *                In lazy mode only the geocasts already in the cache are checked
+ * @param {options} Optional object with the following fields
+ *                    aspectTolerance   - relative tolerance of the aspect checks (default: 0.01)
+ *                    rigidTolerance    - tolerance of the ModelviewMatrix checks (default: 1e-4)
+ *                    parseDiagnostics  - include the diagnostics of the parsers (default: true)
+ *                    fileName          - name of the GeoScene file reported in the findings
+ *                                        which are not related to a specific file
+ * @return {array} The findings, an empty array if the scene is valid
+ *
+ * Example usage:
+ *
+ *     loadGeoScene("myscene.geoscene", { missingFrames: "gap", checkImages: true })
+ *     .then(function (scene) {
+ *       var errors = validateGeoScene(scene).filter(function (finding) {
+ *         return finding.severity == "error";
+ *       });
+ *     });
+ */
+function validateGeoScene(scene, options) {
+  options = options || {};
+  options = {
+    aspectTolerance: (options.aspectTolerance !== undefined) ? options.aspectTolerance : 0.01,
+    rigidTolerance: (options.rigidTolerance !== undefined) ? options.rigidTolerance : 1e-4,
+    parseDiagnostics: (options.parseDiagnostics !== false),
+    fileName: options.fileName
+  };
+  var findings = [];
+  if (options.parseDiagnostics && scene.diagnostics)
+    Array.prototype.push.apply(findings, scene.diagnostics);
+
+  var geoCastSequence = scene.geoCastSequence || [];
+  var geoCastZSequence = scene.geoCastZSequence || [];
+  var cameras = {};
+  var surfaces = {};
+  var frames = scene.frames || [];
+  if (frames.length == 0)
+    addFinding(findings, "error", "EMPTY_SEQUENCE", "The scene has no Sequence or Frames");
+
+  var checkedGeoCasts = []; // Geocasts shared by several frames are checked once
+  var parsedFiles = {}; // Ditto for the diagnostics of files shared by several entries
+  var checkEntry = function (entry, isSurface) {
+    var names = isSurface ? surfaces : cameras;
+    if (cameras[entry.name] || surfaces[entry.name]) {
+      addFinding(findings, "error", "DUPLICATE_NAME",
+                 "The name '" + entry.name + "' is declared more than once", { entry: entry.name });
+    }
+    names[entry.name] = entry;
+    var size = entry.size || [];
+    if (!(size[0] > 0 && size[1] > 0)) {
+      addFinding(findings, "error", "INVALID_SIZE", "The image size [" + size + "] of '" + entry.name + "' must be positive",
+                 { entry: entry.name });
+    }
+
+    if (scene.dataformat) {
+      var format = scene.dataformat.toUpperCase();
+      var aliases = { JPG: "JPEG", TIF: "TIFF" };
+      var reported = {};
+      (entry.image || []).forEach(function (path, k) {
+        if (path === null)
+          return;
+        var extension = getFileExtension(path);
+        if ((aliases[extension] || extension) != (aliases[format] || format) && !reported[extension]) {
+          reported[extension] = true; // Once per extension, not for every frame
+          addFinding(findings, "warning", "DATAFORMAT_MISMATCH",
+                     "The image extension '." + extension.toLowerCase() + "' does not match " +
+                     "DataFormat " + scene.dataformat, { entry: entry.name, fileName: path });
+        }
+      });
+    }
+
+    var missingFrames = entry.missingFrames || [];
+    missingFrames.forEach(function (frame) {
+      addFinding(findings, "error", "UNRESOLVED_FRAME",
+                 "Frame " + frame + " of '" + entry.name + "' has a missing image or geocast file",
+                 { entry: entry.name, frame: frame });
+    });
+    ["image", "geocastFile"].forEach(function (field) {
+      var paths = entry[field] || [];
+      if (paths.length != 1 && paths.length != frames.length) {
+        addFinding(findings, "error", "UNRESOLVED_FRAME",
+                   "The " + field + " paths of '" + entry.name + "' (" + paths.length +
+                   ") do not match the " + frames.length + " frames of the sequence",
+                   { entry: entry.name });
+      }
+    });
+
+    var notLoaded = false;
+    (entry.geocast || []).forEach(function (geocast, k) {
+      var frame = (entry.geocast.length == 1) ? undefined : frames[k];
+      if (geocast === null)
+        return; // Gap, reported above
+      if (geocast.Version === undefined && scene.getCachedGeoCast) // Lazy mode descriptor
+        geocast = scene.getCachedGeoCast(entry.name, frames[k]) || geocast;
+      if (geocast.Version === undefined) {
+        notLoaded = true;
+        return;
+      }
+      if (checkedGeoCasts.indexOf(geocast) >= 0)
+        return;
+      checkedGeoCasts.push(geocast);
+      var fileName = entry.geocastFile ? entry.geocastFile[(entry.geocastFile.length == 1) ? 0 : k] : undefined;
+      if (options.parseDiagnostics && geocast.diagnostics && !parsedFiles[fileName]) {
+        if (fileName)
+          parsedFiles[fileName] = true;
+        Array.prototype.push.apply(findings, geocast.diagnostics);
+      }
+      checkGeoCast(findings, geocast, isSurface, size,
+                   { entry: entry.name, frame: frame, fileName: fileName || undefined }, options);
+    });
+    if (notLoaded) {
+      addFinding(findings, "warning", "GEOCAST_NOT_LOADED",
+                 "The geocasts of '" + entry.name + "' are not loaded, their cameras were not checked",
+                 { entry: entry.name });
+    }
+  };
+  geoCastSequence.forEach(function (entry) {
+    checkEntry(entry, false);
+  });
+  geoCastZSequence.forEach(function (entry) {
+    checkEntry(entry, true);
+  });
+
+  (scene.matchGroupSequence || []).forEach(function (matchGroup) {
+    var group = "MatchGroup " + matchGroup.index;
+    matchGroup.matchCamSequence.forEach(function (name) {
+      if (!cameras[name]) {
+        addFinding(findings, "error", "UNKNOWN_MATCH_CAM", group + ": MatchCam '" + name + "' " +
+                   (surfaces[name] ? "is a GeoCastZ entry" : "is not declared"), { entry: name });
+      }
+    });
+    matchGroup.matchSurfaceSequence.forEach(function (name) {
+      if (!surfaces[name]) {
+        addFinding(findings, "error", "UNKNOWN_MATCH_SURFACE", group + ": MatchSurface '" + name + "' " +
+                   (cameras[name] ? "is a GeoCast entry" : "is not declared"), { entry: name });
+      }
+    });
+    if (matchGroup.matchCamSequence.length == 0 || matchGroup.matchSurfaceSequence.length == 0)
+      addFinding(findings, "warning", "EMPTY_MATCH_GROUP", group + " has no MatchCam or no MatchSurface");
+  });
+  if (options.fileName !== undefined) {
+    findings.forEach(function (finding) {
+      if (finding.line === undefined && finding.fileName === undefined)
+        finding.fileName = options.fileName; // Scene findings, parser diagnostics are left as is
+    });
+  }
+  return findings;
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    validateGeoScene: validateGeoScene
+  };
+}
@@ -0,0 +1,21 @@
+// CommonJS entry point for Node.js - in browsers include the single js files instead (see readme.md)
+var files = [
+  require('./geoscene-filereader.js'),
+  require('./geoscene-filewriter.js'),
+  require('./geoscene-validator.js'),
+  require('./geoscene-transform.js'),
+  require('./geocast-distortion.js'),
+  require('./geocast-camera.js'),
+  require('./geocast-interpolation.js'),
+  require('./geocast-calibration.js'),
+  require('./geoscene-gltf.js'),
+  require('./png-decoder.js'),
+  require('./geocast-depth.js'),
+  require('./geoscene-matchgroups.js')
+];
+
+files.forEach(function (file) {
+  for (var name in file)
+    module.exports[name] = file[name];
+});
+module.exports.glMatrix = require('./gl-matrix-min.js');
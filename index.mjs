@@ -0,0 +1,68 @@
+// ES module entry point for Node.js and bundlers - it re-exports the CommonJS entry point
+import geoscene from './index.js';
+
+export const {
+  readGeoSceneFile,
+  loadGeoScene,
+  parseGeoSceneContent,
+  readGeoCastFile,
+  parseGeoCastContent,
+  GeoSceneParseError,
+  formatDiagnostic,
+  createXHRLoader,
+  createFetchLoader,
+  createFileSystemLoader,
+  createMemoryLoader,
+  createDefaultLoader,
+  getBasePath,
+  resolvePath,
+  readSequenceAsArray,
+  expandSequencePattern,
+  getFrameIndex,
+  checkSequenceFrames,
+  degToRad,
+  radToDeg,
+  serializeGeoCast,
+  serializeGeoScene,
+  validateGeoScene,
+  transformPoint,
+  composeTransforms,
+  createUnitScaleTransform,
+  createAxisConversionTransform,
+  createOffsetTransform,
+  transformScene,
+  getImageWarpIntrinsics,
+  distortNormalizedPoint,
+  undistortNormalizedPoint,
+  distortPixel,
+  undistortPixel,
+  createUndistortionMap,
+  createDistortionMap,
+  getViewMatrix,
+  getProjectionMatrix,
+  createGeoCastCamera,
+  createSceneCamera,
+  blendGeoCasts,
+  getCameraAtTime,
+  getOpenCVCamera,
+  createGeoCastFromOpenCV,
+  exportOpenCVYAML,
+  importOpenCVYAML,
+  exportCOLMAP,
+  importCOLMAP,
+  exportGLTF,
+  exportGLB,
+  inflateZlib,
+  decodePNG,
+  decodeDepthValues,
+  createPointCloud,
+  pointCloudToPLY,
+  findVisibleCameras,
+  transferPixel,
+  getRelativeTransform,
+  computeFrustumOverlap,
+  getMatchGroupPairs,
+  glMatrix
+} = geoscene;
+
+export default geoscene;
@@ -0,0 +1,370 @@
+// No dependencies - this js file can be included on its own
+
+// <[inflate]>
+var INFLATE_LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59,
+                           67, 83, 99, 115, 131, 163, 195, 227, 258];
+var INFLATE_LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4,
+                            5, 5, 5, 5, 0];
+var INFLATE_DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513,
+                         769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+var INFLATE_DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10,
+                          11, 11, 12, 12, 13, 13];
+var INFLATE_CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+function buildHuffmanTable(lengths) { // Canonical Huffman code as per-length counts and symbols
+  var counts = new Uint16Array(16);
+  var offsets = new Uint16Array(16);
+  var symbols = new Uint16Array(lengths.length);
+  for (var i = 0; i < lengths.length; ++i)
+    counts[lengths[i]]++;
+  counts[0] = 0;
+  for (var len = 1; len < 16; ++len)
+    offsets[len] = offsets[len - 1] + counts[len - 1];
+  for (var symbol = 0; symbol < lengths.length; ++symbol) {
+    if (lengths[symbol] != 0)
+      symbols[offsets[lengths[symbol]]++] = symbol;
+  }
+  return { counts: counts, symbols: symbols };
+}
+function createBitReader(bytes, position) {
+  var reader = { bytes: bytes, position: position, bitBuffer: 0, bitCount: 0 };
+  reader.bits = function (count) { // Reads count bits, least significant first
+    while (reader.bitCount < count) {
+      if (reader.position >= reader.bytes.length)
+        throw new Error("Unexpected end of the compressed data");
+      reader.bitBuffer |= reader.bytes[reader.position++] << reader.bitCount;
+      reader.bitCount += 8;
+    }
+    var value = reader.bitBuffer & ((1 << count) - 1);
+    reader.bitBuffer >>>= count;
+    reader.bitCount -= count;
+    return value;
+  };
+  reader.symbol = function (table) {
+    var code = 0;
+    var first = 0;
+    var index = 0;
+    for (var len = 1; len < 16; ++len) {
+      code |= reader.bits(1);
+      var count = table.counts[len];
+      if (code - first < count)
+        return table.symbols[index + code - first];
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error("Invalid Huffman code in the compressed data");
+  };
+  reader.alignToByte = function () {
+    reader.bitBuffer = 0;
+    reader.bitCount = 0;
+  };
+  return reader;
+}
+
+/**
+ * Decompresses a zlib stream (RFC 1950/1951), as found in the IDAT chunks of PNG files
+ * @param {bytes} The compressed data as Uint8Array
+ * @param {expectedSize} Optional size hint of the decompressed data
+ * @return {Uint8Array} The decompressed data
+ */
+function inflateZlib(bytes, expectedSize) {
+  if (bytes.length < 2 || (bytes[0] & 0x0f) != 8 || ((bytes[0] << 8) | bytes[1]) % 31 != 0)
+    throw new Error("Invalid zlib header");
+  if (bytes[1] & 0x20)
+    throw new Error("zlib preset dictionaries are not supported");
+
+  var output = new Uint8Array(Math.max(expectedSize || 0, 1024));
+  var length = 0;
+  var ensure = function (extra) {
+    if (length + extra <= output.length)
+      return;
+    var grown = new Uint8Array(Math.max(output.length * 2, length + extra));
+    grown.set(output.subarray(0, length));
+    output = grown;
+  };
+
+  var fixedLiterals = null;
+  var fixedDistances = null;
+  var reader = createBitReader(bytes, 2);
+  var lastBlock = 0;
+  while (!lastBlock) {
+    lastBlock = reader.bits(1);
+    var type = reader.bits(2);
+    if (type == 0) { // Stored block
+      reader.alignToByte();
+      var position = reader.position;
+      var blockLength = bytes[position] | (bytes[position + 1] << 8);
+      if (position + 4 + blockLength > bytes.length)
+        throw new Error("Unexpected end of the compressed data");
+      ensure(blockLength);
+      output.set(bytes.subarray(position + 4, position + 4 + blockLength), length);
+      length += blockLength;
+      reader.position = position + 4 + blockLength;
+      continue;
+    }
+
+    var literals, distances;
+    if (type == 1) { // Fixed Huffman codes
+      if (!fixedLiterals) {
+        var fixedLengths = new Uint8Array(288);
+        for (var i = 0; i < 288; ++i)
+          fixedLengths[i] = (i < 144) ? 8 : (i < 256) ? 9 : (i < 280) ? 7 : 8;
+        fixedLiterals = buildHuffmanTable(fixedLengths);
+        var fixedDistanceLengths = new Uint8Array(30);
+        for (i = 0; i < 30; ++i)
+          fixedDistanceLengths[i] = 5;
+        fixedDistances = buildHuffmanTable(fixedDistanceLengths);
+      }
+      literals = fixedLiterals;
+      distances = fixedDistances;
+    } else if (type == 2) { // Dynamic Huffman codes
+      var literalCount = reader.bits(5) + 257;
+      var distanceCount = reader.bits(5) + 1;
+      var codeLengthCount = reader.bits(4) + 4;
+      var codeLengths = new Uint8Array(19);
+      for (i = 0; i < codeLengthCount; ++i)
+        codeLengths[INFLATE_CODE_LENGTH_ORDER[i]] = reader.bits(3);
+      var codeLengthTable = buildHuffmanTable(codeLengths);
+      var lengths = new Uint8Array(literalCount + distanceCount);
+      for (i = 0; i < literalCount + distanceCount;) {
+        var symbol = reader.symbol(codeLengthTable);
+        if (symbol < 16) {
+          lengths[i++] = symbol;
+          continue;
+        }
+        var repeat, value = 0;
+        if (symbol == 16) {
+          if (i == 0)
+            throw new Error("Invalid code lengths in the compressed data");
+          value = lengths[i - 1];
+          repeat = 3 + reader.bits(2);
+        } else if (symbol == 17)
+          repeat = 3 + reader.bits(3);
+        else
+          repeat = 11 + reader.bits(7);
+        if (i + repeat > lengths.length)
+          throw new Error("Invalid code lengths in the compressed data");
+        while (repeat--)
+          lengths[i++] = value;
+      }
+      literals = buildHuffmanTable(lengths.subarray(0, literalCount));
+      distances = buildHuffmanTable(lengths.subarray(literalCount));
+    } else
+      throw new Error("Invalid block type in the compressed data");
+
+    while (true) {
+      var code = reader.symbol(literals);
+      if (code < 256) {
+        ensure(1);
+        output[length++] = code;
+      } else if (code == 256) {
+        break; // End of block
+      } else {
+        code -= 257;
+        if (code >= INFLATE_LENGTH_BASE.length)
+          throw new Error("Invalid length code in the compressed data");
+        var copyLength = INFLATE_LENGTH_BASE[code] + reader.bits(INFLATE_LENGTH_EXTRA[code]);
+        var distanceCode = reader.symbol(distances);
+        if (distanceCode >= INFLATE_DIST_BASE.length)
+          throw new Error("Invalid distance code in the compressed data");
+        var distance = INFLATE_DIST_BASE[distanceCode] + reader.bits(INFLATE_DIST_EXTRA[distanceCode]);
+        if (distance > length)
+          throw new Error("Invalid distance in the compressed data");
+        ensure(copyLength);
+        for (var k = 0; k < copyLength; ++k, ++length) // Byte by byte, copies may overlap
+          output[length] = output[length - distance];
+      }
+    }
+  }
+  return output.subarray(0, length);
+}
+
+// <[png]>
+function readUint32BE(bytes, offset) {
+  return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) |
+          bytes[offset + 3]) >>> 0;
+}
+function paethPredictor(a, b, c) {
+  var p = a + b - c;
+  var pa = Math.abs(p - a);
+  var pb = Math.abs(p - b);
+  var pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc)
+    return a;
+  return (pb <= pc) ? b : c;
+}
+function unfilterScanlines(data, offset, width, height, bitsPerPixel) { // In-place, returns rows
+  var rowBytes = Math.ceil(width * bitsPerPixel / 8);
+  var bpp = Math.max(1, bitsPerPixel >> 3);
+  var rows = [];
+  var previous = null;
+  for (var y = 0; y < height; ++y) {
+    var filter = data[offset];
+    var row = data.subarray(offset + 1, offset + 1 + rowBytes);
+    if (row.length < rowBytes)
+      throw new Error("Truncated PNG image data");
+    for (var x = 0; x < rowBytes; ++x) {
+      var left = (x >= bpp) ? row[x - bpp] : 0;
+      var up = previous ? previous[x] : 0;
+      var upLeft = (previous && x >= bpp) ? previous[x - bpp] : 0;
+      if (filter == 1)
+        row[x] = (row[x] + left) & 0xff;
+      else if (filter == 2)
+        row[x] = (row[x] + up) & 0xff;
+      else if (filter == 3)
+        row[x] = (row[x] + ((left + up) >> 1)) & 0xff;
+      else if (filter == 4)
+        row[x] = (row[x] + paethPredictor(left, up, upLeft)) & 0xff;
+      else if (filter != 0)
+        throw new Error("Invalid PNG filter type " + filter);
+    }
+    rows.push(row);
+    previous = row;
+    offset += 1 + rowBytes;
+  }
+  return { rows: rows, offset: offset };
+}
+function readSample(row, index, bitDepth) { // index-th sample of a scanline
+  if (bitDepth == 8)
+    return row[index];
+  if (bitDepth == 16)
+    return (row[2 * index] << 8) | row[2 * index + 1];
+  var bitOffset = index * bitDepth;
+  return (row[bitOffset >> 3] >> (8 - bitDepth - (bitOffset & 7))) & ((1 << bitDepth) - 1);
+}
+
+/**
+ * Decodes a PNG image. All the standard color types and bit depths, and interlaced images, are
+ * supported. Palette images are expanded to RGB (or RGBA if they have transparency)
+ * @param {bytes} The content of the PNG file as Uint8Array, ArrayBuffer or Node.js Buffer
+ * @return {object} The decoded image similar to the following
+ *
+ *   image = {
+ *     width = 1400;
+ *     height = 900;
+ *     channels = 1; // 1 gray, 2 gray+alpha, 3 RGB, 4 RGBA
+ *     bitDepth = 16; // Of the samples in data: 16, or 8 (also for palette images), or 1, 2, 4
+ *                    // for low bit depth grayscale images (samples are not rescaled)
+ *     data; // Uint16Array for 16 bit images, Uint8Array otherwise. Row-major, top row first,
+ *           // channels interleaved
+ *   }
+ */
+function decodePNG(bytes) {
+  if (!(bytes instanceof Uint8Array))
+    bytes = new Uint8Array(bytes);
+  var signature = [137, 80, 78, 71, 13, 10, 26, 10];
+  for (var i = 0; i < signature.length; ++i) {
+    if (bytes[i] !== signature[i])
+      throw new Error("Not a PNG file");
+  }
+
+  var header = null;
+  var palette = null;
+  var transparency = null;
+  var idatChunks = [];
+  var idatLength = 0;
+  var offset = 8;
+  while (offset + 8 <= bytes.length) {
+    var chunkLength = readUint32BE(bytes, offset);
+    var chunkType = String.fromCharCode(bytes[offset + 4], bytes[offset + 5], bytes[offset + 6],
+                                        bytes[offset + 7]);
+    var chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+    if (chunk.length < chunkLength)
+      throw new Error("Truncated PNG chunk '" + chunkType + "'");
+    if (chunkType == "IHDR") {
+      header = {
+        width: readUint32BE(chunk, 0),
+        height: readUint32BE(chunk, 4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (chunkType == "PLTE") {
+      palette = chunk;
+    } else if (chunkType == "tRNS") {
+      transparency = chunk;
+    } else if (chunkType == "IDAT") {
+      idatChunks.push(chunk);
+      idatLength += chunk.length;
+    } else if (chunkType == "IEND") {
+      break;
+    }
+    offset += 12 + chunkLength; // Length, type, data and CRC
+  }
+  if (!header)
+    throw new Error("Missing PNG IHDR chunk");
+
+  var samplesPerPixel = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!samplesPerPixel)
+    throw new Error("Unsupported PNG color type " + header.colorType);
+  if (header.colorType == 3 && !palette)
+    throw new Error("Missing PNG PLTE chunk");
+  var bitsPerPixel = samplesPerPixel * header.bitDepth;
+
+  var compressed = new Uint8Array(idatLength);
+  for (i = 0, offset = 0; i < idatChunks.length; offset += idatChunks[i].length, ++i)
+    compressed.set(idatChunks[i], offset);
+  var width = header.width;
+  var height = header.height;
+  var data = inflateZlib(compressed, (Math.ceil(width * bitsPerPixel / 8) + 1) * height);
+
+  var channels = samplesPerPixel;
+  var outputBitDepth = header.bitDepth;
+  if (header.colorType == 3) {
+    channels = transparency ? 4 : 3;
+    outputBitDepth = 8;
+  }
+  var pixels = (outputBitDepth == 16) ? new Uint16Array(width * height * channels) :
+                                        new Uint8Array(width * height * channels);
+
+  var storePixel = function (row, x, targetIndex) {
+    if (header.colorType == 3) {
+      var entry = readSample(row, x, header.bitDepth);
+      pixels[targetIndex] = palette[3 * entry];
+      pixels[targetIndex + 1] = palette[3 * entry + 1];
+      pixels[targetIndex + 2] = palette[3 * entry + 2];
+      if (transparency)
+        pixels[targetIndex + 3] = (entry < transparency.length) ? transparency[entry] : 255;
+      return;
+    }
+    for (var c = 0; c < samplesPerPixel; ++c)
+      pixels[targetIndex + c] = readSample(row, x * samplesPerPixel + c, header.bitDepth);
+  };
+
+  // Adam7 passes as [x0, y0, dx, dy], a single pass for non-interlaced images
+  var passes = header.interlace ?
+    [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]] :
+    [[0, 0, 1, 1]];
+  offset = 0;
+  for (var p = 0; p < passes.length; ++p) {
+    var pass = passes[p];
+    var passWidth = Math.ceil((width - pass[0]) / pass[2]);
+    var passHeight = Math.ceil((height - pass[1]) / pass[3]);
+    if (passWidth <= 0 || passHeight <= 0)
+      continue;
+    var unfiltered = unfilterScanlines(data, offset, passWidth, passHeight, bitsPerPixel);
+    offset = unfiltered.offset;
+    for (var y = 0; y < passHeight; ++y) {
+      var targetRow = pass[1] + y * pass[3];
+      for (var x = 0; x < passWidth; ++x)
+        storePixel(unfiltered.rows[y], x, (targetRow * width + pass[0] + x * pass[2]) * channels);
+    }
+  }
+
+  return {
+    width: width,
+    height: height,
+    channels: channels,
+    bitDepth: outputBitDepth,
+    data: pixels
+  };
+}
+
+// <[module exports]>
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    inflateZlib: inflateZlib,
+    decodePNG: decodePNG
+  };
+}
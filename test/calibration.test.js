@@ -0,0 +1,150 @@
+// OpenCV and COLMAP conversions: projections of the exported cameras and round trips
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+var size = [1400, 900];
+var worldPoints = [[0, 0, 0], [1.5, 0.8, -1], [-2.5, -1.2, 0.5], [2.8, -1.6, -2]];
+
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-6;
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon * Math.max(1.0, Math.abs(expected[i])),
+              "[" + Array.from(actual) + "] is not [" + expected + "]");
+  }
+}
+function createGeoCast(imageWarp) { // Camera at [0.3, -0.2, 6] looking down the world -Z axis
+  return geoscene.parseGeoCastContent([
+    "GeoCast V1.5",
+    "DynamicCamera",
+    "ModelviewMatrix",
+    "0.9950041652780258 0 -0.09983341664682815 -0.3",
+    "0 1 0 0.2",
+    "0.09983341664682815 0 0.9950041652780258 -6",
+    "0 0 0 1",
+    "DataProject Perspective Fovy 50 Aspect 1.5555555555555556 ClipRange 0.1 1000"
+  ].concat(imageWarp ? ["ImageWarp " + imageWarp] : []).join("\n"));
+}
+function projectOpenCV(camera, point) { // The OpenCV camera model, see cv::projectPoints()
+  var r = camera.rotation;
+  var t = camera.translation;
+  var eye = [0, 1, 2].map(function (i) {
+    return r[3 * i] * point[0] + r[3 * i + 1] * point[1] + r[3 * i + 2] * point[2] + t[i];
+  });
+  var x = eye[0] / eye[2];
+  var y = eye[1] / eye[2];
+  var d = camera.distortion;
+  var r2 = x * x + y * y;
+  var radial = 1 + d[0] * r2 + d[1] * r2 * r2 + (d[4] || 0) * r2 * r2 * r2;
+  var xd = x * radial + 2 * d[2] * x * y + d[3] * (r2 + 2 * x * x);
+  var yd = y * radial + d[2] * (r2 + 2 * y * y) + 2 * d[3] * x * y;
+  var k = camera.cameraMatrix;
+  return [k[0] * xd + k[2] + 0.5, k[4] * yd + k[5] + 0.5]; // Pixel centers at [0.5, 0.5]
+}
+function assertSameProjections(geocastA, geocastB) {
+  var cameraA = geoscene.createGeoCastCamera(geocastA, size, { distortion: true });
+  var cameraB = geoscene.createGeoCastCamera(geocastB, size, { distortion: true });
+  worldPoints.forEach(function (point) {
+    assertNear(cameraB.project(point).pixel, cameraA.project(point).pixel);
+  });
+}
+function createScene(geocast) {
+  var scene = geoscene.parseGeoSceneContent(
+    "GeoScene V2.0\nSequence 0 0\nGeoCast F 1400 900 img.png cam.geocast\n", "",
+    { loadGeoCasts: false });
+  scene.geoCastSequence[0].geocast = [geocast];
+  return scene;
+}
+
+var warpWithFocal = "aspect 1 k1 -0.12 k2 0.03 k3 -0.004 p1 0.001 p2 -0.0007 centerX 0.5 " +
+                    "centerY 0.5 focal 1.2";
+
+test("OpenCV cameras project like the distorted GeoCast cameras", function () {
+  var geocast = createGeoCast(warpWithFocal);
+  var opencv = geoscene.getOpenCVCamera(geocast, size);
+  var camera = geoscene.createGeoCastCamera(geocast, size, { distortion: true });
+  worldPoints.forEach(function (point) {
+    assertNear(projectOpenCV(opencv, point), camera.project(point).pixel);
+  });
+  assert.ok(Math.abs(opencv.distortion[0] - -0.12) > 0.01); // Rescaled from the warp focal
+});
+
+test("OpenCV YAML round trips keep the projections of non-unit warp focals", function () {
+  var geocast = createGeoCast(warpWithFocal);
+  var yaml = geoscene.exportOpenCVYAML(geocast, size);
+  var imported = geoscene.importOpenCVYAML(yaml);
+  assert.deepStrictEqual(imported.size, size);
+  assertNear(imported.principalPointOffset, [0, 0]);
+  assertSameProjections(geocast, imported.geocast);
+
+  // import -> export -> import
+  var reimported = geoscene.importOpenCVYAML(geoscene.exportOpenCVYAML(imported.geocast, size));
+  assertSameProjections(imported.geocast, reimported.geocast);
+  var cameraA = geoscene.getOpenCVCamera(imported.geocast, size);
+  var cameraB = geoscene.getOpenCVCamera(reimported.geocast, size);
+  assertNear(cameraB.cameraMatrix, cameraA.cameraMatrix);
+  assertNear(cameraB.distortion, cameraA.distortion);
+});
+
+test("COLMAP round trips keep the projections of non-unit warp focals", function () {
+  var geocast = createGeoCast(warpWithFocal);
+  var colmap = geoscene.exportCOLMAP(createScene(geocast));
+  assert.ok(/^1 FULL_OPENCV 1400 900 /m.test(colmap.cameras));
+  var images = geoscene.importCOLMAP(colmap.cameras, colmap.images);
+  assert.strictEqual(images.length, 1);
+  assert.strictEqual(images[0].name, "img.png");
+  assertSameProjections(geocast, images[0].geocast);
+
+  // import -> export -> import
+  var exported = geoscene.exportCOLMAP(createScene(images[0].geocast));
+  var reimported = geoscene.importCOLMAP(exported.cameras, exported.images);
+  assertSameProjections(images[0].geocast, reimported[0].geocast);
+  var params = function (cameras) {
+    return cameras.split("\n")[3].split(" ").slice(4).map(parseFloat);
+  };
+  assertNear(params(exported.cameras), params(colmap.cameras));
+});
+
+test("ImageWarps without an OpenCV equivalent are rejected", function () {
+  assert.throws(function () {
+    geoscene.getOpenCVCamera(createGeoCast("aspect 1 k1 -0.1 k2 0 k3 0 p1 0 p2 0 " +
+                                           "centerX 0.45 centerY 0.5 focal 1.2"), size);
+  }, /center/);
+  assert.throws(function () {
+    geoscene.exportCOLMAP(createScene(createGeoCast("aspect 1.2 k1 -0.1 k2 0 k3 0 p1 0 p2 0 " +
+                                                    "centerX 0.5 centerY 0.5 focal 1.2")));
+  }, /^Error: 'F' at frame 0: .*aspect/);
+  // Without distortion coefficients the focal and center do not matter
+  var camera = geoscene.getOpenCVCamera(createGeoCast("aspect 1 k1 0 k2 0 k3 0 p1 0 p2 0 " +
+                                                      "centerX 0.45 centerY 0.5 focal 1.2"), size);
+  assertNear(camera.cameraMatrix, [camera.cameraMatrix[0], 0, 699.5, 0, camera.cameraMatrix[4],
+                                   449.5, 0, 0, 1]);
+});
+
+test("off-center principal points are reported or rejected", function () {
+  var camera = {
+    width: 1400,
+    height: 900,
+    cameraMatrix: [1000, 0, 699.5 + 12, 0, 1000, 449.5 - 5, 0, 0, 1],
+    rotation: [1, 0, 0, 0, 1, 0, 0, 0, 1],
+    translation: [0, 0, 0]
+  };
+  var converted = geoscene.createGeoCastFromOpenCV(camera);
+  assertNear(converted.principalPointOffset, [12, -5]);
+  assert.deepStrictEqual(converted.geocast.diagnostics.map(function (diagnostic) {
+    return [diagnostic.severity, diagnostic.code];
+  }), [["warning", "PRINCIPAL_POINT_OFFSET"]]);
+  assert.ok(/\[12, -5\] pixels/.test(converted.geocast.diagnostics[0].message));
+  assert.throws(function () {
+    geoscene.createGeoCastFromOpenCV(camera, { offCenter: "error" });
+  }, /principal point is \[12, -5\]/);
+  var tolerated = geoscene.createGeoCastFromOpenCV(camera, { principalPointTolerance: 13 });
+  assert.deepStrictEqual(tolerated.geocast.diagnostics, []);
+
+  var cameras = "1 PINHOLE 1400 900 1000 1000 700.3 450\n"; // Within the default tolerance
+  var images = "1 1 0 0 0 0 0 5 1 img.png\n\n";
+  assert.deepStrictEqual(geoscene.importCOLMAP(cameras, images)[0].geocast.diagnostics, []);
+  assert.throws(function () {
+    geoscene.importCOLMAP(cameras.replace("700.3", "690"), images, { offCenter: "error" });
+  }, /^Error: images.txt:1: The principal point is \[-10, 0\]/);
+});
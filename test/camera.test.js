@@ -0,0 +1,84 @@
+// Projection round trips of createGeoCastCamera(): project -> unproject and pixelRay()
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-4;
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon,
+              "[" + Array.from(actual) + "] is not [" + expected + "]");
+  }
+}
+function createGeoCast(lines) {
+  return geoscene.parseGeoCastContent(["GeoCast V1.5"].concat(lines).join("\n"));
+}
+function checkRoundTrip(camera, worldPoint) {
+  var result = camera.project(worldPoint);
+  assert.ok(result.inImage);
+  assertNear(camera.unproject(result.pixel, result.depth), worldPoint);
+  var ray = camera.pixelRay(result.pixel); // The ray through the pixel hits the point again
+  var toPoint = [0, 1, 2].map(function (i) { return worldPoint[i] - ray.origin[i]; });
+  var along = toPoint[0] * ray.direction[0] + toPoint[1] * ray.direction[1] +
+              toPoint[2] * ray.direction[2];
+  assertNear(ray.direction.map(function (value, i) { return ray.origin[i] + value * along; }),
+             worldPoint);
+  return result;
+}
+
+// Camera at [0, 0, 5] looking down the world -Z axis
+var perspectiveLines = [
+  "ModelviewMatrix",
+  "1 0 0 0",
+  "0 1 0 0",
+  "0 0 1 -5",
+  "0 0 0 1",
+  "DataProject Perspective Fovy 90 Aspect 2 ClipRange 1 100"
+];
+
+test("perspective cameras project and unproject", function () {
+  var camera = geoscene.createGeoCastCamera(createGeoCast(perspectiveLines), [200, 100]);
+  assertNear(camera.position, [0, 0, 5]);
+  assertNear(camera.direction, [0, 0, -1]);
+  var result = checkRoundTrip(camera, [0, 0, 0]);
+  assertNear(result.pixel, [100, 50]);
+  assert.strictEqual(result.depth, 5);
+  assertNear(checkRoundTrip(camera, [5, 4.99, 0]).pixel, [150, 0.1]);
+  checkRoundTrip(camera, [-3.2, 1.7, -20.5]);
+  assert.ok(camera.project([0, 0, 10]).behindCamera);
+});
+
+test("ortho cameras project and unproject", function () {
+  // Camera at the origin looking along the world +X axis
+  var camera = geoscene.createGeoCastCamera(createGeoCast([
+    "ModelviewMatrix",
+    "0 0 1 0",
+    "0 1 0 0",
+    "-1 0 0 0",
+    "0 0 0 1",
+    "DataProject Ortho WindowSize 10 10 ProjRange 0.1 50"
+  ]), [100, 100]);
+  assertNear(camera.direction, [1, 0, 0]);
+  var result = checkRoundTrip(camera, [7, 2, 1]);
+  assertNear(result.pixel, [60, 30]);
+  assert.strictEqual(result.depth, 7);
+  var ray = camera.pixelRay(result.pixel);
+  assertNear(ray.origin, [0, 2, 1]);
+  assertNear(ray.direction, [1, 0, 0]);
+  checkRoundTrip(camera, [30.5, -4.25, 3.75]);
+});
+
+test("distorted cameras project and unproject through the ImageWarp", function () {
+  var geocast = createGeoCast(perspectiveLines.concat([
+    "ImageWarp aspect 1.02 k1 -0.12 k2 0.03 k3 -0.004 p1 0.001 p2 -0.002 centerX 0.48 " +
+      "centerY 0.53 focal 1.2"
+  ]));
+  var camera = geoscene.createGeoCastCamera(geocast, [2000, 1000], { distortion: true });
+  var ideal = geoscene.createGeoCastCamera(geocast, [2000, 1000]);
+  [[0, 0, 0], [3.5, 1.5, -2], [-6, -1.8, -4]].forEach(function (point) {
+    var result = checkRoundTrip(camera, point);
+    assertNear(result.idealPixel, ideal.project(point).pixel);
+  });
+  var corner = camera.project([7, 3, -2]);
+  assert.ok(Math.abs(corner.pixel[0] - corner.idealPixel[0]) > 1.0);
+});
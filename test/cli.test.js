@@ -0,0 +1,114 @@
+// The command-line tool: commands, conversions and exit codes, with in-memory files
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+var cli = require('../geoscene-cli.js');
+
+var geocastContent = "GeoCast V1.5\nDynamicCamera\nModelviewMatrix\n" +
+                     "1 0 0 412345.25\n0 1 0 0\n0 0 1 -5\n0 0 0 1\n" +
+                     "DataProject Perspective Fovy 60 Aspect 2 ClipRange 1 100\n";
+var files = {
+  "s.geoscene": "GeoScene V2.0\nSequence 0 1\nGeoCast F 200 100 f%d.png f%d.geocast\n",
+  "f0.geocast": geocastContent,
+  "f1.geocast": geocastContent,
+  "bad.geoscene": "GeoScene V2.0\nSequence 0 0\nGeoCast F 200 100 b.png b.geocast\n",
+  "b.geocast": geocastContent.replace("ClipRange 1 100", "ClipRange 100 1")
+};
+function run(argv) { // Resolves with the exit code, the output lines and the files written
+  var result = { out: [], err: [], written: {} };
+  return cli.main(argv, {
+    out: function (line) { result.out.push(line); },
+    err: function (line) { result.err.push(line); },
+    loader: geoscene.createMemoryLoader(Object.assign({}, files, result.written)),
+    writeFile: function (filePath, content) { result.written[filePath] = content; }
+  }).then(function (code) {
+    result.code = code;
+    return result;
+  });
+}
+
+test("info lists the cameras of the scene", async function () {
+  var result = await run(["info", "s.geoscene"]);
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(result.out[0].split("\n"), [
+    "s.geoscene: GeoScene V2.0",
+    "Sequence: 0 to 1 (2 frames)",
+    "Cameras (1)",
+    "  F  200x100  Perspective  DynamicCamera  f%d.png  f%d.geocast",
+    "Surfaces (0)",
+    "Match groups (0)"
+  ]);
+  var info = JSON.parse((await run(["info", "--json", "s.geoscene"])).out[0]);
+  assert.strictEqual(info.frameCount, 2);
+  assert.deepStrictEqual(info.cameras[0].size, [200, 100]);
+});
+
+test("dump writes the resolved scene as JSON", async function () {
+  var result = await run(["dump", "s.geoscene"]);
+  assert.strictEqual(result.code, 0);
+  var scene = JSON.parse(result.out[0]);
+  assert.deepStrictEqual(scene.geoCastSequence[0].geocast[1].ModelviewMatrix.slice(0, 4),
+                         [1, 0, 0, 412345.25]);
+});
+
+test("validate exits with 1 on errors and on scenes which cannot be loaded", async function () {
+  var result = await run(["validate", "s.geoscene"]);
+  assert.deepStrictEqual([result.code, result.out], [0, ["s.geoscene: 0 error(s), 0 warning(s)"]]);
+
+  result = await run(["validate", "--json", "bad.geoscene"]);
+  assert.strictEqual(result.code, 1);
+  assert.deepStrictEqual(JSON.parse(result.out[0]).map(function (finding) {
+    return finding.code;
+  }), ["INVALID_CLIP_RANGE"]);
+
+  result = await run(["validate", "missing.geoscene"]);
+  assert.deepStrictEqual([result.code, result.out.length, result.err.length], [1, 0, 1]);
+  assert.ok(result.err[0].indexOf("missing.geoscene") > 0, result.err[0]);
+});
+
+test("convert round-trips scenes through JSON", async function () {
+  var result = await run(["convert", "s.geoscene", "out/s.json"]);
+  assert.strictEqual(result.code, 0);
+  files["s.json"] = result.written["out/s.json"];
+  try {
+    result = await run(["convert", "s.json", "out/s.geoscene"]);
+  } finally {
+    delete files["s.json"];
+  }
+  assert.strictEqual(result.code, 0);
+  assert.deepStrictEqual(Object.keys(result.written).sort(),
+                         ["out/f0.geocast", "out/f1.geocast", "out/s.geoscene"]);
+  var geocast = geoscene.parseGeoCastContent(result.written["out/f1.geocast"]);
+  assert.strictEqual(geocast.ModelviewMatrix[3], 412345.25);
+  assert.strictEqual(result.written["out/s.geoscene"], geoscene.serializeGeoScene(
+    geoscene.parseGeoSceneContent(files["s.geoscene"], "", { loadGeoCasts: false })));
+
+  result = await run(["convert", "--no-geocasts", "s.geoscene", "out/s.geoscene"]);
+  assert.deepStrictEqual(Object.keys(result.written), ["out/s.geoscene"]);
+});
+
+test("convert writes glTF and GLB files", async function () {
+  var result = await run(["convert", "--frustums", "s.geoscene", "s.gltf"]);
+  assert.strictEqual(result.code, 0);
+  var gltf = JSON.parse(result.written["s.gltf"]);
+  assert.strictEqual(gltf.asset.version, "2.0");
+  assert.ok(gltf.cameras.length > 0);
+  result = await run(["convert", "s.geoscene", "s.glb"]);
+  assert.strictEqual(result.code, 0);
+  assert.strictEqual(result.written["s.glb"].toString("latin1", 0, 4), "glTF");
+});
+
+test("usage and load errors exit with 2", async function () {
+  var help = await run(["--help"]);
+  assert.deepStrictEqual([help.code, help.err.length], [0, 0]);
+  assert.ok(help.out[0].indexOf("Usage: geoscene") == 0);
+  var cases = [[], ["info"], ["frobnicate", "s.geoscene"], ["info", "--colour", "s.geoscene"],
+               ["convert", "s.geoscene"], ["convert", "--to"], ["convert", "s.geoscene", "s.txt"],
+               ["convert", "s.gltf", "s.geoscene"], ["info", "missing.geoscene"],
+               ["dump", "missing.geoscene"]];
+  for (var i = 0; i < cases.length; ++i) {
+    var result = await run(cases[i]);
+    assert.deepStrictEqual([result.code, result.err.length, Object.keys(result.written)],
+                           [2, 1, []], cases[i].join(" "));
+  }
+});
@@ -0,0 +1,214 @@
+// Depth images: PNG decoding, depth value conversions, point clouds and their PLY export
+var test = require('node:test');
+var assert = require('assert');
+var zlib = require('zlib');
+var geoscene = require('../index.js');
+
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-6;
+  assert.strictEqual(actual.length, expected.length);
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon,
+              "[" + Array.from(actual) + "] is not [" + expected + "]");
+  }
+}
+function crc32(bytes) {
+  var crc = -1;
+  for (var i = 0; i < bytes.length; ++i) {
+    crc ^= bytes[i];
+    for (var k = 0; k < 8; ++k)
+      crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+  }
+  return (crc ^ -1) >>> 0;
+}
+function createChunk(type, data) {
+  var chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, "latin1");
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+function encodeGrayPNG(width, height, bitDepth, samples, level) {
+  var bytesPerSample = bitDepth / 8;
+  var rowSize = width * bytesPerSample;
+  var raw = Buffer.alloc((rowSize + 1) * height);
+  var prior = Buffer.alloc(rowSize); // The unfiltered previous row
+  for (var y = 0; y < height; ++y) {
+    var row = Buffer.alloc(rowSize);
+    for (var x = 0; x < width; ++x) {
+      if (bitDepth == 16)
+        row.writeUInt16BE(samples[y * width + x], 2 * x);
+      else
+        row[x] = samples[y * width + x];
+    }
+    var filter = y % 3; // None, Sub and Up
+    var start = y * (rowSize + 1);
+    raw[start] = filter;
+    for (var i = 0; i < rowSize; ++i) {
+      var predicted = (filter == 1) ? ((i >= bytesPerSample) ? row[i - bytesPerSample] : 0) :
+                      (filter == 2) ? prior[i] : 0;
+      raw[start + 1 + i] = (row[i] - predicted) & 0xFF;
+    }
+    prior = row;
+  }
+  var header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = bitDepth; // Color type 0 (gray), no interlacing
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(raw, { level: level })),
+    createChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+var depthGeoCast = [ // Ortho camera at [412345.3, 5412345.6, 10] looking down the world -Z axis
+  "GeoCast V1.5",
+  "StaticCamera",
+  "ModelviewMatrix",
+  "1 0 0 -412345.3",
+  "0 1 0 -5412345.6",
+  "0 0 1 -10",
+  "0 0 0 1",
+  "DataProject Ortho WindowSize 4 2 ProjRange 0.5 30",
+  "ZDataRange 0 20",
+  "WorldSpaceDepth"
+].join("\n");
+
+test("8 and 16 bit grayscale PNG images are decoded", function () {
+  var samples8 = [0, 1, 2, 3, 255, 254, 128, 127, 9, 200, 3, 77, 140, 0, 12];
+  [0, 9].forEach(function (level) { // Stored and Huffman coded deflate blocks
+    var image = geoscene.decodePNG(encodeGrayPNG(5, 3, 8, samples8, level));
+    assert.deepStrictEqual([image.width, image.height, image.channels, image.bitDepth],
+                           [5, 3, 1, 8]);
+    assert.ok(image.data instanceof Uint8Array);
+    assert.deepStrictEqual(Array.from(image.data), samples8);
+  });
+  var samples16 = [0, 65535, 256, 255, 1000, 40000, 12345, 65280, 2, 30000, 513, 7];
+  var image = geoscene.decodePNG(new Uint8Array(encodeGrayPNG(3, 4, 16, samples16, 6)));
+  assert.deepStrictEqual([image.width, image.height, image.channels, image.bitDepth],
+                         [3, 4, 1, 16]);
+  assert.ok(image.data instanceof Uint16Array);
+  assert.deepStrictEqual(Array.from(image.data), samples16);
+  assert.throws(function () { geoscene.decodePNG(Buffer.from("GIF89a")); }, /Not a PNG file/);
+});
+
+test("zlib streams are inflated", function () {
+  var text = "";
+  for (var i = 0; i < 2000; ++i)
+    text += String.fromCharCode(97 + (i * i) % 26) + ((i % 7 == 0) ? " GeoScene " : "");
+  var input = Buffer.from(text);
+  [{ level: 0 }, { level: 9, strategy: zlib.constants.Z_FIXED }, { level: 9 }].forEach(
+    function (options) {
+      var output = geoscene.inflateZlib(new Uint8Array(zlib.deflateSync(input, options)));
+      assert.strictEqual(Buffer.from(output).toString(), text);
+    });
+  assert.throws(function () { geoscene.inflateZlib(new Uint8Array([1, 2, 3])); }, /zlib header/);
+});
+
+test("world-space and ortho depths are mapped linearly", function () {
+  var geocast = geoscene.parseGeoCastContent(depthGeoCast);
+  assertNear(geoscene.decodeDepthValues(new Uint8Array([0, 51, 255]), 8, geocast), [0, 4, 20]);
+  var depths = geoscene.decodeDepthValues(new Uint16Array([0, 65535, 13107]), 16, geocast);
+  assert.ok(depths instanceof Float32Array);
+  assertNear(depths, [0, 20, 4]);
+
+  delete geocast.WorldSpaceDepth; // Window depths between the ProjRange planes
+  delete geocast.ZDataRange;
+  assertNear(geoscene.decodeDepthValues(new Uint8Array([0, 255, 51]), 8, geocast),
+             [0.5, 30, 0.5 + 0.2 * 29.5]);
+  delete geocast.ProjRange;
+  assert.throws(function () {
+    geoscene.decodeDepthValues(new Uint8Array([0]), 8, geocast);
+  }, /ClipRange or ProjRange/);
+});
+
+test("perspective window depths are converted to eye-space depths", function () {
+  var geocast = geoscene.parseGeoCastContent(
+    "GeoCast V1.5\nDataProject Perspective Fovy 60 Aspect 1 ClipRange 1 100\n");
+  var near = 1;
+  var far = 100;
+  var depths = [1, 2, 5, 50, 100];
+  var raw = new Float64Array(depths.map(function (depth) { // Window depth scaled to 16 bits
+    var ndc = (far + near) / (far - near) - 2 * far * near / ((far - near) * depth);
+    return (ndc + 1) / 2 * 65535;
+  }));
+  assertNear(geoscene.decodeDepthValues(raw, 16, geocast), depths, 1e-4);
+});
+
+test("no-data values decode as NaN and only the first channel is read", function () {
+  var geocast = geoscene.parseGeoCastContent(depthGeoCast);
+  var depths = geoscene.decodeDepthValues(new Uint8Array([0, 9, 255, 9, 51, 9]), 8, geocast,
+                                          { channels: 2, noDataValue: 0 });
+  assert.strictEqual(depths.length, 3);
+  assert.ok(isNaN(depths[0]));
+  assertNear(depths.subarray(1), [20, 4]);
+});
+
+test("point clouds keep georeferenced coordinates", function () {
+  var geocast = geoscene.parseGeoCastContent(depthGeoCast);
+  var depthImage = geoscene.decodePNG(encodeGrayPNG(4, 2, 8, [51, 0, 102, 255,
+                                                              255, 255, 0, 51], 9));
+  var colorImage = { width: 2, height: 1, channels: 3, bitDepth: 8,
+                     data: new Uint8Array([10, 20, 30, 200, 100, 50]) };
+  var cloud = geoscene.createPointCloud(depthImage, geocast, {
+    noDataValue: 0,
+    colorImage: colorImage
+  });
+  assert.strictEqual(cloud.count, 6);
+  assert.ok(cloud.positions instanceof Float64Array);
+  // Pixel centers of the 4 x 2 image cover the 4 x 2 window around the camera
+  assertNear(cloud.positions.subarray(0, 6), [412343.8, 5412346.1, 6, 412345.8, 5412346.1, 2]);
+  assertNear(cloud.positions.subarray(15), [412346.8, 5412345.1, 6]);
+  assert.deepStrictEqual(Array.from(cloud.colors), [10, 20, 30, 200, 100, 50, 200, 100, 50,
+                                                    10, 20, 30, 10, 20, 30, 200, 100, 50]);
+});
+
+var pointCloud = {
+  count: 2,
+  positions: new Float64Array([412345.25, 5412345.5, 210.125, -1.5, 0, 3]),
+  colors: new Uint8Array([255, 0, 10, 1, 2, 3])
+};
+
+test("point clouds are exported as ASCII PLY files", function () {
+  assert.strictEqual(geoscene.pointCloudToPLY(pointCloud), [
+    "ply",
+    "format ascii 1.0",
+    "comment Generated by js-geoscene-reader",
+    "element vertex 2",
+    "property double x",
+    "property double y",
+    "property double z",
+    "property uchar red",
+    "property uchar green",
+    "property uchar blue",
+    "end_header",
+    "412345.25 5412345.5 210.125 255 0 10",
+    "-1.5 0 3 1 2 3",
+    ""
+  ].join("\n"));
+  var uncolored = geoscene.pointCloudToPLY({ count: 0, positions: [], colors: null });
+  assert.ok(/property double z\nend_header\n$/.test(uncolored));
+  assert.throws(function () {
+    geoscene.pointCloudToPLY(pointCloud, { format: "binary_big_endian" });
+  }, /Unrecognized PLY format/);
+});
+
+test("point clouds are exported as binary PLY files", function () {
+  var bytes = Buffer.from(geoscene.pointCloudToPLY(pointCloud, { format: "binary" }));
+  var headerEnd = bytes.indexOf("end_header\n") + "end_header\n".length;
+  var header = bytes.subarray(0, headerEnd).toString("latin1");
+  assert.ok(header.indexOf("format binary_little_endian 1.0\n") > 0);
+  assert.ok(header.indexOf("property double x\n") > 0);
+  assert.strictEqual(bytes.length, headerEnd + 2 * 27);
+  var values = [];
+  for (var i = 0; i < 2; ++i) {
+    var offset = headerEnd + 27 * i;
+    values.push(bytes.readDoubleLE(offset), bytes.readDoubleLE(offset + 8),
+                bytes.readDoubleLE(offset + 16), bytes[offset + 24], bytes[offset + 25],
+                bytes[offset + 26]);
+  }
+  assert.deepStrictEqual(values, [412345.25, 5412345.5, 210.125, 255, 0, 10, -1.5, 0, 3, 1, 2, 3]);
+});
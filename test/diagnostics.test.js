@@ -0,0 +1,100 @@
+// Diagnostics of the parsers: codes, positions, formatting and the strict mode
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+var sceneContent = [
+  "GeoScene V2.0",
+  "Sequence 0 x",
+  "GeoCast F 100",
+  "  Foo bar"
+].join("\n");
+var geocastContent = [
+  "GeoCast V1.5",
+  "ModelviewMatrix",
+  "1 0 0",
+  "DataProject Perspective Fovy 45 Fovy 50 Aspect 1",
+  "DataProject Weird"
+].join("\n");
+
+function getPositions(diagnostics) { // [severity, code, line, column, token] of every diagnostic
+  return diagnostics.map(function (diagnostic) {
+    return [diagnostic.severity, diagnostic.code, diagnostic.line, diagnostic.column,
+            diagnostic.token];
+  });
+}
+
+test("GeoScene problems are reported with their line and column", function () {
+  var scene = geoscene.parseGeoSceneContent(sceneContent, "", {
+    loadGeoCasts: false,
+    fileName: "s.geoscene"
+  });
+  assert.deepStrictEqual(getPositions(scene.diagnostics), [
+    ["error", "INVALID_VALUE", 2, 10, "0"],
+    ["error", "MISSING_VALUE", 3, 14, ""], // Missing token, past the line end
+    ["warning", "UNRECOGNIZED_LINE", 4, 3, "Foo"]
+  ]);
+  assert.ok(scene.diagnostics.every(function (diagnostic) {
+    return diagnostic.fileName == "s.geoscene";
+  }));
+  assert.strictEqual(geoscene.formatDiagnostic(scene.diagnostics[2]),
+                     "s.geoscene:4:3: warning: Unrecognized line: 'Foo bar' [UNRECOGNIZED_LINE]");
+  var signature = geoscene.parseGeoSceneContent("Hello\n", "", { loadGeoCasts: false });
+  assert.deepStrictEqual(getPositions(signature.diagnostics),
+                         [["error", "INVALID_SIGNATURE", 1, 1, "Hello"]]);
+  assert.strictEqual(geoscene.formatDiagnostic(signature.diagnostics[0]),
+                     "<content>:1:1: error: Not a GeoScene file [INVALID_SIGNATURE]");
+});
+
+test("GeoCast problems are reported with their line and column", function () {
+  var geocast = geoscene.parseGeoCastContent(geocastContent, { fileName: "c.geocast" });
+  assert.deepStrictEqual(getPositions(geocast.diagnostics), [
+    ["error", "INVALID_MATRIX", 3, 1, undefined],
+    ["warning", "UNRECOGNIZED_LINE", 3, 1, "1"],
+    ["warning", "DUPLICATE_KEY", 4, 33, "Fovy"],
+    ["error", "MISSING_VALUE", 4, 49, ""],
+    ["error", "UNKNOWN_PROJECTION", 5, 13, "Weird"]
+  ]);
+  assert.deepStrictEqual(getPositions(geoscene.parseGeoCastContent("").diagnostics),
+                         [["error", "EMPTY_FILE", 1, 1, undefined]]);
+  assert.deepStrictEqual(getPositions(geoscene.parseGeoCastContent("GeoCast V2.0\n").diagnostics),
+                         [["warning", "NEWER_VERSION", 1, 9, "V2.0"]]);
+});
+
+test("strict mode throws on the first problem, warnings included", function () {
+  assert.throws(function () {
+    geoscene.parseGeoSceneContent(sceneContent, "", { loadGeoCasts: false, strict: true,
+                                                      fileName: "s.geoscene" });
+  }, function (error) {
+    return error instanceof geoscene.GeoSceneParseError && error instanceof Error &&
+           error.code == "INVALID_VALUE" && error.fileName == "s.geoscene" &&
+           error.line == 2 && error.column == 10 && error.diagnostic.severity == "error" &&
+           error.message == geoscene.formatDiagnostic(error.diagnostic);
+  });
+  assert.throws(function () { // A typo, only a warning otherwise
+    geoscene.parseGeoSceneContent("GeoScene V2.0\nSequence 0 1\nSequnce 0 1\n", "", {
+      loadGeoCasts: false,
+      strict: true
+    });
+  }, { name: "GeoSceneParseError", code: "UNRECOGNIZED_LINE", line: 3, column: 1,
+       token: "Sequnce" });
+  assert.throws(function () {
+    geoscene.parseGeoCastContent(geocastContent.replace("1 0 0", "1 0 0 0\n0 1 0 0\n" +
+                                                        "0 0 1 0\n0 0 0 1"), { strict: true });
+  }, { code: "DUPLICATE_KEY", line: 7, column: 33, token: "Fovy" });
+  var clean = geoscene.parseGeoCastContent("GeoCast V1.5\nStaticCamera\n", { strict: true });
+  assert.deepStrictEqual(clean.diagnostics, []);
+});
+
+test("strict loading rejects with the diagnostic of the failing file", async function () {
+  var loader = geoscene.createMemoryLoader({
+    "s.geoscene": "GeoScene V2.0\nSequence 0 0\nGeoCast F 100 100 f.png f.geocast\n",
+    "f.geocast": "GeoCast V1.5\nStaticCamera\nSensor CMOS\n"
+  });
+  var scene = await geoscene.loadGeoScene("s.geoscene", { loader: loader });
+  assert.deepStrictEqual(getPositions(scene.geoCastSequence[0].geocast[0].diagnostics),
+                         [["warning", "UNRECOGNIZED_LINE", 3, 1, "Sensor"]]);
+  await assert.rejects(geoscene.loadGeoScene("s.geoscene", { loader: loader, strict: true }),
+                       { name: "GeoSceneParseError", code: "UNRECOGNIZED_LINE",
+                         fileName: "f.geocast", line: 3 });
+});
@@ -0,0 +1,208 @@
+// GeoScene and GeoCast parsing: tokens, extensions, versions, sequences and the lazy mode cache
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+var geocastContent = [
+  "GeoCast V1.5",
+  "DynamicCamera",
+  "ModelviewMatrix",
+  "1 0 0 0",
+  "0 1 0 0",
+  "0 0 1 0",
+  "0 0 0 1",
+  "DataProject Perspective Fovy 45 Aspect 1 ClipRange 1 200 Skew 0.1",
+  "Sensor CMOS 12"
+].join("\n");
+
+function getCodes(object) {
+  return object.diagnostics.map(function (diagnostic) { return diagnostic.code; });
+}
+function parseScene(lines) {
+  return geoscene.parseGeoSceneContent(lines.join("\n"), "", { loadGeoCasts: false });
+}
+
+test("tokens are split by any whitespace, quoted and commented", function () {
+  var scene = parseScene([
+    "GeoScene V2.0\r",
+    "Sequence\t0  2 # Three frames\r",
+    "GeoCast \"Field 0\" 1400 900 \"my images/f\\\"%d\\\".png\" cam#%d.geocast #Main camera"
+  ]);
+  assert.deepStrictEqual(scene.diagnostics, []);
+  assert.deepStrictEqual(scene.frames, [0, 1, 2]);
+  var entry = scene.geoCastSequence[0];
+  assert.strictEqual(entry.name, "Field 0");
+  assert.strictEqual(entry.imagePattern, "my images/f\"%d\".png");
+  assert.deepStrictEqual(entry.geocastFile, ["cam#0.geocast", "cam#1.geocast", "cam#2.geocast"]);
+});
+
+test("diagnostics report the columns of quoted tokens and unterminated quotes", function () {
+  var scene = parseScene([
+    "GeoScene V2.0",
+    "Sequence 0 0",
+    "GeoCast \"A B\" 10 10 a.png a.geocast Layer 2",
+    "GeoCast C 10 10 \"c.png c.geocast"
+  ]);
+  var unknown = scene.diagnostics.filter(function (d) { return d.code == "UNRECOGNIZED_TOKEN"; });
+  assert.strictEqual(unknown[0].line, 3);
+  assert.strictEqual(unknown[0].column, 37);
+  assert.strictEqual(unknown[0].token, "Layer");
+  var unterminated = scene.diagnostics.filter(function (d) {
+    return d.code == "UNTERMINATED_QUOTE";
+  });
+  assert.deepStrictEqual([unterminated[0].line, unterminated[0].column], [4, 17]);
+});
+
+test("unknown directives and keys are kept in the extensions bag", function () {
+  var scene = parseScene([
+    "GeoScene V2.0",
+    "Sequence 0 2 Rate 25",
+    "GeoCast F 10 10 f%d.png f%d.geocast Layer 2",
+    "Lighting Sun 0.2",
+    "Lighting Moon"
+  ]);
+  assert.deepStrictEqual(scene.extensions, {
+    "Sequence.Rate": [["25"]],
+    "Lighting": [["Sun", "0.2"], ["Moon"]]
+  });
+  assert.deepStrictEqual(scene.geoCastSequence[0].extensions, { "Layer": [["2"]] });
+  assert.deepStrictEqual(getCodes(scene), ["UNRECOGNIZED_TOKEN", "UNRECOGNIZED_TOKEN",
+                                           "UNRECOGNIZED_LINE", "UNRECOGNIZED_LINE"]);
+
+  var geocast = geoscene.parseGeoCastContent(geocastContent);
+  assert.deepStrictEqual(geocast.extensions, {
+    "DataProject.Skew": [["0.1"]],
+    "Sensor": [["CMOS", "12"]]
+  });
+  assert.strictEqual(geocast.Fovy, 45);
+  assert.deepStrictEqual(getCodes(geocast), ["UNRECOGNIZED_TOKEN", "UNRECOGNIZED_LINE"]);
+});
+
+test("newer versions keep their unknown fields without warnings", function () {
+  var geocast = geoscene.parseGeoCastContent(geocastContent.replace("V1.5", "V1.6"));
+  assert.deepStrictEqual(getCodes(geocast), []);
+  assert.deepStrictEqual(Object.keys(geocast.extensions), ["DataProject.Skew", "Sensor"]);
+  var scene = parseScene(["GeoScene V3.0", "Sequence 0 0", "Lighting Sun"]);
+  assert.deepStrictEqual(getCodes(scene), ["NEWER_VERSION"]);
+  assert.deepStrictEqual(scene.extensions, { "Lighting": [["Sun"]] });
+});
+
+test("sequence steps and offsets select the frames and their file numbers", function () {
+  var scene = parseScene([
+    "GeoScene V2.0",
+    "Sequence 0 9 Step 2 Offset 100",
+    "GeoCast F 10 10 img/f%03d.png cam/f%d.geocast"
+  ]);
+  assert.deepStrictEqual(scene.diagnostics, []);
+  assert.deepStrictEqual(scene.sequence, [0, 9]);
+  assert.strictEqual(scene.sequenceStep, 2);
+  assert.deepStrictEqual(scene.frames, [0, 2, 4, 6, 8]);
+  assert.deepStrictEqual(scene.geoCastSequence[0].geocastFile,
+                         ["cam/f100.geocast", "cam/f102.geocast", "cam/f104.geocast",
+                          "cam/f106.geocast", "cam/f108.geocast"]);
+  assert.strictEqual(scene.geoCastSequence[0].image[4], "img/f108.png");
+  assert.deepStrictEqual(parseScene(["GeoScene V2.0", "Sequence 5 11 3"]).frames, [5, 8, 11]);
+
+  var invalid = parseScene(["GeoScene V2.0", "Sequence 0 4 Step 0"]);
+  assert.deepStrictEqual(getCodes(invalid), ["INVALID_VALUE"]);
+  assert.deepStrictEqual(invalid.frames, [0, 1, 2, 3, 4]);
+});
+
+test("frame lists are sorted, deduplicated and checked", function () {
+  var scene = parseScene([
+    "GeoScene V2.0",
+    "Frames 7 0 3 3 Offset -10",
+    "GeoCast F 10 10 f%d.png f%02d.geocast"
+  ]);
+  assert.deepStrictEqual(scene.diagnostics, []);
+  assert.deepStrictEqual(scene.frames, [0, 3, 7]);
+  assert.deepStrictEqual(scene.sequence, [0, 7]);
+  assert.strictEqual(scene.sequenceStep, undefined);
+  assert.deepStrictEqual(scene.geoCastSequence[0].geocastFile, // As printf, the sign is a digit
+                         ["f-10.geocast", "f-7.geocast", "f-3.geocast"]);
+
+  var invalid = parseScene(["GeoScene V2.0", "Frames 1 x 2 Offset 1.5", "Frames 4 Offset"]);
+  assert.deepStrictEqual(invalid.diagnostics.map(function (d) {
+    return [d.code, d.line, d.column];
+  }), [["INVALID_VALUE", 2, 10], ["INVALID_VALUE", 2, 21], ["INVALID_VALUE", 3, 16]]);
+  assert.deepStrictEqual(invalid.frames, [4]);
+  assert.strictEqual(invalid.sequenceOffset, 0);
+});
+
+test("path patterns expand the same way on every line and every parse", function () {
+  var lines = [
+    "GeoScene V2.0",
+    "Sequence 1 3",
+    "GeoCast A 10 10 a%d/img%03d.png a%d.geocast",
+    "GeoCast B 10 10 b%d/img%03d.png b%d.geocast",
+    "GeoCastZ C 10 10 c%d.png c.geocast"
+  ];
+  var expected = ["b1/img001.png", "b2/img002.png", "b3/img003.png"];
+  for (var k = 0; k < 3; ++k) { // A global regex would keep its lastIndex between the calls
+    var scene = parseScene(lines);
+    assert.deepStrictEqual(scene.geoCastSequence[0].image,
+                           ["a1/img001.png", "a2/img002.png", "a3/img003.png"]);
+    assert.deepStrictEqual(scene.geoCastSequence[1].image, expected);
+    assert.deepStrictEqual(scene.geoCastSequence[1].geocastFile,
+                           ["b1.geocast", "b2.geocast", "b3.geocast"]);
+    assert.deepStrictEqual(scene.geoCastZSequence[0].geocastFile, ["c.geocast"]);
+  }
+});
+
+function createFiles(frameCount) {
+  var files = {
+    "s.geoscene": "GeoScene V2.0\nSequence 0 " + (frameCount - 1) + "\n" +
+                  "GeoCast F 100 100 img/%d.png cam/%d.geocast\n"
+  };
+  for (var k = 0; k < frameCount; ++k) {
+    files["cam/" + k + ".geocast"] = "GeoCast V1.5\nDynamicCamera\nModelviewMatrix\n" +
+                                     "1 0 0 " + k + "\n0 1 0 0\n0 0 1 0\n0 0 0 1\n";
+  }
+  return files;
+}
+
+test("prefetched frames never evict the requested one", async function () {
+  var files = createFiles(20);
+  var requested = [];
+  var memoryLoader = geoscene.createMemoryLoader(files);
+  var loader = function (url, signal) {
+    requested.push(url);
+    return memoryLoader(url, signal);
+  };
+  var scene = await geoscene.loadGeoScene("s.geoscene", {
+    loader: loader, lazy: true, cacheSize: 3, prefetch: 10
+  });
+  var geocast = await scene.getGeoCast("F", 0);
+  await new Promise(function (resolve) { setTimeout(resolve, 20); }); // Prefetch settles
+  assert.strictEqual(scene.getCachedGeoCast("F", 0), geocast);
+  assert.ok(scene.getCachedGeoCast("F", 2));
+  assert.strictEqual(scene.getCachedGeoCast("F", 3), null);
+  assert.strictEqual(requested.filter(function (url) { return /^cam/.test(url); }).length, 3);
+});
+
+test("missing GeoCast files are reported as gaps of the sequence frames", async function () {
+  var files = createFiles(5);
+  files["s.geoscene"] = "GeoScene V2.0\nSequence 0 8 Step 2\n" +
+                        "GeoCast F 100 100 img/%d.png cam/%d.geocast\n" +
+                        "GeoCastZ D 100 100 depth/%d.png cam/depth.geocast\n";
+  files["cam/6.geocast"] = files["cam/2.geocast"];
+  delete files["cam/2.geocast"];
+  var loader = geoscene.createMemoryLoader(files);
+  await assert.rejects(geoscene.loadGeoScene("s.geoscene", { loader: loader }), function (error) {
+    return error.url == "cam/2.geocast";
+  });
+
+  var scene = await geoscene.loadGeoScene("s.geoscene", { loader: loader, missingFrames: "gap" });
+  var entry = scene.geoCastSequence[0];
+  assert.deepStrictEqual(entry.missingFrames, [2, 8]);
+  assert.deepStrictEqual(entry.geocastFile, ["cam/0.geocast", null, "cam/4.geocast",
+                                             "cam/6.geocast", null]);
+  assert.strictEqual(entry.geocast[1], null);
+  assert.ok(entry.geocast[3].ModelviewMatrix);
+  assert.deepStrictEqual(scene.geoCastZSequence[0].missingFrames, [0, 2, 4, 6, 8]);
+
+  var lazy = await geoscene.loadGeoScene("s.geoscene", {
+    loader: loader, missingFrames: "gap", lazy: true
+  });
+  assert.deepStrictEqual(lazy.geoCastSequence[0].missingFrames, [2, 8]);
+});
@@ -0,0 +1,116 @@
+// Round trips of the GeoScene and GeoCast writers over the sample files: parse -> serialize ->
+// parse must give the same objects
+var test = require('node:test');
+var assert = require('assert');
+var fs = require('fs');
+var path = require('path');
+var geoscene = require('../index.js');
+
+var dataPath = path.join(__dirname, "data");
+function readSample(file) {
+  return fs.readFileSync(path.join(dataPath, file), "utf8");
+}
+function toPlain(object) { // Typed arrays compare as plain arrays
+  return JSON.parse(JSON.stringify(object, function (key, value) {
+    return ArrayBuffer.isView(value) ? Array.from(value) : value;
+  }));
+}
+function parseScene(content) {
+  return geoscene.parseGeoSceneContent(content, "data", { loadGeoCasts: false });
+}
+
+test("the sample geocasts are written back unchanged", function () {
+  ["field000", "field001", "field002", "floor"].forEach(function (name) {
+    var content = readSample("cameras/" + name + ".geocast");
+    var geocast = geoscene.parseGeoCastContent(content);
+    assert.strictEqual(geoscene.serializeGeoCast(geocast), content);
+  });
+});
+
+test("DynamicCamera geocasts with ViewSlice and ImageWarp round trip", function () {
+  var geocast = geoscene.parseGeoCastContent(readSample("cameras/field001.geocast"));
+  geocast.ModelviewMatrix[3] = 0.1; // Values which are not exact in single precision
+  geocast.ModelviewMatrix[7] = 1 / 3;
+  geocast.ImageWarp.k1 = -0.0812345;
+  var output = geoscene.parseGeoCastContent(geoscene.serializeGeoCast(geocast));
+  assert.deepStrictEqual(toPlain(output), toPlain(geocast));
+  assert.strictEqual(output.CameraType, "DynamicCamera");
+  assert.strictEqual(output.ImageWarp.focal, 1.2);
+});
+
+test("StaticCamera Ortho geocasts with ZDataRange round trip", function () {
+  var geocast = geoscene.parseGeoCastContent(readSample("cameras/floor.geocast"));
+  var output = geoscene.parseGeoCastContent(geoscene.serializeGeoCast(geocast));
+  assert.deepStrictEqual(toPlain(output), toPlain(geocast));
+  assert.strictEqual(output.CameraType, "StaticCamera");
+  assert.deepStrictEqual(Array.from(output.ZDataRange), [0, 20]);
+  assert.strictEqual(output.WorldSpaceDepth, true);
+});
+
+test("the sample scene with its sequence round trips", function () {
+  var content = readSample("sample.geoscene");
+  var scene = parseScene(content);
+  var text = geoscene.serializeGeoScene(scene);
+  assert.strictEqual(text, content);
+  assert.deepStrictEqual(toPlain(parseScene(text)), toPlain(scene));
+});
+
+test("scenes built without path patterns are written with inferred patterns", function () {
+  var scene = parseScene(readSample("sample.geoscene"));
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    delete entry.imagePattern;
+    delete entry.geocastPattern;
+  });
+  var text = geoscene.serializeGeoScene(scene, { basepath: "data" });
+  assert.ok(text.indexOf("GeoCast Field0 1400 900 images/field%03d.png " +
+                         "cameras/field%03d.geocast\n") >= 0);
+  assert.ok(text.indexOf("GeoCastZ Floor 1400 900 depth/floor%d.png cameras/floor.geocast\n") >= 0);
+  assert.deepStrictEqual(toPlain(parseScene(text)),
+                         toPlain(parseScene(readSample("sample.geoscene"))));
+});
+
+test("quoted tokens and extensions are written back", function () {
+  var content = [
+    "GeoScene V2.0",
+    "Sequence 0 2 Rate 25",
+    "GeoCast \"Field 0\" 1400 900 \"my images/f\\\"%d\\\".png\" \"#cam%d.geocast\" Layer 2",
+    "MatchGroup 0",
+    "MatchCam \"Field 0\"",
+    "Lighting Sun 0.2",
+    "Lighting Moon",
+    ""
+  ].join("\n");
+  var scene = parseScene(content);
+  var text = geoscene.serializeGeoScene(scene);
+  assert.strictEqual(text, content);
+  assert.deepStrictEqual(toPlain(parseScene(text)), toPlain(scene));
+
+  var geocast = geoscene.parseGeoCastContent(readSample("cameras/field000.geocast")
+    .replace("ClipRange 0.5 200", "ClipRange 0.5 200 Skew 0.1") + "Sensor \"CMOS 1\" 12\n");
+  var output = geoscene.parseGeoCastContent(geoscene.serializeGeoCast(geocast));
+  assert.deepStrictEqual(output.extensions, {
+    "DataProject.Skew": [["0.1"]],
+    "Sensor": [["CMOS 1", "12"]]
+  });
+  assert.deepStrictEqual(toPlain(output), toPlain(geocast));
+});
+
+test("sequence steps, offsets and frame lists round trip", function () {
+  [
+    "Sequence 0 9 Step 2 Offset 100 Rate 25",
+    "Sequence 3 3",
+    "Frames 0 2 4 6 8",
+    "Frames 1 4 5 Offset -1"
+  ].forEach(function (sequenceLine) {
+    var content = "GeoScene V2.0\n" + sequenceLine + "\n" +
+                  "GeoCast F 100 100 img/%04d.png cam/%d.geocast\n";
+    var scene = parseScene(content);
+    var text = geoscene.serializeGeoScene(scene);
+    assert.strictEqual(text, content);
+    assert.deepStrictEqual(toPlain(parseScene(text)), toPlain(scene));
+  });
+  var scene = parseScene("GeoScene V2.0\nSequence 0 9 3\n");
+  scene.sequenceOffset = 7;
+  assert.strictEqual(geoscene.serializeGeoScene(scene),
+                     "GeoScene V2.0\nSequence 0 9 Step 3 Offset 7\n");
+});
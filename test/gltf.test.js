@@ -0,0 +1,153 @@
+// glTF and GLB export: nodes, cameras, frustum accessors, animations and the GLB chunks
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+function createGeoCastLines(x, dataProject) { // Camera at [x, 0, 5] looking down -Z
+  return "GeoCast V1.5\nModelviewMatrix\n1 0 0 " + -x + "\n0 1 0 0\n0 0 1 -5\n0 0 0 1\n" +
+         dataProject + "\n";
+}
+function createScene() { // F moves along X over frames 10, 12 and 14, D does not move
+  var scene = geoscene.parseGeoSceneContent("GeoScene V2.0\nSequence 10 14 Step 2\n" +
+                                             "GeoCast F 200 100 f%d.png f%d.geocast\n" +
+                                             "GeoCastZ D 40 20 d.png d.geocast\n", "",
+                                             { loadGeoCasts: false });
+  scene.geoCastSequence[0].geocast = [0, 1, 3].map(function (x) {
+    return geoscene.parseGeoCastContent(createGeoCastLines(x, "DataProject Perspective " +
+                                                           "Fovy 90 Aspect 2 ClipRange 1 10"));
+  });
+  scene.geoCastZSequence[0].geocast = [geoscene.parseGeoCastContent(createGeoCastLines(
+    -2, "DataProject Ortho WindowSize 8 4 ProjRange 0 20"))];
+  return scene;
+}
+function decodeBuffer(gltf) { // The bytes of the embedded buffer
+  var uri = gltf.buffers[0].uri;
+  return Buffer.from(uri.substring(uri.indexOf(",") + 1), "base64");
+}
+function readAccessor(gltf, bytes, index) {
+  var accessor = gltf.accessors[index];
+  var view = gltf.bufferViews[accessor.bufferView];
+  var components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[accessor.type];
+  var values = [];
+  for (var i = 0; i < accessor.count * components; ++i) {
+    values.push((accessor.componentType == 5126) ? bytes.readFloatLE(view.byteOffset + 4 * i) :
+                bytes.readUInt16LE(view.byteOffset + 2 * i));
+  }
+  return values;
+}
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-6;
+  assert.strictEqual(actual.length, expected.length);
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon,
+              "[" + actual + "] is not [" + expected + "]");
+  }
+}
+
+test("every entry becomes a camera node with its frustum and image", function () {
+  var gltf = geoscene.exportGLTF(createScene(), { frustums: true, images: true });
+  assert.strictEqual(gltf.asset.version, "2.0");
+  assert.deepStrictEqual(gltf.scenes[0].nodes, [0, 3]);
+  assert.deepStrictEqual(gltf.nodes.map(function (node) { return node.name; }),
+                         ["F", "F frustum", "F image", "D", "D frustum", "D image"]);
+  assert.deepStrictEqual(gltf.nodes.filter(function (node) {
+    return node.camera !== undefined;
+  }).length, 2);
+  assert.deepStrictEqual([gltf.nodes[0].children, gltf.nodes[3].children], [[1, 2], [4, 5]]);
+  assert.deepStrictEqual(gltf.nodes[0].translation, [0, 0, 5]);
+  assertNear(gltf.nodes[0].rotation, [0, 0, 0, 1]);
+  assert.deepStrictEqual(gltf.nodes[3].translation, [-2, 0, 5]);
+  assert.deepStrictEqual(gltf.cameras[0], {
+    name: "F",
+    type: "perspective",
+    perspective: { aspectRatio: 2, yfov: Math.PI / 2, znear: 1, zfar: 10 }
+  });
+  assert.deepStrictEqual(gltf.cameras[1].orthographic, { xmag: 4, ymag: 2, znear: 0, zfar: 20 });
+  assert.deepStrictEqual(gltf.images, [{ uri: "f10.png" }, { uri: "d.png" }]);
+});
+
+test("frustum and image positions have their bounds", function () {
+  var gltf = geoscene.exportGLTF(createScene(), { frustums: true, images: true, imageDepth: 4 });
+  var bytes = decodeBuffer(gltf);
+  assert.strictEqual(bytes.length, gltf.buffers[0].byteLength);
+  var frustum = gltf.meshes[gltf.nodes[1].mesh].primitives[0];
+  var positions = gltf.accessors[frustum.attributes.POSITION];
+  // Near plane at 1 (2 x 1 half sizes), far plane at 10 (20 x 10) and the projection center
+  assert.deepStrictEqual([positions.count, positions.min, positions.max],
+                         [9, [-20, -10, -10], [20, 10, 0]]);
+  assert.strictEqual(frustum.mode, 1);
+  assert.strictEqual(gltf.accessors[frustum.indices].count, 32);
+  assert.deepStrictEqual(readAccessor(gltf, bytes, frustum.attributes.POSITION).slice(0, 6),
+                         [-2, -1, -1, 2, -1, -1]);
+  var ortho = gltf.accessors[gltf.meshes[gltf.nodes[4].mesh].primitives[0].attributes.POSITION];
+  assert.deepStrictEqual([ortho.count, ortho.min, ortho.max], // Near plane at -0
+                         [8, [-4, -2, -20], [4, 2, -0]]);
+  var image = gltf.accessors[gltf.meshes[gltf.nodes[2].mesh].primitives[0].attributes.POSITION];
+  assert.deepStrictEqual([image.min, image.max], [[-8, -4, -4], [8, 4, -4]]);
+  gltf.bufferViews.forEach(function (view) {
+    assert.strictEqual(view.byteOffset % 4, 0);
+  });
+});
+
+test("moving cameras are animated with one keyframe per loaded frame", function () {
+  var scene = createScene();
+  var gltf = geoscene.exportGLTF(scene);
+  assert.strictEqual(gltf.animations.length, 1);
+  var animation = gltf.animations[0];
+  assert.strictEqual(animation.samplers.length, 2); // Only F moves, D has one geocast
+  assert.deepStrictEqual(animation.channels.map(function (channel) {
+    return [channel.target.node, channel.target.path];
+  }), [[0, "translation"], [0, "rotation"]]);
+  var bytes = decodeBuffer(gltf);
+  var input = gltf.accessors[animation.samplers[0].input];
+  assert.deepStrictEqual([input.count, input.min, input.max], [3, [0], [Math.fround(0.16)]]);
+  assertNear(readAccessor(gltf, bytes, animation.samplers[0].output),
+             [0, 0, 5, 1, 0, 5, 3, 0, 5]);
+  assert.strictEqual(animation.samplers[0].input, animation.samplers[1].input);
+
+  scene.geoCastSequence[0].geocast[1] = null; // Gaps are interpolated over
+  gltf = geoscene.exportGLTF(scene, { frameRate: 10 });
+  input = gltf.accessors[gltf.animations[0].samplers[0].input];
+  assert.deepStrictEqual([input.count, input.max], [2, [Math.fround(0.4)]]);
+  assert.strictEqual(geoscene.exportGLTF(scene, { animation: false }).animations, undefined);
+});
+
+test("the exported frame selects the poses and the images", function () {
+  var gltf = geoscene.exportGLTF(createScene(), { frame: 14, images: true, animation: false });
+  assert.deepStrictEqual(gltf.nodes[0].translation, [3, 0, 5]);
+  assert.deepStrictEqual(gltf.nodes[2].translation, [-2, 0, 5]); // Static, after F and its image
+  assert.deepStrictEqual(gltf.images, [{ uri: "f14.png" }, { uri: "d.png" }]);
+  assert.throws(function () {
+    geoscene.exportGLTF(createScene(), { frame: 11 });
+  }, /Frame 11 is out of the sequence/);
+  var empty = geoscene.exportGLTF(geoscene.parseGeoSceneContent(
+    "GeoScene V2.0\nSequence 0 0\nGeoCast F 200 100 f.png f.geocast\n", "",
+    { loadGeoCasts: false }));
+  assert.deepStrictEqual([empty.nodes, empty.buffers, empty.extensionsUsed], [[], undefined,
+                                                                              undefined]);
+});
+
+test("GLB files hold the glTF JSON and binary chunks", function () {
+  var options = { frustums: true, images: true };
+  var glb = Buffer.from(geoscene.exportGLB(createScene(), options));
+  assert.deepStrictEqual([glb.toString("latin1", 0, 4), glb.readUInt32LE(4), glb.readUInt32LE(8)],
+                         ["glTF", 2, glb.length]);
+  var jsonLength = glb.readUInt32LE(12);
+  assert.strictEqual(glb.toString("latin1", 16, 20), "JSON");
+  assert.strictEqual(jsonLength % 4, 0);
+  var json = glb.toString("utf8", 20, 20 + jsonLength);
+  assert.ok(/^\{.*\} *$/.test(json)); // Padded with spaces
+  var gltf = JSON.parse(json);
+  var embedded = geoscene.exportGLTF(createScene(), options);
+  var bin = decodeBuffer(embedded);
+  delete embedded.buffers[0].uri;
+  assert.deepStrictEqual(gltf, JSON.parse(JSON.stringify(embedded)));
+
+  var binStart = 20 + jsonLength;
+  var binLength = glb.readUInt32LE(binStart);
+  assert.deepStrictEqual([glb.toString("latin1", binStart + 4, binStart + 8), binLength % 4],
+                         ["BIN\u0000", 0]);
+  assert.strictEqual(binStart + 8 + binLength, glb.length);
+  assert.ok(binLength >= gltf.buffers[0].byteLength);
+  assert.deepStrictEqual(glb.subarray(binStart + 8, binStart + 8 + bin.length), bin);
+});
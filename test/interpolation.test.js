@@ -0,0 +1,69 @@
+// Camera interpolation: getCameraAtTime() on loaded and lazy scenes
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+function createGeoCastFile(center, cameraType) { // Camera looking down the world -Z axis
+  return "GeoCast V1.5\n" + cameraType + "\nModelviewMatrix\n" +
+         "1 0 0 " + -center[0] + "\n0 1 0 " + -center[1] + "\n0 0 1 " + -center[2] + "\n" +
+         "0 0 0 1\nDataProject Perspective Fovy 45 Aspect 1.5 ClipRange 1 200\n";
+}
+function getCenter(geocast) {
+  var m = geocast.ModelviewMatrix; // Row-major, without rotation
+  return [-m[3], -m[7], -m[11]];
+}
+
+var files = {
+  "s.geoscene": "GeoScene V2.0\nSequence 0 3\n" +
+                "GeoCast F 100 100 f%d.png f%d.geocast\n" +
+                "GeoCast S 100 100 s%d.png s%d.geocast\n"
+};
+for (var k = 0; k < 4; ++k) {
+  files["f" + k + ".geocast"] = createGeoCastFile([412345.25 + k * 0.01, 5412345.5, 210],
+                                                  "DynamicCamera");
+  files["s" + k + ".geocast"] = createGeoCastFile([1, 2, 3], "StaticCamera");
+}
+var loader = geoscene.createMemoryLoader(files);
+
+test("scenes expose getCameraAtTime()", async function () {
+  var scene = await geoscene.loadGeoScene("s.geoscene", { loader: loader });
+  assert.deepStrictEqual(scene.getCameraAtTime("F", 0.06, { frameRate: 25 }),
+                         geoscene.getCameraAtTime(scene, "F", 0.06, { frameRate: 25 }));
+  assert.strictEqual(scene.getCameraAtTime("F", 0), scene.geoCastSequence[0].geocast[0]);
+  var parsed = geoscene.parseGeoSceneContent(files["s.geoscene"], "", { loadGeoCasts: false });
+  assert.strictEqual(typeof parsed.getCameraAtTime, "function");
+});
+
+test("interpolated poses of georeferenced scenes keep their precision", async function () {
+  var scene = await geoscene.loadGeoScene("s.geoscene", { loader: loader });
+  scene.geoCastSequence[0].geocast.forEach(function (geocast, k) { // Double precision keyframes
+    geocast.ModelviewMatrix = new Float64Array([1, 0, 0, -(412345.25 + k * 0.01), 0, 1, 0,
+                                                -5412345.5, 0, 0, 1, -210, 0, 0, 0, 1]);
+  });
+  [0.25, 0.5, 1.75, 2.5].forEach(function (frame) {
+    var geocast = scene.getCameraAtTime("F", frame / 25);
+    assert.ok(geocast.ModelviewMatrix instanceof Float64Array);
+    var center = getCenter(geocast);
+    assert.ok(Math.abs(center[0] - (412345.25 + frame * 0.01)) < 1e-6, "x " + center[0]);
+    assert.ok(Math.abs(center[1] - 5412345.5) < 1e-6, "y " + center[1]);
+  });
+});
+
+test("StaticCamera entries pass through without their neighbor frames", async function () {
+  var scene = await geoscene.loadGeoScene("s.geoscene", { loader: loader, lazy: true });
+  assert.throws(function () { scene.getCameraAtTime("S", 0.5 / 25); }, /not loaded/);
+  var geocast = await scene.getGeoCast("S", 3);
+  assert.strictEqual(scene.getCameraAtTime("S", 0.5 / 25, { interpolation: "spline" }), geocast);
+  assert.throws(function () { scene.getCameraAtTime("F", 0.5 / 25); }, /not loaded/);
+});
+
+test("blended geocasts keep the extensions of the nearest frame", function () {
+  var geocastA = geoscene.parseGeoCastContent(createGeoCastFile([0, 0, 5], "DynamicCamera") +
+                                              "Sensor CMOS 12\n");
+  var geocastB = geoscene.parseGeoCastContent(createGeoCastFile([1, 0, 5], "DynamicCamera") +
+                                              "Sensor CCD 8\n");
+  assert.deepStrictEqual(geoscene.blendGeoCasts(geocastA, geocastB, 0.25).extensions,
+                         { "Sensor": [["CMOS", "12"]] });
+  assert.deepStrictEqual(geoscene.blendGeoCasts(geocastA, geocastB, 0.75).extensions,
+                         { "Sensor": [["CCD", "8"]] });
+});
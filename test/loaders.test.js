@@ -0,0 +1,147 @@
+// Loaders and paths: memory and filesystem loaders, basepaths and the resolution of relative paths
+var test = require('node:test');
+var assert = require('assert');
+var path = require('path');
+var url = require('url');
+var geoscene = require('../index.js');
+
+var samplePath = path.join(__dirname, "data", "sample.geoscene");
+
+function createFakeFileSystem(files) { // readFile() and stat() over an object of contents
+  var createError = function (code) {
+    var error = new Error(code + ": no such file");
+    error.code = code;
+    return error;
+  };
+  return {
+    readFile: function (filePath, encoding, callback) {
+      var content = files[filePath];
+      setTimeout(function () {
+        if (content instanceof Error)
+          callback(content);
+        else if (content === undefined)
+          callback(createError('ENOENT'));
+        else
+          callback(null, content);
+      }, 0);
+    },
+    stat: function (filePath, callback) {
+      var content = files[filePath];
+      setTimeout(function () {
+        if (content instanceof Error)
+          callback(content);
+        else if (content === undefined)
+          callback(createError(/\.geocast\/$/.test(filePath) ? 'ENOTDIR' : 'ENOENT'));
+        else
+          callback(null, { isFile: function () { return content !== "<directory>"; } });
+      }, 0);
+    }
+  };
+}
+
+test("memory loaders serve normalized paths from objects and maps", async function () {
+  var loader = geoscene.createMemoryLoader({ "data/a.geocast": "A", "b.geocast": 12 });
+  assert.strictEqual(await loader("data/./cam/../a.geocast"), "A");
+  assert.strictEqual(await loader("data\\a.geocast"), "A");
+  assert.strictEqual(await loader("./b.geocast"), "12");
+  await assert.rejects(loader("data/b.geocast"), { status: 404, url: "data/b.geocast" });
+  assert.strictEqual(await loader.exists("data//a.geocast"), true);
+  assert.strictEqual(await loader.exists("a.geocast"), false);
+
+  var mapLoader = geoscene.createMemoryLoader(new Map([["/x/y.geoscene", "Y"]]));
+  assert.strictEqual(await mapLoader("/x/z/../y.geoscene"), "Y");
+  await assert.rejects(mapLoader("x/y.geoscene"), { status: 404 });
+
+  var controller = new AbortController();
+  controller.abort();
+  await assert.rejects(loader("data/a.geocast", controller.signal), { name: 'AbortError' });
+  await assert.rejects(loader.exists("data/a.geocast", controller.signal), { name: 'AbortError' });
+});
+
+test("filesystem loaders read files, paths and file URLs", async function () {
+  var loader = geoscene.createFileSystemLoader();
+  var content = await loader(samplePath);
+  assert.ok(/^GeoScene V/.test(content));
+  assert.strictEqual(await loader(url.pathToFileURL(samplePath).href), content);
+  assert.strictEqual(await loader.exists(samplePath), true);
+  assert.strictEqual(await loader.exists(path.dirname(samplePath)), false); // A directory
+  assert.strictEqual(await loader.exists(samplePath + ".missing"), false);
+  await assert.rejects(loader(samplePath + ".missing"), function (error) {
+    return error.status == 404 && error.url == samplePath + ".missing";
+  });
+});
+
+test("filesystem loaders report read errors and cancellation", async function () {
+  var denied = new Error("EACCES: permission denied");
+  denied.code = 'EACCES';
+  var loader = geoscene.createFileSystemLoader(createFakeFileSystem({
+    "s.geoscene": "GeoScene V2.0\n",
+    "cams": "<directory>",
+    "locked.geocast": denied
+  }));
+  assert.strictEqual(await loader("s.geoscene"), "GeoScene V2.0\n");
+  await assert.rejects(loader("locked.geocast"), function (error) {
+    return error.status == 0 && error.url == "locked.geocast" &&
+           error.message.indexOf("permission denied") >= 0;
+  });
+  await assert.rejects(loader("other.geocast"), { status: 404 });
+  assert.deepStrictEqual([await loader.exists("s.geoscene"), await loader.exists("cams"),
+                          await loader.exists("s.geocast/")], [true, false, false]);
+  await assert.rejects(loader.exists("locked.geocast"), { status: 0 });
+
+  var controller = new AbortController();
+  var pending = loader("s.geoscene", controller.signal);
+  controller.abort(); // Before the read completes
+  await assert.rejects(pending, { name: 'AbortError' });
+  await assert.rejects(loader.exists("s.geoscene", controller.signal), { name: 'AbortError' });
+});
+
+test("scenes load through the default loader", async function () {
+  var scene = await geoscene.loadGeoScene(samplePath);
+  assert.ok(scene.geoCastSequence.length > 0);
+  var basepath = geoscene.getBasePath(samplePath);
+  assert.strictEqual(scene.geoCastSequence[0].geocastFile[1],
+                     geoscene.resolvePath(basepath, "cameras/field001.geocast"));
+  assert.strictEqual(scene.geoCastSequence[0].geocast[1].Version, "1.5");
+});
+
+test("basepaths ignore query strings and accept any separators", function () {
+  [
+    ["http://host/data/scene.geoscene?token=a/b", "http://host/data"],
+    ["http://host/scene.geoscene#x/y", "http://host/"],
+    ["C:\\captures\\day1/scene.geoscene", "C:/captures/day1"],
+    ["C:\\scene.geoscene", "C:/"],
+    ["a\\b/c\\s.geoscene", "a/b/c"],
+    ["../up/s.geoscene", "../up"],
+    ["/scene.geoscene", "/"],
+    ["scene.geoscene", ""]
+  ].forEach(function (example) {
+    assert.strictEqual(geoscene.getBasePath(example[0]), example[1], example[0]);
+  });
+});
+
+test("relative paths are resolved against the basepath", function () {
+  [
+    ["data", "cam/0.geocast", "data/cam/0.geocast"],
+    ["", ".\\cam\\0.geocast", "cam/0.geocast"],
+    ["data/sub", "../cam/./0.geocast", "data/cam/0.geocast"],
+    ["C:/captures", "..\\..\\x.geocast", "C:/x.geocast"],
+    ["/", "../x.geocast", "/x.geocast"],
+    ["", "../../x.geocast", "../../x.geocast"],
+    ["http://host/data", "../cam/0.geocast", "http://host/cam/0.geocast"],
+    ["http://host/data/", "cam\\0.geocast", "http://host/data/cam/0.geocast"],
+    ["http://host/data", "c.geocast?v=2", "http://host/data/c.geocast?v=2"]
+  ].forEach(function (example) {
+    assert.strictEqual(geoscene.resolvePath(example[0], example[1]), example[2],
+                       example.join(" "));
+  });
+});
+
+test("absolute paths and URLs are kept", function () {
+  assert.strictEqual(geoscene.resolvePath("data", "/abs/./x.geocast"), "/abs/x.geocast");
+  assert.strictEqual(geoscene.resolvePath("data", "C:\\abs\\x.geocast"), "C:/abs/x.geocast");
+  assert.strictEqual(geoscene.resolvePath("data", "https://cdn/x.geocast"),
+                     "https://cdn/x.geocast");
+  assert.strictEqual(geoscene.resolvePath("http://host/data", "file:///tmp/x.geocast"),
+                     "file:///tmp/x.geocast");
+});
@@ -0,0 +1,141 @@
+// loadGeoScene(): progress, failures and cancellation, and the geocast requests of
+// parseGeoSceneContent()
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+var geocastContent = "GeoCast V1.5\nDynamicCamera\nModelviewMatrix\n" +
+                     "1 0 0 0\n0 1 0 0\n0 0 1 -5\n0 0 0 1\n";
+var files = {
+  "scenes/s.geoscene": "GeoScene V2.0\nSequence 0 2\n" +
+                       "GeoCast F 100 100 img/%d.png cam/%d.geocast\n" +
+                       "GeoCastZ D 100 100 depth/%d.png cam/depth.geocast\n",
+  "scenes/cam/0.geocast": geocastContent,
+  "scenes/cam/1.geocast": geocastContent,
+  "scenes/cam/2.geocast": geocastContent,
+  "scenes/cam/depth.geocast": geocastContent.replace("DynamicCamera", "StaticCamera")
+};
+function createCountingSignal(controller) { // Counts the listeners added and removed
+  var signal = controller.signal;
+  var counts = { added: 0, removed: 0 };
+  var addEventListener = signal.addEventListener.bind(signal);
+  var removeEventListener = signal.removeEventListener.bind(signal);
+  signal.addEventListener = function (type, listener) {
+    ++counts.added;
+    addEventListener(type, listener);
+  };
+  signal.removeEventListener = function (type, listener) {
+    ++counts.removed;
+    removeEventListener(type, listener);
+  };
+  return counts;
+}
+
+test("progress is reported for the scene and every geocast file", async function () {
+  var events = [];
+  var scene = await geoscene.loadGeoScene("scenes/s.geoscene", {
+    loader: geoscene.createMemoryLoader(files),
+    concurrency: 1,
+    onProgress: function (event) { events.push(event); }
+  });
+  assert.deepStrictEqual(events.map(function (event) { return [event.loaded, event.total]; }),
+                         [[1, 5], [2, 5], [3, 5], [4, 5], [5, 5]]);
+  assert.deepStrictEqual(events.map(function (event) { return event.url; }).sort(), [
+    "scenes/cam/0.geocast", "scenes/cam/1.geocast", "scenes/cam/2.geocast",
+    "scenes/cam/depth.geocast", "scenes/s.geoscene"
+  ]);
+  assert.strictEqual(scene.geoCastSequence[0].geocast[2].Version, "1.5");
+  assert.strictEqual(scene.geoCastZSequence[0].geocast[0].CameraType, "StaticCamera");
+});
+
+test("failures reject with the url of the failing file", async function () {
+  var missing = Object.assign({}, files);
+  delete missing["scenes/cam/1.geocast"];
+  await assert.rejects(geoscene.loadGeoScene("scenes/s.geoscene", {
+    loader: geoscene.createMemoryLoader(missing)
+  }), function (error) {
+    return error.url == "scenes/cam/1.geocast" && error.status == 404;
+  });
+
+  var failing = function (url) { // Any loader error, also without a url of its own
+    if (url == "scenes/cam/depth.geocast")
+      throw new Error("Connection reset");
+    return files[url];
+  };
+  await assert.rejects(geoscene.loadGeoScene("scenes/s.geoscene", { loader: failing }),
+                       { message: "Connection reset", url: "scenes/cam/depth.geocast" });
+  await assert.rejects(geoscene.loadGeoScene("scenes/s.geoscene", {
+    loader: geoscene.createMemoryLoader(Object.assign({}, files, {
+      "scenes/cam/2.geocast": "GeoCast V1.5\nDataProject Perspective Fovy x"
+    })),
+    strict: true
+  }), function (error) {
+    return error instanceof geoscene.GeoSceneParseError &&
+           error.diagnostic.fileName == "scenes/cam/2.geocast";
+  });
+});
+
+test("aborting the caller signal rejects and cancels the pending requests", async function () {
+  var controller = new AbortController();
+  var pending = [];
+  var loader = function (url, signal) {
+    if (url == "scenes/s.geoscene")
+      return files[url];
+    return new Promise(function (resolve, reject) {
+      pending.push(signal);
+      signal.addEventListener('abort', function () {
+        var error = new Error("Aborted");
+        error.name = 'AbortError';
+        reject(error);
+      });
+    });
+  };
+  var promise = geoscene.loadGeoScene("scenes/s.geoscene", {
+    loader: loader,
+    signal: controller.signal
+  });
+  await new Promise(function (resolve) { setTimeout(resolve, 10); });
+  assert.strictEqual(pending.length, 4);
+  controller.abort();
+  await assert.rejects(promise, { name: 'AbortError' });
+  assert.ok(pending.every(function (signal) { return signal.aborted; }));
+
+  await assert.rejects(geoscene.loadGeoScene("scenes/s.geoscene", {
+    loader: geoscene.createMemoryLoader(files),
+    signal: controller.signal // Already aborted
+  }), { name: 'AbortError' });
+});
+
+test("the listener on the caller signal is removed once loading settles", async function () {
+  var controller = new AbortController();
+  var counts = createCountingSignal(controller);
+  var loader = geoscene.createMemoryLoader(files);
+  for (var k = 0; k < 3; ++k)
+    await geoscene.loadGeoScene("scenes/s.geoscene", { loader: loader, signal: controller.signal });
+  await assert.rejects(geoscene.loadGeoScene("scenes/missing.geoscene", {
+    loader: loader,
+    signal: controller.signal
+  }));
+  assert.deepStrictEqual(counts, { added: 4, removed: 4 });
+});
+
+test("geocast files failing to load are reported as diagnostics", async function () {
+  var missing = Object.assign({}, files);
+  delete missing["scenes/cam/1.geocast"];
+  var scene = geoscene.parseGeoSceneContent(files["scenes/s.geoscene"], "scenes", {
+    loader: geoscene.createMemoryLoader(missing),
+    fileName: "scenes/s.geoscene",
+    strict: true
+  });
+  assert.deepStrictEqual(scene.diagnostics, []);
+  await new Promise(function (resolve) { setTimeout(resolve, 10); });
+  assert.strictEqual(scene.diagnostics.length, 1);
+  var diagnostic = scene.diagnostics[0];
+  assert.strictEqual(diagnostic.code, "LOAD_FAILED");
+  assert.strictEqual(diagnostic.severity, "error");
+  assert.ok(diagnostic.message.indexOf("'scenes/cam/1.geocast'") > 0, diagnostic.message);
+  assert.deepStrictEqual([diagnostic.fileName, diagnostic.line, diagnostic.column,
+                          diagnostic.token], ["scenes/s.geoscene", 3, 30, "cam/%d.geocast"]);
+  assert.deepStrictEqual(scene.geoCastSequence[0].geocast[1], {});
+  assert.strictEqual(scene.geoCastSequence[0].geocast[2].Version, "1.5");
+});
@@ -0,0 +1,131 @@
+// Match groups: visible cameras, pixel transfers over planes and depth surfaces, camera pairs
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+function createGeoCast(position, dataProject) { // Looking down the world -Z axis
+  return geoscene.parseGeoCastContent("GeoCast V1.5\nModelviewMatrix\n" +
+                                      "1 0 0 " + -position[0] + "\n0 1 0 " + -position[1] +
+                                      "\n0 0 1 " + -position[2] + "\n0 0 0 1\n" +
+                                      dataProject + "\n");
+}
+function createScene(positionB) { // Cameras A at [0, 0, 10] and B, surface D seen from above
+  var scene = geoscene.parseGeoSceneContent([
+    "GeoScene V2.0",
+    "Sequence 0 0",
+    "GeoCast A 200 100 a.png a.geocast",
+    "GeoCast B 200 100 b.png b.geocast",
+    "GeoCastZ D 8 4 d.png d.geocast",
+    "MatchGroup 0",
+    "MatchCam A",
+    "MatchCam B",
+    "MatchSurface D"
+  ].join("\n"), "", { loadGeoCasts: false });
+  var perspective = "DataProject Perspective Fovy 90 Aspect 2 ClipRange 1 100";
+  scene.geoCastSequence[0].geocast = [createGeoCast([0, 0, 10], perspective)];
+  scene.geoCastSequence[1].geocast = [createGeoCast(positionB || [2, 0, 10], perspective)];
+  // 1 x 1 pixels over [-4, 4] x [-2, 2], raw depths in tenths of world units from z = 20
+  scene.geoCastZSequence[0].geocast = [createGeoCast([0, 0, 20], "DataProject Ortho " +
+                                                     "WindowSize 8 4 ProjRange 0 40\n" +
+                                                     "ZDataRange 0 25.5\nWorldSpaceDepth")];
+  return scene;
+}
+function createDepthImage(boxHeight) { // Ground at z = 0, a box of the height over x < 0
+  var data = new Uint8Array(8 * 4);
+  for (var i = 0; i < data.length; ++i)
+    data[i] = (i % 8 < 4) ? 200 - 10 * boxHeight : 200;
+  return { width: 8, height: 4, channels: 1, bitDepth: 8, data: data };
+}
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-6;
+  assert.strictEqual(actual.length, expected.length);
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon,
+              "[" + Array.from(actual) + "] is not [" + expected + "]");
+  }
+}
+
+var ground = { point: [0, 0, 0], normal: [0, 0, 1] };
+
+test("cameras seeing a point are found with their pixels", function () {
+  var scene = createScene();
+  var visible = geoscene.findVisibleCameras(scene, [1, 0, 0]);
+  assert.deepStrictEqual(visible.map(function (view) { return view.name; }), ["A", "B"]);
+  assertNear(visible[0].pixel, [105, 50]);
+  assertNear(visible[1].pixel, [95, 50]);
+  assert.strictEqual(visible[0].depth, 10);
+  assert.deepStrictEqual(geoscene.findVisibleCameras(scene, [-19, 0, 0]).map(function (view) {
+    return view.name;
+  }), ["A"]); // Out of the image of B
+  assert.deepStrictEqual(geoscene.findVisibleCameras(scene, [0, 0, 20]), []); // Behind
+  assert.deepStrictEqual(geoscene.findVisibleCameras(scene, [1, 0, 0], { group: "1" }), []);
+});
+
+test("pixels are transferred through a plane", function () {
+  var transfer = geoscene.transferPixel(createScene(), "A", [100, 50], { plane: ground });
+  assertNear(transfer.point, [0, 0, 0]);
+  assert.strictEqual(transfer.views.length, 1);
+  assert.strictEqual(transfer.views[0].name, "B");
+  assertNear(transfer.views[0].pixel, [90, 50]);
+  assert.deepStrictEqual([transfer.views[0].depth, transfer.views[0].inFrustum], [10, true]);
+
+  transfer = geoscene.transferPixel(createScene(), "A", [150, 75], { plane: ground });
+  assertNear(transfer.point, [10, -5, 0]); // Half the image offsets at depth 10
+  assertNear(transfer.views[0].pixel, [140, 75]);
+  var miss = geoscene.transferPixel(createScene(), "A", [100, 50], {
+    plane: { point: [0, 0, 20], normal: [0, 0, 1] } // Behind the camera
+  });
+  assert.deepStrictEqual(miss, { point: null, views: [] });
+  assert.throws(function () {
+    geoscene.transferPixel(createScene(), "A", [100, 50]);
+  }, /needs a plane or the depthImage/);
+});
+
+test("pixels are transferred through the depth image of the match surface", function () {
+  var scene = createScene();
+  var flat = geoscene.transferPixel(scene, "A", [100, 50], { depthImage: createDepthImage(0) });
+  assertNear(flat.point, [0, 0, 0], 1e-4);
+  assertNear(flat.views[0].pixel, [90, 50], 1e-3);
+  // The ray of B towards [-1, 0, 0] passes above the box edge and hits the box top at z = 5
+  var onBox = geoscene.transferPixel(scene, "B", [70, 50], { depthImage: createDepthImage(5) });
+  assertNear(onBox.point, [-1, 0, 5], 1e-4);
+  assertNear(onBox.views[0].pixel, [90, 50], 1e-3);
+  var noData = geoscene.transferPixel(scene, "A", [100, 50], {
+    depthImage: createDepthImage(0),
+    noDataValue: 200
+  });
+  assert.strictEqual(noData.point, null);
+});
+
+test("depth crossings at occlusion edges are not surface hits", function () {
+  var scene = createScene();
+  // The ray of B towards [-1, 0, 0] reaches x = 0 at z = 3.33, below the top of a 5 high box:
+  // the depth map jumps there but the ray does not hit the surface it stores
+  var flat = geoscene.transferPixel(scene, "B", [85, 50], { depthImage: createDepthImage(0) });
+  assertNear(flat.point, [-1, 0, 0], 1e-4);
+  var edge = geoscene.transferPixel(scene, "B", [85, 50], { depthImage: createDepthImage(5) });
+  assert.deepStrictEqual(edge, { point: null, views: [] });
+});
+
+test("identical cameras overlap fully and their pairs are symmetric", function () {
+  var same = geoscene.getMatchGroupPairs(createScene([0, 0, 10]))[0];
+  assert.strictEqual(same.index, "0");
+  assert.deepStrictEqual([same.pairs.length, same.pairs[0].first, same.pairs[0].second],
+                         [1, "A", "B"]);
+  assert.deepStrictEqual(same.pairs[0].overlap, [1, 1]);
+  assert.deepStrictEqual([same.pairs[0].baseline, same.pairs[0].angle], [0, 0]);
+
+  var pair = geoscene.getMatchGroupPairs(createScene(), { samples: 6, depthRange: [1, 3] })[0]
+    .pairs[0];
+  assert.strictEqual(pair.baseline, 2);
+  assertNear(geoscene.glMatrix.vec3.transformMat4([], [0, 0, -10], pair.transform), [-2, 0, -10]);
+  assert.ok(pair.overlap[0] > 0.5 && pair.overlap[0] < 1, String(pair.overlap));
+  assert.ok(Math.abs(pair.overlap[0] - pair.overlap[1]) < 1e-12, String(pair.overlap));
+
+  var cameras = ["A", "B"].map(function (name) {
+    return geoscene.createSceneCamera(createScene([0, 0, 14]), name);
+  });
+  assert.strictEqual(geoscene.computeFrustumOverlap(cameras[0], cameras[1]), 1);
+  var overlap = geoscene.computeFrustumOverlap(cameras[1], cameras[0], { depthRange: [1, 10] });
+  assert.ok(overlap > 0 && overlap < 1, String(overlap)); // Near slices of B are behind A
+});
@@ -0,0 +1,154 @@
+// Similarity transforms of scenes: unit scales, axis conversions, offsets and their composition
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+function assertNear(actual, expected, epsilon) {
+  epsilon = epsilon || 1e-9;
+  assert.strictEqual(actual.length, expected.length);
+  for (var i = 0; i < expected.length; ++i) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= epsilon * Math.max(1.0, Math.abs(expected[i])),
+              "[" + Array.from(actual) + "] is not [" + expected + "]");
+  }
+}
+function createFieldFile(x) { // Millimeters, Y up, camera at [x, 1500, 8000] looking down -Z
+  return "GeoCast V1.5\nDynamicCamera\nPos " + x + " 1500 8000\n" +
+         "ViewSlice FODAngle 145 Size 100\nModelviewMatrix\n" +
+         "1 0 0 " + -x + "\n0 1 0 -1500\n0 0 1 -8000\n0 0 0 1\n" +
+         "DataProject Perspective Fovy 45 Aspect 2 ClipRange 500 200000\n";
+}
+
+var files = {
+  "s.geoscene": "GeoScene V2.0\nSequence 0 1\n" +
+                "GeoCast F 200 100 f%d.png f%d.geocast\n" +
+                "GeoCastZ D 120 80 d%d.png d.geocast\n",
+  "f0.geocast": createFieldFile(0),
+  "f1.geocast": createFieldFile(500),
+  "d.geocast": "GeoCast V1.5\nStaticCamera\nModelviewMatrix\n" +
+               "1 0 0 0\n0 1 0 0\n0 0 1 -10000\n0 0 0 1\n" +
+               "DataProject Ortho WindowSize 12000 8000 ProjRange 100 20000\n" +
+               "ZDataRange 0 20000\nWorldSpaceDepth\n"
+};
+var loader = geoscene.createMemoryLoader(files);
+function loadScene(options) {
+  return geoscene.loadGeoScene("s.geoscene", Object.assign({ loader: loader }, options));
+}
+
+test("unit scales convert the lengths of every geocast field", async function () {
+  var scene = await loadScene();
+  var field = scene.geoCastSequence[0].geocast[1];
+  var depth = scene.geoCastZSequence[0].geocast[0];
+  var before = geoscene.createGeoCastCamera(field, [200, 100]).project([1000, 1200, -3000]);
+  geoscene.transformScene(scene, geoscene.createUnitScaleTransform("mm", "m"));
+
+  assertNear(field.CameraPosition, [0.5, 1.5, 8]);
+  assert.strictEqual(field.ViewSlice.Size, 0.1);
+  assertNear(field.ClipRange, [0.5, 200]);
+  assertNear(Array.from(field.ModelviewMatrix), [1, 0, 0, -0.5, 0, 1, 0, -1.5,
+                                                 0, 0, 1, -8, 0, 0, 0, 1]);
+  assertNear(depth.WindowSize, [12, 8]);
+  assertNear(depth.ProjRange, [0.1, 20]);
+  assertNear(depth.ZDataRange, [0, 20]);
+  // The images do not change: the pixels stay and the depths are scaled
+  var after = geoscene.createGeoCastCamera(field, [200, 100]).project([1, 1.2, -3]);
+  assertNear(after.pixel, before.pixel, 1e-6);
+  assertNear([after.depth], [before.depth / 1000], 1e-6);
+  var ortho = geoscene.createGeoCastCamera(depth, [120, 80]);
+  assertNear(ortho.project([3, 2, 0]).pixel, [90, 20], 1e-6);
+});
+
+test("projection-space ZDataRanges are left to the clipping planes", function () {
+  var geocast = geoscene.parseGeoCastContent(files["d.geocast"].replace("WorldSpaceDepth\n", ""));
+  var scene = { geoCastSequence: [], geoCastZSequence: [{ geocast: [geocast] }] };
+  geoscene.transformScene(scene, geoscene.createUnitScaleTransform("mm", "m"));
+  assertNear(geocast.ZDataRange, [0, 20000]);
+  assertNear(geocast.ProjRange, [0.1, 20]);
+});
+
+test("Y-up scenes are converted to Z-up", async function () {
+  var scene = await loadScene();
+  var field = scene.geoCastSequence[0].geocast[0];
+  var before = geoscene.createGeoCastCamera(field, [200, 100]).project([1000, 1200, -3000]);
+  geoscene.transformScene(scene, geoscene.createAxisConversionTransform("Y-up", "Z-up"));
+  assertNear(field.CameraPosition, [0, -8000, 1500]);
+  var camera = geoscene.createGeoCastCamera(field, [200, 100]);
+  assertNear(camera.position, [0, -8000, 1500], 1e-6);
+  assertNear(camera.direction, [0, 1, 0], 1e-6); // Down -Z becomes along +Y
+  var after = camera.project([1000, 3000, 1200]);
+  assertNear(after.pixel, before.pixel, 1e-6);
+  assertNear([after.depth], [before.depth], 1e-6);
+});
+
+test("lazy scenes transform each geocast once when it is loaded", async function () {
+  var scene = await loadScene({ lazy: true });
+  geoscene.transformScene(scene, geoscene.createUnitScaleTransform("mm", "m"));
+  var geocast = await scene.getGeoCast("F", 1);
+  assertNear(geocast.CameraPosition, [0.5, 1.5, 8]);
+  assert.strictEqual(await scene.getGeoCast("F", 1), geocast);
+  assert.strictEqual(scene.getCachedGeoCast("F", 1), geocast);
+  assertNear(geocast.CameraPosition, [0.5, 1.5, 8]); // Not scaled twice
+  var shared = await scene.getGeoCast("D", 0);
+  assert.strictEqual(await scene.getGeoCast("D", 1), shared);
+  assertNear(shared.WindowSize, [12, 8]);
+});
+
+test("transformed geocasts are serialized in double precision", async function () {
+  var scene = await loadScene();
+  var transform = geoscene.composeTransforms(geoscene.createUnitScaleTransform("mm", "m"),
+                                             geoscene.createOffsetTransform([412345.25,
+                                                                             5412345.5, 210]));
+  geoscene.transformScene(scene, transform);
+  var field = scene.geoCastSequence[0].geocast[1];
+  assert.ok(field.ModelviewMatrix instanceof Float64Array);
+  var text = geoscene.serializeGeoCast(field);
+  assert.ok(text.indexOf("Pos 412345.75 5412347 218\n") >= 0, text);
+  assert.ok(text.indexOf("1 0 0 -412345.75\n0 1 0 -5412347\n0 0 1 -218\n") >= 0, text);
+  var output = geoscene.parseGeoCastContent(text);
+  assert.deepStrictEqual(Array.from(output.ModelviewMatrix), Array.from(field.ModelviewMatrix));
+  assertNear(output.ClipRange, [0.5, 200]);
+});
+
+test("composed transforms apply the first transform and then the second", function () {
+  var first = geoscene.composeTransforms(geoscene.createUnitScaleTransform("ft", "m"),
+                                         geoscene.createOffsetTransform([1, -2, 3]));
+  var second = geoscene.composeTransforms(geoscene.createAxisConversionTransform("Y-up", "Z-up"),
+                                          geoscene.createUnitScaleTransform(2, 1));
+  var composed = geoscene.composeTransforms(first, second);
+  [[0, 0, 0], [1.5, -2.25, 7], [-100, 40, 0.5]].forEach(function (point) {
+    assertNear(geoscene.transformPoint(composed, point),
+               geoscene.transformPoint(second, geoscene.transformPoint(first, point)));
+  });
+  assert.strictEqual(composed.scale, 0.3048 * 2);
+  assertNear(geoscene.transformPoint(first, [10, 0, 0]), [4.048, -2, 3]);
+});
+
+test("transforms with reflections or without a positive scale are rejected", function () {
+  var scene = { geoCastSequence: [], geoCastZSequence: [] };
+  assert.throws(function () {
+    geoscene.transformScene(scene, { scale: 1, rotation: [-1, 0, 0, 0, 1, 0, 0, 0, 1],
+                                     translation: [0, 0, 0] });
+  }, /without reflection/);
+  assert.throws(function () {
+    geoscene.transformScene(scene, geoscene.createUnitScaleTransform(0, 1));
+  }, /positive number/);
+  assert.throws(function () { geoscene.createUnitScaleTransform("yd", "m"); }, /'yd'/);
+});
+
+test("cameras of georeferenced scenes project without losing precision", function () {
+  var scene = geoscene.parseGeoSceneContent("GeoScene V2.0\nSequence 0 0\n" +
+                                             "GeoCast F 200 100 f.png f.geocast\n", "",
+                                             { loadGeoCasts: false });
+  scene.geoCastSequence[0].geocast = [geoscene.parseGeoCastContent(
+    "GeoCast V1.5\nModelviewMatrix\n1 0 0 0\n0 1 0 0\n0 0 1 -5\n0 0 0 1\n" +
+    "DataProject Perspective Fovy 90 Aspect 2 ClipRange 1 100\n")];
+  var offset = [412345.25, 5412345.5, 210];
+  geoscene.transformScene(scene, geoscene.createOffsetTransform(offset));
+  var camera = geoscene.createSceneCamera(scene, "F");
+  assertNear(camera.position, [412345.25, 5412345.5, 215], 1e-15);
+  var worldPoint = [offset[0] + 1.25, offset[1] - 0.75, offset[2]];
+  var result = camera.project(worldPoint);
+  assertNear(result.pixel, [112.5, 57.5], 1e-6);
+  assert.strictEqual(result.depth, 5);
+  assertNear(camera.unproject(result.pixel, result.depth), worldPoint, 1e-12);
+  assertNear(camera.pixelRay(result.pixel).origin, camera.position, 1e-15);
+});
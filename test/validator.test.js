@@ -0,0 +1,215 @@
+// validateGeoScene(): one scene problem per test, on top of a scene without findings
+var test = require('node:test');
+var assert = require('assert');
+var geoscene = require('../index.js');
+
+var sceneLines = [
+  "GeoScene V2.0",
+  "Sequence 0 1",
+  "DataFormat PNG",
+  "GeoCast F 200 100 f%d.png f%d.geocast",
+  "GeoCastZ D 200 100 d%d.png d.geocast",
+  "MatchGroup 0",
+  "MatchCam F",
+  "MatchSurface D"
+];
+var identity = ["ModelviewMatrix", "1 0 0 0", "0 1 0 0", "0 0 1 -5", "0 0 0 1"];
+var cameraLines = ["GeoCast V1.5", "DynamicCamera"].concat(identity, [
+  "DataProject Perspective Fovy 45 Aspect 2 ClipRange 1 100"
+]);
+var surfaceLines = ["GeoCast V1.5", "StaticCamera"].concat(identity, [
+  "DataProject Ortho WindowSize 20 10 ProjRange 0 50",
+  "ZDataRange 0 20",
+  "WorldSpaceDepth"
+]);
+
+// Parses the scene and gives every frame of F and D the geocast of the given lines
+function createScene(options) {
+  options = options || {};
+  var scene = geoscene.parseGeoSceneContent((options.scene || sceneLines).join("\n") + "\n", "",
+                                            { loadGeoCasts: false });
+  var camera = geoscene.parseGeoCastContent((options.camera || cameraLines).join("\n"));
+  var surface = geoscene.parseGeoCastContent((options.surface || surfaceLines).join("\n"));
+  scene.geoCastSequence.concat(scene.geoCastZSequence).forEach(function (entry) {
+    var geocast = (entry.name == "D") ? surface : camera;
+    entry.geocast = entry.geocast.map(function () { return geocast; });
+  });
+  return scene;
+}
+function replaceLine(lines, search, replacement) {
+  return lines.map(function (line) {
+    return (line.indexOf(search) == 0) ? replacement : line;
+  }).filter(function (line) { return line !== null; });
+}
+function validate(scene, options) { // [severity, code] of every finding
+  return geoscene.validateGeoScene(scene, options).map(function (finding) {
+    return [finding.severity, finding.code];
+  });
+}
+
+test("valid scenes have no findings", function () {
+  assert.deepStrictEqual(geoscene.validateGeoScene(createScene()), []);
+});
+
+test("DUPLICATE_NAME", function () {
+  var scene = createScene({ scene: replaceLine(sceneLines, "GeoCastZ",
+                                               "GeoCastZ F 200 100 d%d.png d.geocast") });
+  var findings = geoscene.validateGeoScene(scene).filter(function (finding) {
+    return finding.code == "DUPLICATE_NAME";
+  });
+  assert.deepStrictEqual(findings, [{ severity: "error", code: "DUPLICATE_NAME", entry: "F",
+                                      message: "The name 'F' is declared more than once" }]);
+});
+
+test("INVALID_SIZE", function () {
+  var scene = createScene();
+  scene.geoCastSequence[0].size = [200, 0];
+  assert.deepStrictEqual(validate(scene, { aspectTolerance: Infinity }),
+                         [["error", "INVALID_SIZE"]]);
+});
+
+test("UNKNOWN_MATCH_CAM and UNKNOWN_MATCH_SURFACE", function () {
+  var scene = createScene({ scene: sceneLines.concat(["MatchGroup 1", "MatchCam D",
+                                                      "MatchSurface F", "MatchCam G"]) });
+  var findings = geoscene.validateGeoScene(scene);
+  assert.deepStrictEqual(findings.map(function (finding) {
+    return [finding.code, finding.entry, finding.message];
+  }), [
+    ["UNKNOWN_MATCH_CAM", "D", "MatchGroup 1: MatchCam 'D' is a GeoCastZ entry"],
+    ["UNKNOWN_MATCH_CAM", "G", "MatchGroup 1: MatchCam 'G' is not declared"],
+    ["UNKNOWN_MATCH_SURFACE", "F", "MatchGroup 1: MatchSurface 'F' is a GeoCast entry"]
+  ]);
+});
+
+test("EMPTY_MATCH_GROUP", function () {
+  var scene = createScene({ scene: replaceLine(sceneLines, "MatchSurface", null) });
+  assert.deepStrictEqual(validate(scene), [["warning", "EMPTY_MATCH_GROUP"]]);
+});
+
+test("DATAFORMAT_MISMATCH", function () {
+  var scene = createScene({ scene: replaceLine(sceneLines, "DataFormat", "DataFormat JPG") });
+  var findings = geoscene.validateGeoScene(scene);
+  assert.deepStrictEqual(findings.map(function (finding) {
+    return [finding.severity, finding.code, finding.entry, finding.fileName];
+  }), [["warning", "DATAFORMAT_MISMATCH", "F", "f0.png"], // Once per entry and extension
+       ["warning", "DATAFORMAT_MISMATCH", "D", "d0.png"]]);
+  var jpeg = createScene({ scene: replaceLine(sceneLines, "DataFormat", "DataFormat JPEG")
+    .map(function (line) { return line.replace(".png", ".jpg"); }) });
+  assert.deepStrictEqual(validate(jpeg), []); // JPG and JPEG are the same format
+});
+
+test("EMPTY_SEQUENCE", function () {
+  var scene = createScene();
+  scene.frames = [];
+  scene.geoCastSequence[0].image = ["f.png"];
+  scene.geoCastSequence[0].geocastFile = ["f.geocast"];
+  scene.geoCastSequence[0].geocast = [];
+  scene.geoCastZSequence[0].image = ["d.png"];
+  scene.geoCastZSequence[0].geocast = [];
+  assert.deepStrictEqual(validate(scene), [["error", "EMPTY_SEQUENCE"]]);
+});
+
+test("UNRESOLVED_FRAME", function () {
+  var scene = createScene();
+  var entry = scene.geoCastSequence[0];
+  entry.missingFrames = [1];
+  entry.image[1] = null;
+  entry.geocast[1] = null;
+  scene.geoCastZSequence[0].image.push("d2.png"); // 3 paths for 2 frames
+  assert.deepStrictEqual(geoscene.validateGeoScene(scene).map(function (finding) {
+    return [finding.code, finding.entry, finding.frame];
+  }), [["UNRESOLVED_FRAME", "F", 1], ["UNRESOLVED_FRAME", "D", undefined]]);
+});
+
+test("GEOCAST_NOT_LOADED", function () {
+  var scene = geoscene.parseGeoSceneContent(sceneLines.join("\n"), "", { loadGeoCasts: false });
+  assert.deepStrictEqual(validate(scene), [["warning", "GEOCAST_NOT_LOADED"],
+                                           ["warning", "GEOCAST_NOT_LOADED"]]);
+});
+
+test("NON_RIGID_MODELVIEW", function () {
+  [["1 0 0 0", "2 0 0 0", "is scaled"],
+   ["0 1 0 0", "0.5 1 0 0", "is skewed"],
+   ["1 0 0 0", "-1 0 0 0", "is a reflection"],
+   ["0 0 0 1", "0 0 1 1", "has a last row different from [0 0 0 1]"]].forEach(function (change) {
+    var scene = createScene({ camera: replaceLine(cameraLines, change[0], change[1]) });
+    var findings = geoscene.validateGeoScene(scene);
+    assert.strictEqual(findings.length, 1, change[2]);
+    assert.strictEqual(findings[0].code, "NON_RIGID_MODELVIEW");
+    assert.strictEqual(findings[0].message,
+                       "The ModelviewMatrix " + change[2] + ", it is not a rigid transform");
+    assert.deepStrictEqual([findings[0].entry, findings[0].frame, findings[0].fileName],
+                           ["F", 0, "f0.geocast"]); // The shared geocast is checked once
+  });
+});
+
+test("MISSING_MODELVIEW", function () {
+  var scene = createScene({ camera: cameraLines.slice(0, 2).concat(cameraLines.slice(7)) });
+  assert.deepStrictEqual(validate(scene), [["error", "MISSING_MODELVIEW"]]);
+});
+
+test("MISSING_PROJECTION", function () {
+  var scene = createScene({ surface: surfaceLines.slice(0, 7) });
+  assert.deepStrictEqual(validate(scene), [["error", "MISSING_PROJECTION"]]);
+});
+
+test("INVALID_CLIP_RANGE", function () {
+  ["ClipRange 0 100", "ClipRange 10 10"].forEach(function (clipRange) {
+    var scene = createScene({ camera: replaceLine(cameraLines, "DataProject",
+                                                  "DataProject Perspective Fovy 45 Aspect 2 " +
+                                                  clipRange) });
+    assert.deepStrictEqual(validate(scene), [["error", "INVALID_CLIP_RANGE"]], clipRange);
+  });
+});
+
+test("INVALID_PROJ_RANGE", function () {
+  var scene = createScene({ surface: replaceLine(surfaceLines, "DataProject",
+                                                 "DataProject Ortho WindowSize 20 10 " +
+                                                 "ProjRange -1 50") });
+  assert.deepStrictEqual(validate(scene), [["error", "INVALID_PROJ_RANGE"]]);
+});
+
+test("INVALID_FOVY", function () {
+  var scene = createScene({ camera: replaceLine(cameraLines, "DataProject",
+                                                "DataProject Perspective Fovy 180 Aspect 2 " +
+                                                "ClipRange 1 100") });
+  assert.deepStrictEqual(validate(scene), [["error", "INVALID_FOVY"]]);
+});
+
+test("INVALID_WINDOW_SIZE", function () {
+  var scene = createScene({ surface: replaceLine(surfaceLines, "DataProject",
+                                                 "DataProject Ortho WindowSize 20 0 " +
+                                                 "ProjRange 0 50") });
+  assert.deepStrictEqual(validate(scene), [["error", "INVALID_WINDOW_SIZE"]]);
+});
+
+test("ASPECT_MISMATCH", function () {
+  var scene = createScene({
+    camera: replaceLine(cameraLines, "DataProject",
+                        "DataProject Perspective Fovy 45 Aspect 1.5 ClipRange 1 100"),
+    surface: replaceLine(surfaceLines, "DataProject",
+                         "DataProject Ortho WindowSize 15 10 ProjRange 0 50")
+  });
+  assert.deepStrictEqual(validate(scene), [["warning", "ASPECT_MISMATCH"],
+                                           ["warning", "ASPECT_MISMATCH"]]);
+  assert.deepStrictEqual(validate(scene, { aspectTolerance: 0.5 }), []);
+});
+
+test("INVALID_ZDATA_RANGE", function () {
+  var scene = createScene({ surface: replaceLine(surfaceLines, "ZDataRange", "ZDataRange 5 5") });
+  assert.deepStrictEqual(validate(scene), [["error", "INVALID_ZDATA_RANGE"]]);
+  scene = createScene({ camera: cameraLines.concat(["ZDataRange 5 5"]) });
+  assert.deepStrictEqual(validate(scene), []); // Only checked on GeoCastZ geocasts
+});
+
+test("parser diagnostics are included once per file", function () {
+  var scene = createScene({ camera: cameraLines.concat(["Sensr CMOS"]) });
+  scene.geoCastSequence[0].geocastFile = ["f.geocast"];
+  assert.deepStrictEqual(validate(scene), [["warning", "UNRECOGNIZED_LINE"]]);
+  assert.deepStrictEqual(validate(scene, { parseDiagnostics: false }), []);
+  var findings = geoscene.validateGeoScene(createScene({ scene: sceneLines.concat(["Foo"]) }), {
+    fileName: "s.geoscene"
+  });
+  assert.deepStrictEqual([findings[0].code, findings[0].fileName, findings[0].line],
+                         ["UNRECOGNIZED_LINE", undefined, 9]); // Parser diagnostics are kept
+});